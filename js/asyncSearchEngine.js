@@ -0,0 +1,475 @@
+/**
+ * Async Search Engine Module
+ * Promise-based facade over SearchEngine that builds the index and searches in a
+ * Web Worker, so typing stays smooth on large datasets. A newer search or
+ * suggestion request cancels the pending one. Where workers are unavailable
+ * (Jest, old Safari) or the worker fails to start, the same requests run
+ * synchronously on the main thread instead.
+ */
+
+import { DataManager } from './dataManager.js';
+import { SearchEngine } from './searchEngine.js';
+
+/**
+ * Error for requests superseded by a newer one, named like a fetch() abort
+ */
+function createCancelledError() {
+    const error = new Error('Search request was superseded by a newer one');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Minimal stand-in for PreferencesManager built from liked/disliked ID lists,
+ * which can be sent to a worker
+ */
+function createPreferenceSnapshot(preferences) {
+    if (!preferences) return null;
+
+    const liked = new Set(preferences.liked || []);
+    const disliked = new Set(preferences.disliked || []);
+    return {
+        isLiked: (id) => liked.has(id),
+        isDisliked: (id) => disliked.has(id)
+    };
+}
+
+/**
+ * Replace result items by their IDs, so results can be posted cheaply and
+ * resolved back to the main thread's own item objects
+ */
+function toTransferableResults(results) {
+    return results.map(({ item, ...result }) => ({ ...result, itemId: item.id }));
+}
+
+/**
+ * Runs search requests against a SearchEngine. Used inside the search worker,
+ * and on the main thread as the fallback when workers are unavailable.
+ */
+export class SearchRequestHandler {
+    /**
+     * @param {DataManager|null} dataManager - Loaded data manager to search; without one,
+     *   the handler keeps its own filled from the "load" request (inside the worker)
+     * @param {function} schedule - Defers queued work, so newer messages can replace it
+     */
+    constructor(dataManager = null, schedule = (task) => setTimeout(task, 0)) {
+        this.ownsData = !dataManager;
+        this.dataManager = dataManager || new DataManager();
+        this.searchEngine = null;
+        this.schedule = schedule;
+        this.queued = new Map(); // channel -> latest message waiting to run
+    }
+
+    /**
+     * Run one request synchronously
+     * @returns {*} A structured-cloneable response
+     */
+    handle(type, payload = {}) {
+        if (type === 'load') {
+            return this.load(payload);
+        }
+
+        if (!this.searchEngine) {
+            throw new Error('Search index is not loaded');
+        }
+
+        switch (type) {
+            case 'language':
+                this.searchEngine.setLanguage(payload.language);
+                return null;
+            case 'history':
+                this.searchEngine.setSearchHistory(payload.entries);
+                return null;
+            case 'config':
+                return this.searchEngine.setConfig(payload.changes);
+            case 'search': {
+                const preferences = createPreferenceSnapshot(payload.preferences);
+                const result = this.searchEngine.search(payload.query, payload.filters, preferences, payload.options);
+                return { ...result, results: toTransferableResults(result.results) };
+            }
+            case 'browse': {
+                const preferences = createPreferenceSnapshot(payload.preferences);
+                const result = this.searchEngine.browse(payload.filters, preferences, payload.options);
+                return { ...result, results: toTransferableResults(result.results) };
+            }
+            case 'lookup': {
+                const { lines } = this.searchEngine.lookupMenuText(payload.text, payload.options);
+                return { lines: lines.map(({ item, ...line }) => ({ ...line, itemId: item ? item.id : null })) };
+            }
+            case 'suggest': {
+                const preferences = createPreferenceSnapshot(payload.preferences);
+                return this.searchEngine.getAutocompleteSuggestions(payload.query, payload.limit, preferences);
+            }
+            default:
+                throw new Error(`Unknown search request: ${type}`);
+        }
+    }
+
+    /**
+     * Build the index, or restore it from a serialized copy
+     * @returns {object} { restored, index } where index is the serialized new index when requested
+     */
+    load(payload) {
+        if (this.ownsData) {
+            this.dataManager.menuItems = payload.items || [];
+            this.dataManager.setIngredientGlossary(payload.ingredients || {});
+            this.dataManager.languageFallbacks = payload.languageFallbacks || { default: ['en'] };
+            this.dataManager.isLoaded = true;
+        }
+
+        this.searchEngine = new SearchEngine(this.dataManager);
+        this.searchEngine.setLanguage(payload.language);
+        this.searchEngine.setSearchHistory(payload.searchHistory);
+        this.searchEngine.setConfig(payload.config);
+
+        const restored = this.searchEngine.loadSerializedIndex(payload.cachedIndex);
+        if (!restored) {
+            this.searchEngine.rebuildIndex();
+        }
+
+        return {
+            restored,
+            index: !restored && payload.serialize ? this.searchEngine.serializeIndex() : null
+        };
+    }
+
+    /**
+     * Worker message entry point. Cancellable requests wait for one scheduled turn,
+     * and a newer request on the same channel replaces a queued one.
+     * @param {object} message - { id, type, payload, channel }
+     * @param {function} reply - Receives { id, result } | { id, error } | { id, cancelled }
+     */
+    receive(message, reply) {
+        const { channel } = message;
+
+        if (!channel) {
+            this.respond(message, reply);
+            return;
+        }
+
+        const previous = this.queued.get(channel);
+        this.queued.set(channel, message);
+
+        if (previous) {
+            reply({ id: previous.id, cancelled: true });
+            return;
+        }
+
+        this.schedule(() => {
+            const latest = this.queued.get(channel);
+            this.queued.delete(channel);
+            this.respond(latest, reply);
+        });
+    }
+
+    /**
+     * Run a message and reply with its result or error
+     */
+    respond({ id, type, payload }, reply) {
+        try {
+            reply({ id, result: this.handle(type, payload) });
+        } catch (error) {
+            reply({ id, error: error.message });
+        }
+    }
+}
+
+export class AsyncSearchEngine {
+    /**
+     * @param {DataManager} dataManager - Loaded data manager
+     * @param {object} options
+     * @param {boolean} options.useWorker - Set to false to always search on the main thread
+     * @param {string|URL} options.workerUrl - Search worker script
+     */
+    constructor(dataManager, options = {}) {
+        this.dataManager = dataManager;
+        this.workerUrl = options.workerUrl || new URL('./searchWorker.js', import.meta.url);
+        this.worker = null;
+        this.localHandler = null;
+        this.language = 'en';
+        this.searchHistory = [];
+        this.configChanges = {};
+        this.itemsById = new Map();
+        this.loadPayload = null;
+        this.nextRequestId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, type, payload, channel }
+        this.latest = new Map(); // channel -> id of the newest pending request
+
+        if (options.useWorker !== false && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(this.workerUrl, { type: 'module' });
+                this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+                this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+            } catch (error) {
+                console.warn('⚠️ Search worker unavailable, searching on the main thread:', error.message);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Whether requests currently run in a worker
+     */
+    usesWorker() {
+        return Boolean(this.worker);
+    }
+
+    /**
+     * Build the search index for the data manager's current items, or restore a cached one
+     * @param {object} cachedIndex - Output of SearchEngine.serializeIndex(), or null
+     * @param {object} options - { serialize: return the rebuilt index for caching }
+     * @returns {Promise<object>} { restored, index }
+     */
+    prepareIndex(cachedIndex = null, options = {}) {
+        const items = this.dataManager.getMenuItems();
+        this.itemsById = new Map(items.map(item => [item.id, item]));
+
+        this.loadPayload = {
+            cachedIndex,
+            serialize: Boolean(options.serialize),
+            language: this.language,
+            searchHistory: this.searchHistory,
+            config: this.configChanges
+        };
+
+        // Pending searches ran against the old items
+        Array.from(this.latest.values()).forEach(id => this.cancel(id));
+
+        return this.request('load', this.worker
+            ? {
+                ...this.loadPayload,
+                items,
+                ingredients: this.dataManager.ingredients,
+                languageFallbacks: this.dataManager.languageFallbacks
+            }
+            : this.loadPayload);
+    }
+
+    /**
+     * Set the UI language whose matches are boosted
+     */
+    setLanguage(language) {
+        if (!language || language === this.language) return;
+
+        this.language = language;
+        if (this.loadPayload) {
+            this.loadPayload.language = language;
+            this.request('language', { language }).catch(error => {
+                console.warn('⚠️ Could not set search language:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Set the past searches whose suggestions are boosted
+     * @param {Array} entries - { query, count } per past search, as kept by SearchHistory
+     */
+    setSearchHistory(entries = []) {
+        this.searchHistory = entries;
+        if (this.loadPayload) {
+            this.loadPayload.searchHistory = entries;
+            this.request('history', { entries }).catch(error => {
+                console.warn('⚠️ Could not set search history:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Same as SearchEngine.setConfig(), resolved asynchronously. Changes are kept
+     * when the index is rebuilt.
+     * @returns {Promise<object>} A copy of the config after the change
+     */
+    setConfig(changes = {}) {
+        this.configChanges = { ...this.configChanges, ...changes };
+        if (this.loadPayload) {
+            this.loadPayload.config = this.configChanges;
+        }
+        return this.request('config', { changes });
+    }
+
+    /**
+     * Same as SearchEngine.search(), resolved asynchronously. Rejects with an
+     * AbortError when a newer search is started first.
+     */
+    search(query, filters = {}, preferencesManager = null, options = {}) {
+        return this.request('search', {
+            query,
+            filters,
+            preferences: this.getPreferenceIds(preferencesManager),
+            options
+        }, 'search').then(result => ({
+            ...result,
+            results: this.resolveItems(result.results)
+        }));
+    }
+
+    /**
+     * Same as SearchEngine.browse(), resolved asynchronously
+     */
+    browse(filters = {}, preferencesManager = null, options = {}) {
+        return this.request('browse', {
+            filters,
+            preferences: this.getPreferenceIds(preferencesManager),
+            options
+        }, 'browse').then(result => ({
+            ...result,
+            results: this.resolveItems(result.results)
+        }));
+    }
+
+    /**
+     * Same as SearchEngine.getAutocompleteSuggestions(), resolved asynchronously.
+     * Rejects with an AbortError when newer suggestions are requested first.
+     */
+    getAutocompleteSuggestions(query, limit = 5, preferencesManager = null) {
+        return this.request('suggest', {
+            query,
+            limit,
+            preferences: this.getPreferenceIds(preferencesManager)
+        }, 'suggest');
+    }
+
+    /**
+     * Same as SearchEngine.lookupMenuText(), resolved asynchronously. Rejects with an
+     * AbortError when another menu is looked up first.
+     */
+    lookupMenuText(text, options = {}) {
+        return this.request('lookup', { text, options }, 'lookup').then(({ lines }) => {
+            const resolved = lines.map(({ itemId, ...line }) => ({
+                ...line,
+                item: (itemId && this.itemsById.get(itemId)) || null
+            }));
+            return {
+                lines: resolved,
+                matched: resolved.filter(line => line.item),
+                unmatched: resolved.filter(line => !line.item)
+            };
+        });
+    }
+
+    /**
+     * Stop the worker and reject anything still pending
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        Array.from(this.pending.keys()).forEach(id => this.cancel(id));
+    }
+
+    /**
+     * Liked and disliked item IDs, which unlike PreferencesManager can be posted to a worker
+     */
+    getPreferenceIds(preferencesManager) {
+        if (!preferencesManager) return null;
+        return {
+            liked: preferencesManager.getLikedItems(),
+            disliked: preferencesManager.getDislikedItems()
+        };
+    }
+
+    /**
+     * Swap item IDs in results for the main thread's item objects
+     */
+    resolveItems(results) {
+        return results
+            .map(({ itemId, ...result }) => ({ ...result, item: this.itemsById.get(itemId) }))
+            .filter(result => result.item);
+    }
+
+    /**
+     * Send a request to the worker, or run it on the main thread
+     * @param {string} channel - Cancellable channel; a newer request on it cancels this one
+     */
+    request(type, payload = {}, channel = null) {
+        const id = this.nextRequestId++;
+
+        if (channel) {
+            const previous = this.latest.get(channel);
+            if (previous) this.cancel(previous);
+            this.latest.set(channel, id);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, type, payload, channel });
+
+            if (this.worker) {
+                this.worker.postMessage({ id, type, payload, channel });
+            } else {
+                this.runLocally(id);
+            }
+        });
+    }
+
+    /**
+     * Run a pending request synchronously with the main-thread handler
+     */
+    runLocally(id) {
+        if (!this.localHandler) {
+            this.localHandler = new SearchRequestHandler(this.dataManager);
+        }
+
+        const { type, payload } = this.pending.get(id);
+        this.localHandler.respond({ id, type, payload }, response => this.handleWorkerMessage(response));
+    }
+
+    /**
+     * Settle the pending request a worker response belongs to; responses to
+     * cancelled requests are ignored
+     */
+    handleWorkerMessage(response) {
+        const request = this.pending.get(response.id);
+        if (!request) return;
+
+        this.pending.delete(response.id);
+        if (request.channel && this.latest.get(request.channel) === response.id) {
+            this.latest.delete(request.channel);
+        }
+
+        if (response.cancelled) {
+            request.reject(createCancelledError());
+        } else if (response.error) {
+            request.reject(new Error(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }
+
+    /**
+     * Reject a pending request as superseded
+     */
+    cancel(id) {
+        this.handleWorkerMessage({ id, cancelled: true });
+    }
+
+    /**
+     * Fall back to the main thread when the worker fails, e.g. a browser without
+     * module workers, and rerun everything that was waiting on it
+     */
+    handleWorkerError(event) {
+        console.warn('⚠️ Search worker failed, searching on the main thread:', event.message || 'unknown error');
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const waiting = Array.from(this.pending.entries());
+        const reloadsIndex = waiting.some(([, request]) => request.type === 'load');
+
+        if (this.loadPayload && !reloadsIndex) {
+            this.localHandler = new SearchRequestHandler(this.dataManager);
+            this.localHandler.handle('load', this.loadPayload);
+        }
+
+        waiting.forEach(([id]) => this.runLocally(id));
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.AsyncSearchEngine = AsyncSearchEngine;
+}
+
+console.log('🔍 AsyncSearchEngine module loaded');
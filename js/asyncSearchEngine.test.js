@@ -0,0 +1,344 @@
+/**
+ * Tests for AsyncSearchEngine - worker-backed search with a main-thread fallback
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { AsyncSearchEngine, SearchRequestHandler } from './asyncSearchEngine.js';
+import { DataManager } from './dataManager.js';
+
+const ITEMS = [
+    {
+        id: '1',
+        spanishName: 'Paella Valenciana',
+        englishName: 'Valencian Paella',
+        description: 'Rice with chicken and rabbit',
+        course: 'main',
+        isVegetarian: false,
+        hasOtherMeat: true
+    },
+    {
+        id: '2',
+        spanishName: 'Patatas Bravas',
+        englishName: 'Spicy Potatoes',
+        description: 'Fried potatoes with spicy tomato sauce',
+        course: 'tapa',
+        isVegetarian: true
+    },
+    {
+        id: '3',
+        spanishName: 'Pulpo a la Gallega',
+        englishName: 'Galician Octopus',
+        description: 'Boiled octopus with paprika',
+        course: 'tapa',
+        isVegetarian: false,
+        hasSeafood: true
+    }
+];
+
+function createDataManager() {
+    const dataManager = new DataManager();
+    dataManager.menuItems = ITEMS.map(item => ({ ...item }));
+    dataManager.isLoaded = true;
+    return dataManager;
+}
+
+/**
+ * Stand-in for a module Worker that runs the real request handler and delivers
+ * replies on demand, so tests control when the "worker" gets to run
+ */
+class FakeWorker {
+    static instances = [];
+
+    constructor(url, options) {
+        this.url = url;
+        this.options = options;
+        this.listeners = { message: [], error: [] };
+        this.tasks = [];
+        this.posted = [];
+        this.terminated = false;
+        this.handler = new SearchRequestHandler(null, task => this.tasks.push(task));
+        FakeWorker.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(message) {
+        this.posted.push(message);
+        // Structured clone drops anything a real worker could not receive
+        this.handler.receive(JSON.parse(JSON.stringify(message)), response => {
+            this.tasks.push(() => this.listeners.message.forEach(listener => listener({ data: response })));
+        });
+    }
+
+    // Run queued work until the worker is idle
+    flush() {
+        while (this.tasks.length > 0) {
+            this.tasks.shift()();
+        }
+    }
+
+    fail(message) {
+        this.listeners.error.forEach(listener => listener({ message }));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('AsyncSearchEngine', () => {
+    describe('main-thread fallback', () => {
+        let dataManager;
+        let engine;
+
+        beforeEach(async () => {
+            dataManager = createDataManager();
+            engine = new AsyncSearchEngine(dataManager);
+            await engine.prepareIndex();
+        });
+
+        test('should search on the main thread when workers are unavailable', () => {
+            expect(typeof Worker).toBe('undefined');
+            expect(engine.usesWorker()).toBe(false);
+        });
+
+        test('should resolve search results with the data manager items', async () => {
+            const { results, query } = await engine.search('paella');
+
+            expect(query).toBe('paella');
+            expect(results[0].item.id).toBe('1');
+            expect(dataManager.menuItems).toContain(results[0].item);
+        });
+
+        test('should resolve browse results and autocomplete suggestions', async () => {
+            const { results } = await engine.browse({ course: ['tapa'] });
+            const suggestions = await engine.getAutocompleteSuggestions('pat', 3);
+
+            expect(results.map(result => result.item.id).sort()).toEqual(['2', '3']);
+            expect(suggestions[0].text).toBe('patatas bravas');
+        });
+
+        test('should build a serialized index for caching on request', async () => {
+            const { restored, index } = await engine.prepareIndex(null, { serialize: true });
+
+            expect(restored).toBe(false);
+            expect(index).not.toBeNull();
+
+            const reloaded = await engine.prepareIndex(index);
+            expect(reloaded).toEqual({ restored: true, index: null });
+        });
+
+        test('should apply liked and disliked items from the preferences manager', async () => {
+            const preferencesManager = {
+                getLikedItems: () => ['3'],
+                getDislikedItems: () => ['1']
+            };
+
+            const hidden = await engine.search('pa', { hideDislikes: true }, preferencesManager);
+            const liked = await engine.search('pa', { showOnlyLiked: true }, preferencesManager);
+
+            expect(hidden.results.map(result => result.item.id)).not.toContain('1');
+            expect(liked.results.map(result => result.item.id)).toEqual(['3']);
+        });
+
+        test('should look up pasted menu text', async () => {
+            const { lines, matched, unmatched } = await engine.lookupMenuText('Patatas bravas 5\nServicio de pan');
+
+            expect(lines).toHaveLength(2);
+            expect(matched[0].item).toBe(dataManager.menuItems[1]);
+            expect(unmatched[0].text).toBe('Servicio de pan');
+        });
+    });
+
+    describe('worker', () => {
+        let dataManager;
+        let engine;
+        let worker;
+
+        beforeEach(async () => {
+            FakeWorker.instances = [];
+            global.Worker = FakeWorker;
+
+            dataManager = createDataManager();
+            engine = new AsyncSearchEngine(dataManager);
+            worker = FakeWorker.instances[0];
+
+            const loaded = engine.prepareIndex();
+            worker.flush();
+            await loaded;
+        });
+
+        afterEach(() => {
+            delete global.Worker;
+        });
+
+        test('should start a module worker and send it the items to index', () => {
+            expect(engine.usesWorker()).toBe(true);
+            expect(worker.options).toEqual({ type: 'module' });
+            expect(String(worker.url)).toMatch(/searchWorker\.js$/);
+            expect(worker.posted[0].type).toBe('load');
+            expect(worker.posted[0].payload.items).toHaveLength(3);
+        });
+
+        test('should resolve worker results to the main thread item objects', async () => {
+            const pending = engine.search('pulpo');
+            worker.flush();
+            const { results } = await pending;
+
+            expect(results[0].item.id).toBe('3');
+            expect(dataManager.menuItems).toContain(results[0].item);
+        });
+
+        test('should pass facet counts back from the worker', async () => {
+            const pending = engine.search('pa', { vegetarian: true });
+            worker.flush();
+            const { results, facets } = await pending;
+
+            expect(results.map(result => result.item.id)).toEqual(['2']);
+            expect(facets.dietary.vegetarian).toBe(1);
+            expect(facets.course).toMatchObject({ main: 1, tapa: 2 });
+        });
+
+        test('should cancel a stale search when a newer one is typed', async () => {
+            const stale = engine.search('pa');
+            const latest = engine.search('paella');
+            worker.flush();
+
+            await expect(stale).rejects.toMatchObject({ name: 'AbortError' });
+            const { query } = await latest;
+            expect(query).toBe('paella');
+        });
+
+        test('should only run the newest queued request on a channel', async () => {
+            const handled = [];
+            const handle = worker.handler.handle.bind(worker.handler);
+            worker.handler.handle = (type, payload) => {
+                handled.push(payload.query);
+                return handle(type, payload);
+            };
+
+            const first = engine.getAutocompleteSuggestions('p');
+            const second = engine.getAutocompleteSuggestions('pa');
+            const third = engine.getAutocompleteSuggestions('pat');
+            worker.flush();
+
+            await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+            await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+            await expect(third).resolves.toEqual(expect.any(Array));
+            expect(handled).toEqual(['pat']);
+        });
+
+        test('should not cancel searches on other channels', async () => {
+            const search = engine.search('bravas');
+            const suggestions = engine.getAutocompleteSuggestions('bra');
+            worker.flush();
+
+            await expect(search).resolves.toMatchObject({ query: 'bravas' });
+            await expect(suggestions).resolves.toEqual(expect.any(Array));
+        });
+
+        test('should pass search history and liked items to worker suggestions', async () => {
+            engine.setSearchHistory([{ query: 'pulpo a la gallega', count: 2 }]);
+            const pending = engine.getAutocompleteSuggestions('p', 3, {
+                getLikedItems: () => ['2'],
+                getDislikedItems: () => []
+            });
+            worker.flush();
+            const suggestions = await pending;
+
+            expect(suggestions[0]).toMatchObject({ text: 'pulpo a la gallega', type: 'history' });
+            expect(suggestions[1]).toMatchObject({ isLiked: true });
+        });
+
+        test('should keep the search history when the index is rebuilt', async () => {
+            engine.setSearchHistory([{ query: 'patatas bravas', count: 1 }]);
+            const loaded = engine.prepareIndex();
+            worker.flush();
+            await loaded;
+
+            const pending = engine.getAutocompleteSuggestions('pat');
+            worker.flush();
+            expect((await pending)[0].type).toBe('history');
+        });
+
+        test('should resolve menu lookups to the main thread item objects', async () => {
+            const pending = engine.lookupMenuText('Pulpo a la gallega 14\nPaella valenciana 12');
+            worker.flush();
+            const { lines, matched } = await pending;
+
+            expect(lines.map(line => line.item.id)).toEqual(['3', '1']);
+            expect(dataManager.menuItems).toContain(matched[0].item);
+            expect(lines[0].price).toMatchObject({ min: 14 });
+        });
+
+        test('should keep config changes when the index is rebuilt', async () => {
+            const changed = engine.setConfig({ spanishNameWeight: 3 });
+            worker.flush();
+            expect((await changed).spanishNameWeight).toBe(3);
+
+            const loaded = engine.prepareIndex();
+            worker.flush();
+            await loaded;
+
+            const pending = engine.search('paella', {}, null, { explain: true });
+            worker.flush();
+            const { results } = await pending;
+            const spanishTerms = results[0].explanation.terms.filter(term => term.type === 'spanish');
+            expect(spanishTerms.length).toBeGreaterThan(0);
+            expect(spanishTerms.every(term => term.weight === 3)).toBe(true);
+        });
+
+        test('should reject requests the worker could not handle', async () => {
+            const pending = engine.request('unknown', {});
+            worker.flush();
+
+            await expect(pending).rejects.toThrow('Unknown search request: unknown');
+        });
+
+        test('should fall back to the main thread when the worker fails', async () => {
+            const pending = engine.search('gallega');
+            worker.fail('Module workers are not supported');
+
+            const { results } = await pending;
+            expect(worker.terminated).toBe(true);
+            expect(engine.usesWorker()).toBe(false);
+            expect(results[0].item.id).toBe('3');
+
+            const later = await engine.search('bravas');
+            expect(later.results[0].item.id).toBe('2');
+        });
+    });
+});
+
+describe('SearchRequestHandler', () => {
+    test('should index items received in the load request', () => {
+        const handler = new SearchRequestHandler();
+        handler.handle('load', { items: ITEMS, language: 'en' });
+
+        const { results } = handler.handle('search', { query: 'octopus' });
+        expect(results[0]).toMatchObject({ itemId: '3' });
+        expect(results[0].item).toBeUndefined();
+    });
+
+    test('should refuse searches before the index is loaded', () => {
+        const handler = new SearchRequestHandler();
+        const replies = [];
+
+        handler.respond({ id: 1, type: 'search', payload: { query: 'paella' } }, reply => replies.push(reply));
+
+        expect(replies).toEqual([{ id: 1, error: 'Search index is not loaded' }]);
+    });
+
+    test('should answer unchannelled requests straight away', () => {
+        const tasks = [];
+        const handler = new SearchRequestHandler(null, task => tasks.push(task));
+        const replies = [];
+
+        handler.receive({ id: 1, type: 'load', payload: { items: ITEMS } }, reply => replies.push(reply));
+
+        expect(tasks).toHaveLength(0);
+        expect(replies).toEqual([{ id: 1, result: { restored: false, index: null } }]);
+    });
+});
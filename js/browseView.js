@@ -0,0 +1,109 @@
+/**
+ * Browse View Module
+ * Groups and sorts the whole dataset for the browse view (#browse), either
+ * alphabetically by the first letter of the Spanish name or by dietary profile.
+ */
+
+import { normalizeText } from './textNormalizer.js';
+
+// Jump navigation letters in Spanish alphabetical order; other initials go under '#'
+export const BROWSE_LETTERS = [...'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ', '#'];
+
+// Dietary profiles in display order; an item belongs to the first profile it fits
+export const DIETARY_PROFILES = [
+    {
+        key: 'vegetarian',
+        emoji: '🥦',
+        label: { en: 'Vegetarian', nl: 'Vegetarisch' },
+        matches: item => item.isVegetarian
+    },
+    {
+        key: 'seafood',
+        emoji: '🐟',
+        label: { en: 'Fish & seafood', nl: 'Vis & zeevruchten' },
+        matches: item => item.hasSeafood && !item.hasPork && !item.hasOtherMeat
+    },
+    {
+        key: 'meat',
+        emoji: '🥩',
+        label: { en: 'Meat', nl: 'Vlees' },
+        matches: item => (item.hasPork || item.hasOtherMeat) && !item.hasSeafood
+    },
+    {
+        key: 'mixed',
+        emoji: '🥘',
+        label: { en: 'Meat & seafood', nl: 'Vlees & zeevruchten' },
+        matches: item => (item.hasPork || item.hasOtherMeat) && item.hasSeafood
+    },
+    {
+        key: 'other',
+        emoji: '🍽️',
+        label: { en: 'Not specified', nl: 'Niet aangegeven' },
+        matches: () => true
+    }
+];
+
+/**
+ * Get the jump navigation letter for a Spanish name, ignoring accents ("Ábalo" -> "A")
+ */
+export function getInitial(name) {
+    const initial = normalizeText(name).charAt(0);
+    return /[a-zñ]/.test(initial) ? initial.toUpperCase() : '#';
+}
+
+/**
+ * Sort items by Spanish name or by price. Items without a known price come last,
+ * dishes with equal prices stay in name order.
+ * @param {string} sortBy - 'name' | 'price-asc' | 'price-desc'
+ */
+export function sortItems(items, sortBy = 'name') {
+    const byName = (a, b) => a.spanishName.localeCompare(b.spanishName, 'es');
+    if (sortBy !== 'price-asc' && sortBy !== 'price-desc') {
+        return [...items].sort(byName);
+    }
+
+    const direction = sortBy === 'price-asc' ? 1 : -1;
+    const priceOf = item => {
+        const price = item.price && (sortBy === 'price-asc' ? item.price.min : item.price.max);
+        return typeof price === 'number' ? price : null;
+    };
+
+    return [...items].sort((a, b) => {
+        const priceA = priceOf(a);
+        const priceB = priceOf(b);
+
+        if (priceA === null && priceB === null) return byName(a, b);
+        if (priceA === null) return 1;
+        if (priceB === null) return -1;
+
+        return (priceA - priceB) * direction || byName(a, b);
+    });
+}
+
+/**
+ * Split sorted items into browse sections, keeping their order within each section
+ * @param {string} groupBy - 'letter' for A–Z sections, 'dietary' for DIETARY_PROFILES
+ * @returns {Array} Non-empty sections in display order, { key, items }
+ */
+export function groupItems(items, groupBy = 'letter') {
+    const keys = groupBy === 'dietary' ? DIETARY_PROFILES.map(profile => profile.key) : BROWSE_LETTERS;
+    const groups = new Map(keys.map(key => [key, []]));
+
+    items.forEach(item => {
+        const key = groupBy === 'dietary'
+            ? DIETARY_PROFILES.find(profile => profile.matches(item)).key
+            : getInitial(item.spanishName);
+        groups.get(key).push(item);
+    });
+
+    return [...groups]
+        .filter(([, groupItems]) => groupItems.length > 0)
+        .map(([key, groupItems]) => ({ key, items: groupItems }));
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.groupItems = groupItems;
+}
+
+console.log('📊 BrowseView module loaded');
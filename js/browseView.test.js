@@ -0,0 +1,53 @@
+/**
+ * Tests for the browse view helpers - grouping and sorting the whole dataset
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { getInitial, sortItems, groupItems } from './browseView.js';
+import { parsePrice } from './dataManager.js';
+
+const ITEMS = [
+    { id: 'pulpo', spanishName: 'Pulpo a la Gallega', hasSeafood: true, price: parsePrice('€14-18') },
+    { id: 'alcachofas', spanishName: 'Alcachofas', isVegetarian: true, price: parsePrice('€8') },
+    { id: 'noquis', spanishName: 'Ñoquis', isVegetarian: true, hasDairy: true },
+    { id: 'arroz', spanishName: 'Arroz con Pollo', hasOtherMeat: true, price: parsePrice('€12-14') },
+    { id: 'abanico', spanishName: 'Ábanico Ibérico', hasPork: true, price: parsePrice('S/M') },
+    { id: 'paella', spanishName: 'Paella Mixta', hasOtherMeat: true, hasSeafood: true, price: parsePrice('€8-16') },
+    { id: '43', spanishName: '43 con Hielo' },
+    { id: 'pan', spanishName: 'Pan con Tomate' }
+];
+
+const ids = items => items.map(item => item.id);
+
+describe('Browse view helpers', () => {
+    test('should file names under their initial without accents', () => {
+        expect(getInitial('Ábanico Ibérico')).toBe('A');
+        expect(getInitial('ñoquis')).toBe('Ñ');
+        expect(getInitial('43 con Hielo')).toBe('#');
+    });
+
+    test('should sort by Spanish name', () => {
+        expect(ids(sortItems(ITEMS))).toEqual(['43', 'abanico', 'alcachofas', 'arroz', 'noquis', 'paella', 'pan', 'pulpo']);
+    });
+
+    test('should sort by price with unpriced dishes last', () => {
+        expect(ids(sortItems(ITEMS, 'price-asc')).slice(0, 4)).toEqual(['alcachofas', 'paella', 'arroz', 'pulpo']);
+        expect(ids(sortItems(ITEMS, 'price-desc')).slice(0, 4)).toEqual(['pulpo', 'paella', 'arroz', 'alcachofas']);
+        expect(ids(sortItems(ITEMS, 'price-asc')).slice(4)).toEqual(['43', 'abanico', 'noquis', 'pan']);
+    });
+
+    test('should group alphabetically with Ñ after N and other initials last', () => {
+        const groups = groupItems(sortItems(ITEMS));
+
+        expect(groups.map(group => group.key)).toEqual(['A', 'Ñ', 'P', '#']);
+        expect(ids(groups[0].items)).toEqual(['abanico', 'alcachofas', 'arroz']);
+    });
+
+    test('should group by dietary profile in a fixed order', () => {
+        const groups = groupItems(sortItems(ITEMS), 'dietary');
+
+        expect(groups.map(group => group.key)).toEqual(['vegetarian', 'seafood', 'meat', 'mixed', 'other']);
+        expect(ids(groups[2].items)).toEqual(['abanico', 'arroz']);
+        expect(ids(groups[4].items)).toEqual(['43', 'pan']);
+    });
+});
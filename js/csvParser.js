@@ -0,0 +1,362 @@
+/**
+ * CSV Parser Module
+ * RFC 4180-compliant, streaming-capable CSV parser for the menu dataset.
+ * Handles quoted fields spanning multiple lines, CRLF/LF/CR line endings,
+ * a leading UTF-8 BOM and semicolon-delimited spreadsheet exports.
+ */
+
+export const CSV_ERROR_CODES = {
+    UNEXPECTED_QUOTE: 'UNEXPECTED_QUOTE',
+    TRAILING_CHARACTERS: 'TRAILING_CHARACTERS',
+    UNTERMINATED_QUOTE: 'UNTERMINATED_QUOTE',
+    FIELD_COUNT_MISMATCH: 'FIELD_COUNT_MISMATCH',
+    DUPLICATE_ID: 'DUPLICATE_ID'
+};
+
+const CANDIDATE_DELIMITERS = [',', ';'];
+
+// Parser states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+const AFTER_QUOTED = 4;
+
+export class CSVParser {
+    /**
+     * @param {object} options
+     * @param {string|null} options.delimiter - Field delimiter, or null to auto-detect from the header line
+     * @param {boolean} options.trim - Trim whitespace around field values
+     * @param {boolean} options.skipEmptyLines - Ignore blank lines
+     * @param {function} options.onRecord - Called with (fields, { row, line }) for each complete record
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null;
+        this.trim = options.trim !== false;
+        this.skipEmptyLines = options.skipEmptyLines !== false;
+        this.onRecord = options.onRecord || null;
+
+        this.records = [];
+        this.errors = [];
+
+        this.pending = '';
+        this.isFirstChunk = true;
+        this.isEnded = false;
+
+        this.state = FIELD_START;
+        this.field = '';
+        this.fields = [];
+        this.recordErrors = [];
+        this.pendingCR = false;
+
+        this.line = 1;
+        this.row = 0;
+        this.recordStartLine = 1;
+    }
+
+    /**
+     * Parse a complete CSV string
+     * @returns {object} { records, errors, delimiter }
+     */
+    static parse(text, options = {}) {
+        const parser = new CSVParser(options);
+        parser.write(text);
+        return parser.end();
+    }
+
+    /**
+     * Feed a chunk of CSV text into the parser
+     */
+    write(chunk) {
+        if (this.isEnded) {
+            throw new Error('Cannot write to a CSV parser after end()');
+        }
+
+        let text = String(chunk);
+
+        if (this.isFirstChunk && text.length > 0) {
+            this.isFirstChunk = false;
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+
+        if (!this.delimiter) {
+            // Buffer until the header line is complete so the delimiter can be detected
+            this.pending += text;
+            const headerLine = this.findFirstLine(this.pending);
+            if (headerLine === null) return;
+
+            this.delimiter = this.detectDelimiter(headerLine);
+            text = this.pending;
+            this.pending = '';
+        }
+
+        this.consume(text);
+    }
+
+    /**
+     * Flush the final record and return the parse result
+     * @returns {object} { records, errors, delimiter }
+     */
+    end() {
+        if (this.isEnded) {
+            return this.getResult();
+        }
+
+        if (!this.delimiter) {
+            this.delimiter = this.detectDelimiter(this.pending);
+            const text = this.pending;
+            this.pending = '';
+            this.consume(text);
+        }
+
+        this.isEnded = true;
+
+        if (this.state === QUOTED) {
+            this.addError(CSV_ERROR_CODES.UNTERMINATED_QUOTE,
+                'Quoted field is never closed', this.fields.length + 1);
+            this.discardRecord();
+        } else if (this.state !== FIELD_START || this.fields.length > 0) {
+            this.finishField();
+            this.finishRecord();
+        }
+
+        return this.getResult();
+    }
+
+    /**
+     * Get records and errors collected so far
+     */
+    getResult() {
+        return {
+            records: this.records,
+            errors: this.errors,
+            delimiter: this.delimiter
+        };
+    }
+
+    /**
+     * Return the text of the first record if it has been fully received, else null.
+     * Newlines inside quoted header fields do not end the line.
+     */
+    findFirstLine(text) {
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if ((char === '\n' || char === '\r') && !inQuotes) {
+                return text.slice(0, i);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick the candidate delimiter that occurs most often outside quotes
+     */
+    detectDelimiter(headerLine) {
+        const counts = {};
+        let inQuotes = false;
+
+        for (const char of headerLine) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && CANDIDATE_DELIMITERS.includes(char)) {
+                counts[char] = (counts[char] || 0) + 1;
+            }
+        }
+
+        return CANDIDATE_DELIMITERS.reduce((best, candidate) =>
+            (counts[candidate] || 0) > (counts[best] || 0) ? candidate : best
+        , CANDIDATE_DELIMITERS[0]);
+    }
+
+    /**
+     * Run the state machine over a chunk of text
+     */
+    consume(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // "\r\n" split across chunks: the "\r" already ended the record
+            if (this.pendingCR) {
+                this.pendingCR = false;
+                if (char === '\n') continue;
+            }
+
+            switch (this.state) {
+                case FIELD_START:
+                    if (char === '"') {
+                        this.state = QUOTED;
+                    } else if (char === this.delimiter) {
+                        this.finishField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.handleLineBreak(char);
+                    } else {
+                        this.field += char;
+                        this.state = UNQUOTED;
+                    }
+                    break;
+
+                case UNQUOTED:
+                    if (char === this.delimiter) {
+                        this.finishField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.handleLineBreak(char);
+                    } else {
+                        if (char === '"') {
+                            this.addError(CSV_ERROR_CODES.UNEXPECTED_QUOTE,
+                                'Quote character inside an unquoted field', this.fields.length + 1);
+                        }
+                        this.field += char;
+                    }
+                    break;
+
+                case QUOTED:
+                    if (char === '"') {
+                        this.state = QUOTE_IN_QUOTED;
+                    } else {
+                        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                            this.line++;
+                        }
+                        this.field += char;
+                    }
+                    break;
+
+                case QUOTE_IN_QUOTED:
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = QUOTED;
+                    } else if (char === this.delimiter) {
+                        this.finishField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.handleLineBreak(char);
+                    } else {
+                        this.state = AFTER_QUOTED;
+                        this.handleAfterQuoted(char);
+                    }
+                    break;
+
+                case AFTER_QUOTED:
+                    if (char === this.delimiter) {
+                        this.finishField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.handleLineBreak(char);
+                    } else {
+                        this.handleAfterQuoted(char);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Handle a character between a closing quote and the next delimiter
+     */
+    handleAfterQuoted(char) {
+        if (char === ' ' || char === '\t') return;
+
+        if (!this.recordErrors.some(error => error.code === CSV_ERROR_CODES.TRAILING_CHARACTERS)) {
+            this.addError(CSV_ERROR_CODES.TRAILING_CHARACTERS,
+                'Unexpected characters after closing quote', this.fields.length + 1);
+        }
+        this.field += char;
+    }
+
+    /**
+     * End the current record at a line break outside quotes
+     */
+    handleLineBreak(char) {
+        if (char === '\r') {
+            this.pendingCR = true;
+        }
+
+        this.finishField();
+        this.finishRecord();
+        this.line++;
+        this.recordStartLine = this.line;
+    }
+
+    /**
+     * Push the current field onto the record
+     */
+    finishField() {
+        this.fields.push(this.trim ? this.field.trim() : this.field);
+        this.field = '';
+        this.state = FIELD_START;
+    }
+
+    /**
+     * Emit the current record, or drop it if it was malformed
+     */
+    finishRecord() {
+        const fields = this.fields;
+        const isBlank = fields.length === 1 && fields[0] === '';
+
+        if (isBlank && this.skipEmptyLines && this.recordErrors.length === 0) {
+            this.resetRecord();
+            return;
+        }
+
+        this.row++;
+
+        if (this.recordErrors.length > 0) {
+            this.errors.push(...this.recordErrors.map(error => ({ ...error, row: this.row })));
+            this.resetRecord();
+            return;
+        }
+
+        const info = { row: this.row, line: this.recordStartLine };
+        this.records.push(fields);
+
+        if (this.onRecord) {
+            this.onRecord(fields, info);
+        }
+
+        this.resetRecord();
+    }
+
+    /**
+     * Drop the current record after an unrecoverable error
+     */
+    discardRecord() {
+        this.row++;
+        this.errors.push(...this.recordErrors.map(error => ({ ...error, row: this.row })));
+        this.resetRecord();
+    }
+
+    /**
+     * Clear per-record state
+     */
+    resetRecord() {
+        this.fields = [];
+        this.field = '';
+        this.recordErrors = [];
+        this.state = FIELD_START;
+    }
+
+    /**
+     * Record a structured error against the current record
+     */
+    addError(code, message, column) {
+        this.recordErrors.push({
+            row: null,
+            line: this.recordStartLine,
+            column,
+            code,
+            message
+        });
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.CSVParser = CSVParser;
+}
+
+console.log('📊 CSVParser module loaded');
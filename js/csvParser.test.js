@@ -0,0 +1,160 @@
+import { describe, test, expect } from '@jest/globals';
+import { CSVParser, CSV_ERROR_CODES } from './csvParser.js';
+
+describe('CSVParser', () => {
+    describe('basic parsing', () => {
+        test('should parse simple comma-separated records', () => {
+            const { records, errors } = CSVParser.parse('a,b,c\n1,2,3');
+
+            expect(records).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+            expect(errors).toEqual([]);
+        });
+
+        test('should handle quoted fields with delimiters and escaped quotes', () => {
+            const { records } = CSVParser.parse('name,desc\n"Paella, mixta","The ""classic"" dish"');
+
+            expect(records[1]).toEqual(['Paella, mixta', 'The "classic" dish']);
+        });
+
+        test('should keep empty fields', () => {
+            const { records } = CSVParser.parse('a,b,c\n1,,\n');
+
+            expect(records[1]).toEqual(['1', '', '']);
+        });
+
+        test('should trim fields by default and keep whitespace when disabled', () => {
+            expect(CSVParser.parse(' a , b ').records[0]).toEqual(['a', 'b']);
+            expect(CSVParser.parse(' a , b ', { trim: false }).records[0]).toEqual([' a ', ' b ']);
+        });
+
+        test('should skip blank lines', () => {
+            const { records } = CSVParser.parse('a,b\n\n1,2\n\n');
+
+            expect(records).toEqual([['a', 'b'], ['1', '2']]);
+        });
+    });
+
+    describe('line endings and encoding', () => {
+        test('should keep newlines inside quoted fields', () => {
+            const { records } = CSVParser.parse('name,desc\nGazpacho,"Cold soup\nwith tomato"\nFlan,Custard');
+
+            expect(records).toHaveLength(3);
+            expect(records[1][1]).toBe('Cold soup\nwith tomato');
+            expect(records[2]).toEqual(['Flan', 'Custard']);
+        });
+
+        test('should handle CRLF line endings without stray carriage returns', () => {
+            const { records } = CSVParser.parse('a,b\r\n1,2\r\n3,4\r\n');
+
+            expect(records).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+        });
+
+        test('should handle bare CR line endings', () => {
+            const { records } = CSVParser.parse('a,b\r1,2');
+
+            expect(records).toEqual([['a', 'b'], ['1', '2']]);
+        });
+
+        test('should strip a leading UTF-8 BOM', () => {
+            const { records } = CSVParser.parse('﻿Spanish Name,English Translation\nPulpo,Octopus');
+
+            expect(records[0][0]).toBe('Spanish Name');
+        });
+    });
+
+    describe('delimiter detection', () => {
+        test('should detect semicolon-delimited exports', () => {
+            const { records, delimiter } = CSVParser.parse('a;b;c\n"1,5";2;3');
+
+            expect(delimiter).toBe(';');
+            expect(records[1]).toEqual(['1,5', '2', '3']);
+        });
+
+        test('should default to comma', () => {
+            expect(CSVParser.parse('single').delimiter).toBe(',');
+        });
+
+        test('should respect an explicit delimiter', () => {
+            const { records } = CSVParser.parse('a;b,c', { delimiter: ',' });
+
+            expect(records[0]).toEqual(['a;b', 'c']);
+        });
+    });
+
+    describe('streaming', () => {
+        test('should produce the same records when fed in small chunks', () => {
+            const text = '﻿a;b\r\n"multi\r\nline";"x ""y"""\r\n3;4';
+            const expected = CSVParser.parse(text).records;
+
+            const parser = new CSVParser();
+            for (const char of text) {
+                parser.write(char);
+            }
+            const { records } = parser.end();
+
+            expect(records).toEqual(expected);
+            expect(records[1]).toEqual(['multi\r\nline', 'x "y"']);
+        });
+
+        test('should emit records with row and line info', () => {
+            const seen = [];
+            const parser = new CSVParser({ onRecord: (fields, info) => seen.push(info) });
+            parser.write('a,b\n"1\n');
+            parser.write('2",3\n4,5');
+            parser.end();
+
+            expect(seen).toEqual([
+                { row: 1, line: 1 },
+                { row: 2, line: 2 },
+                { row: 3, line: 4 }
+            ]);
+        });
+
+        test('should reject writes after end', () => {
+            const parser = new CSVParser();
+            parser.end();
+
+            expect(() => parser.write('a')).toThrow();
+        });
+    });
+
+    describe('error reporting', () => {
+        test('should report an unterminated quote with row and column', () => {
+            const { records, errors } = CSVParser.parse('a,b\n1,"never closed');
+
+            expect(records).toHaveLength(1);
+            expect(errors).toEqual([expect.objectContaining({
+                row: 2,
+                line: 2,
+                column: 2,
+                code: CSV_ERROR_CODES.UNTERMINATED_QUOTE
+            })]);
+        });
+
+        test('should report stray quotes in unquoted fields and skip the record', () => {
+            const { records, errors } = CSVParser.parse('a,b\n1,2 "inch"\n3,4');
+
+            expect(records).toEqual([['a', 'b'], ['3', '4']]);
+            expect(errors[0]).toMatchObject({ row: 2, column: 2, code: CSV_ERROR_CODES.UNEXPECTED_QUOTE });
+        });
+
+        test('should report characters after a closing quote', () => {
+            const { errors } = CSVParser.parse('"a"b,c');
+
+            expect(errors[0]).toMatchObject({ row: 1, column: 1, code: CSV_ERROR_CODES.TRAILING_CHARACTERS });
+        });
+
+        test('should allow whitespace after a closing quote', () => {
+            const { records, errors } = CSVParser.parse('"a" ,b');
+
+            expect(records[0]).toEqual(['a', 'b']);
+            expect(errors).toEqual([]);
+        });
+
+        test('should not log warnings for malformed records', () => {
+            CSVParser.parse('a,b\n1,"oops');
+
+            expect(console.warn).not.toHaveBeenCalled();
+        });
+    });
+});
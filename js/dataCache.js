@@ -0,0 +1,160 @@
+/**
+ * Data Cache Module
+ * Persists the parsed dataset and serialized search index in IndexedDB so a
+ * cold start can skip CSV parsing, validation and index building. Records are
+ * keyed by a hash of the raw data files, so any change to the CSVs or glossary
+ * invalidates them automatically.
+ */
+
+// Bump when the shape of cached items changes, so stale records are ignored
+export const DATA_CACHE_VERSION = 1;
+
+// Bump when the serialized search index layout changes; it is part of the index key
+export const INDEX_FORMAT_VERSION = 3;
+
+/**
+ * Fast non-cryptographic 53-bit string hash (cyrb53), returned as hex
+ */
+export function hashContent(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+export class DataCache {
+    /**
+     * @param {object} options
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {IDBFactory} options.indexedDB - IndexedDB implementation, defaults to the global one
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'spanish-menu-cheater';
+        this.storeName = 'dataset-cache';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB can be used in this environment
+     */
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later call to retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a record, or null when missing or the cache is unavailable
+     */
+    async get(key) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const value = await this.run('readonly', store => store.get(key));
+            return value === undefined ? null : value;
+        } catch (error) {
+            console.warn(`⚠️ Could not read "${key}" from the data cache:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write a record; failures (e.g. storage quota) are logged and ignored
+     * @returns {Promise<boolean>} Whether the record was stored
+     */
+    async set(key, value) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            await this.run('readwrite', store => store.put(value, key));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Could not write "${key}" to the data cache:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Delete every record whose key does not start with the given prefix,
+     * e.g. everything cached for an older dataset hash
+     */
+    async deleteExcept(prefix) {
+        if (!this.isAvailable()) return;
+
+        try {
+            const keys = await this.run('readonly', store => store.getAllKeys());
+            const stale = keys.filter(key => !String(key).startsWith(prefix));
+            if (stale.length === 0) return;
+
+            await this.run('readwrite', store => {
+                stale.forEach(key => store.delete(key));
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not prune the data cache:', error.message);
+        }
+    }
+
+    /**
+     * Remove all cached records
+     */
+    async clear() {
+        if (!this.isAvailable()) return;
+
+        try {
+            await this.run('readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('⚠️ Could not clear the data cache:', error.message);
+        }
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.DataCache = DataCache;
+}
+
+console.log('📊 DataCache module loaded');
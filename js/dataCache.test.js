@@ -0,0 +1,45 @@
+import { describe, test, expect } from '@jest/globals';
+import { DataCache, hashContent } from './dataCache.js';
+
+describe('hashContent', () => {
+    test('should return the same hash for the same text', () => {
+        expect(hashContent('Spanish Name,English Translation')).toBe(hashContent('Spanish Name,English Translation'));
+    });
+
+    test('should change when any character changes', () => {
+        const base = hashContent('flan,Custard,€3-5');
+
+        expect(hashContent('flan,Custard,€3-6')).not.toBe(base);
+        expect(hashContent('flan,Custard,€3-5\n')).not.toBe(base);
+        expect(hashContent('')).toMatch(/^[0-9a-f]+$/);
+    });
+});
+
+describe('DataCache', () => {
+    test('should degrade to a no-op cache without IndexedDB', async () => {
+        const cache = new DataCache({ indexedDB: null });
+        cache.indexedDB = null;
+
+        expect(cache.isAvailable()).toBe(false);
+        expect(await cache.get('anything')).toBeNull();
+        expect(await cache.set('anything', { items: [] })).toBe(false);
+        await expect(cache.deleteExcept('abc')).resolves.toBeUndefined();
+    });
+
+    test('should return null and warn when the database cannot be opened', async () => {
+        const failingIndexedDB = {
+            open: () => {
+                const request = {};
+                setTimeout(() => {
+                    request.error = new Error('Access denied');
+                    request.onerror();
+                });
+                return request;
+            }
+        };
+        const cache = new DataCache({ indexedDB: failingIndexedDB });
+
+        expect(await cache.get('dataset')).toBeNull();
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
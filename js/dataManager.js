@@ -3,13 +3,159 @@
  * Handles CSV parsing, data validation, and menu item management
  */
 
+import { CSVParser, CSV_ERROR_CODES } from './csvParser.js';
+import { DatasetLinter, LINT_CODES } from './datasetLinter.js';
+import { TAXONOMIES, matchesTaxonomy } from './taxonomy.js';
+import { DataCache, DATA_CACHE_VERSION, INDEX_FORMAT_VERSION, hashContent } from './dataCache.js';
+
+/**
+ * The 14 allergens regulated by EU Regulation 1169/2011 (Annex II).
+ * Each entry maps an optional CSV column to the key used in `item.allergens`.
+ */
+export const EU_ALLERGENS = [
+    { key: 'gluten', column: 'Gluten', label: { en: 'Gluten', nl: 'Gluten' } },
+    { key: 'crustaceans', column: 'Crustaceans', label: { en: 'Crustaceans', nl: 'Schaaldieren' } },
+    { key: 'eggs', column: 'Eggs', label: { en: 'Eggs', nl: 'Eieren' } },
+    { key: 'fish', column: 'Fish', label: { en: 'Fish', nl: 'Vis' } },
+    { key: 'peanuts', column: 'Peanuts', label: { en: 'Peanuts', nl: 'Pinda\'s' } },
+    { key: 'soy', column: 'Soy', label: { en: 'Soy', nl: 'Soja' } },
+    { key: 'milk', column: 'Milk', label: { en: 'Milk', nl: 'Melk' } },
+    { key: 'nuts', column: 'Nuts', label: { en: 'Tree Nuts', nl: 'Noten' } },
+    { key: 'celery', column: 'Celery', label: { en: 'Celery', nl: 'Selderij' } },
+    { key: 'mustard', column: 'Mustard', label: { en: 'Mustard', nl: 'Mosterd' } },
+    { key: 'sesame', column: 'Sesame', label: { en: 'Sesame', nl: 'Sesam' } },
+    { key: 'sulphites', column: 'Sulphites', label: { en: 'Sulphites', nl: 'Sulfiet' } },
+    { key: 'lupin', column: 'Lupin', label: { en: 'Lupin', nl: 'Lupine' } },
+    { key: 'molluscs', column: 'Molluscs', label: { en: 'Molluscs', nl: 'Weekdieren' } }
+];
+
+/**
+ * Check whether an item may contain an allergen.
+ * Unknown (null/missing) allergen data counts as "may contain" so that
+ * allergen filters never let an undeclared item through.
+ */
+export function mayContainAllergen(item, allergenKey) {
+    if (!item || !item.allergens) return true;
+    return item.allergens[allergenKey] !== false;
+}
+
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£' };
+
+// "S/M" (según mercado) and similar notations for market price
+const MARKET_PRICE_PATTERN = /^(s\/m|s\.m\.?|seg[uú]n mercado|precio de mercado|p\.?\s?m\.?|market price)$/i;
+
+/**
+ * Parse a price string such as "€8-10", "12,50 €", "$9" or "S/M" into
+ * { min, max, currency, isMarketPrice, raw }. Returns null for empty values.
+ * Unparseable values keep min/max null so callers can treat them as unknown.
+ */
+export function parsePrice(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return null;
+    
+    const price = { min: null, max: null, currency: null, isMarketPrice: false, raw };
+    
+    if (/€|\beur(os?)?\b/i.test(raw)) price.currency = 'EUR';
+    else if (/\$|\busd\b/i.test(raw)) price.currency = 'USD';
+    else if (/£|\bgbp\b/i.test(raw)) price.currency = 'GBP';
+    
+    const withoutCurrency = raw.replace(/[€$£]|\b(eur(os?)?|usd|gbp)\b/gi, '').trim();
+    if (MARKET_PRICE_PATTERN.test(withoutCurrency)) {
+        price.isMarketPrice = true;
+        price.currency = price.currency || 'EUR';
+        return price;
+    }
+    
+    const numbers = (withoutCurrency.match(/\d+(?:[.,]\d{1,2})?/g) || [])
+        .map(number => parseFloat(number.replace(',', '.')));
+    
+    if (numbers.length === 0) return price;
+    
+    price.min = numbers[0];
+    price.max = numbers.length > 1 ? numbers[1] : numbers[0];
+    price.currency = price.currency || 'EUR';
+    
+    return price;
+}
+
+/**
+ * Format a parsed price for display, e.g. "€8-10", "€8,50" (nl) or "Market price"
+ */
+export function formatPrice(price, language = 'en') {
+    if (!price) return '';
+    if (price.isMarketPrice) return language === 'nl' ? 'Marktprijs' : 'Market price';
+    if (price.min === null) return price.raw;
+    
+    const decimalSeparator = language === 'nl' ? ',' : '.';
+    const formatNumber = (number) => Number.isInteger(number)
+        ? String(number)
+        : number.toFixed(2).replace('.', decimalSeparator);
+    const symbol = CURRENCY_SYMBOLS[price.currency] || '';
+    
+    return price.max !== price.min
+        ? `${symbol}${formatNumber(price.min)}-${formatNumber(price.max)}`
+        : `${symbol}${formatNumber(price.min)}`;
+}
+
+/**
+ * Native names of languages the dataset may provide translations for.
+ * Codes not listed here are shown as their upper-cased code.
+ */
+export const LANGUAGES = {
+    en: 'English',
+    nl: 'Nederlands',
+    de: 'Deutsch',
+    fr: 'Français',
+    it: 'Italiano',
+    pt: 'Português',
+    ca: 'Català'
+};
+
+// The original English and Dutch columns, mapped onto the per-language translation model
+const LEGACY_TRANSLATION_COLUMNS = {
+    'English Translation': { language: 'en', field: 'name' },
+    'Description': { language: 'en', field: 'description' },
+    'Dutch Translation': { language: 'nl', field: 'name' },
+    'Dutch Description': { language: 'nl', field: 'description' }
+};
+
+// Columns for any other language, e.g. "Translation (de)" and "Description (fr)"
+const TRANSLATION_COLUMN_PATTERN = /^(Translation|Description) \(([a-z]{2,3})\)$/i;
+
 export class DataManager {
     constructor() {
         this.menuItems = [];
         this.isLoaded = false;
         this.dataSource = 'data/spanish_menu_items.csv';
+        this.aliasSource = 'data/id_aliases.json';
+        this.idAliases = {};
+        
+        // Ingredient glossary: canonical key -> { en, es, nl, synonyms }
+        this.ingredientSource = 'data/ingredients.json';
+        this.ingredients = {};
+        this.ingredientLookup = new Map(); // normalized name or synonym -> canonical key
+        
+        // Translations: languages to try, in order, when a field is missing in the chosen language
+        this.languageFallbacks = { default: ['en'] };
+        
+        // Data packs: core dataset plus optional regional packs
+        this.packManifestSource = 'data/packs/manifest.json';
+        this.packStorageKey = 'spanish-menu-packs';
+        this.packs = [];
+        this.packItems = new Map(); // packId -> validated items
+        this.packRows = new Map(); // packId -> { rows, parseErrors } kept for lint()
+        
+        // Parsed packs and search indexes persisted in IndexedDB, keyed by a hash of the data files
+        this.cache = new DataCache();
+        this.datasetHash = null;
+        this.loadedFromCache = false;
+        
+        // Duplicate detection
+        this.duplicateThreshold = 0.85; // Minimum name similarity (0-1) to flag a pair
+        this.duplicates = [];
         this.version = '1.0.0';
         this.lastUpdated = null;
+        this.parseErrors = [];
         
         // Data validation rules
         this.requiredFields = [
@@ -35,27 +181,34 @@ export class DataManager {
             meatItems: 0,
             seafoodItems: 0,
             validItems: 0,
-            invalidItems: 0
+            invalidItems: 0,
+            allergenItems: {}
         };
     }
     
     /**
-     * Load and parse menu data from CSV
+     * Load and parse menu data from all data packs
      */
     async loadMenuData() {
         try {
             console.log('📊 Loading menu data from CSV...');
             
-            const csvData = await this.fetchCSVData();
-            const parsedData = this.parseCSVData(csvData);
-            const validatedData = this.validateMenuData(parsedData);
+            const [packs, idAliases, ingredients] = await Promise.all([
+                this.fetchPackManifest(),
+                this.fetchIdAliases(),
+                this.fetchIngredientGlossary()
+            ]);
+            this.idAliases = idAliases;
+            this.setIngredientGlossary(ingredients);
+            this.packs = packs;
+            
+            await this.loadPacks();
+            this.applyEnabledPacks();
             
-            this.menuItems = validatedData;
             this.isLoaded = true;
             this.lastUpdated = new Date();
-            this.calculateStats();
             
-            console.log(`✅ Successfully loaded ${this.menuItems.length} menu items`);
+            console.log(`✅ Successfully loaded ${this.menuItems.length} menu items from packs: ${this.getEnabledPackIds().join(', ')}`);
             console.log('📈 Data statistics:', this.stats);
             
             return this.menuItems;
@@ -66,12 +219,334 @@ export class DataManager {
         }
     }
     
+    /**
+     * Fetch the data pack manifest.
+     * Without a usable manifest the app falls back to the core dataset alone.
+     */
+    async fetchPackManifest() {
+        try {
+            const response = await fetch(this.packManifestSource);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const manifest = await response.json();
+            const packs = (manifest && Array.isArray(manifest.packs) ? manifest.packs : [])
+                .filter(pack => pack && pack.id && pack.file)
+                .map(pack => ({
+                    id: pack.id,
+                    name: pack.name || { en: pack.id },
+                    description: pack.description || {},
+                    file: pack.file,
+                    priority: Number(pack.priority) || 0,
+                    required: Boolean(pack.required),
+                    enabledByDefault: pack.enabledByDefault !== false,
+                    status: 'pending',
+                    itemCount: 0,
+                    error: null
+                }));
+            
+            if (!packs.some(pack => pack.required)) {
+                throw new Error('Manifest has no required core pack');
+            }
+            
+            return packs;
+            
+        } catch (error) {
+            console.warn('⚠️ Could not load data pack manifest, using core dataset only:', error.message);
+            return [{
+                id: 'core',
+                name: { en: 'Everyday Spanish dishes', nl: 'Alledaagse Spaanse gerechten' },
+                description: {},
+                file: this.dataSource,
+                priority: 0,
+                required: true,
+                enabledByDefault: true,
+                status: 'pending',
+                itemCount: 0,
+                error: null
+            }];
+        }
+    }
+    
+    /**
+     * Fetch, parse and validate every pack in the manifest.
+     * A failing optional pack is recorded on the pack; a failing required pack is fatal.
+     * When the data cache holds items for exactly these files, parsing is skipped.
+     */
+    async loadPacks() {
+        this.packItems = new Map();
+        this.packRows = new Map();
+        this.loadedFromCache = false;
+        
+        // Fetch every pack first: the dataset hash covers the raw text of all of them
+        const sources = (await Promise.all(this.packs.map(async (pack) => {
+            try {
+                return { pack, csvData: await this.fetchCSVData(pack.file) };
+            } catch (error) {
+                this.handlePackError(pack, error);
+                return null;
+            }
+        }))).filter(Boolean);
+        
+        this.datasetHash = this.computeDatasetHash(sources);
+        
+        if (await this.restoreCachedPacks(sources)) {
+            this.loadedFromCache = true;
+            console.log(`⚡ Restored ${sources.length} data packs from the data cache`);
+            return;
+        }
+        
+        const parseErrors = [];
+        sources.forEach(({ pack, csvData }) => {
+            try {
+                const parsedData = this.parseCSVData(csvData);
+                parseErrors.push(...this.parseErrors.map(error => ({ ...error, pack: pack.id })));
+                this.packRows.set(pack.id, { rows: parsedData, parseErrors: [...this.parseErrors] });
+                
+                const items = this.validateMenuData(parsedData).map(item => ({ ...item, pack: pack.id }));
+                this.packItems.set(pack.id, items);
+                pack.status = 'loaded';
+                pack.itemCount = items.length;
+                pack.error = null;
+                
+            } catch (error) {
+                this.handlePackError(pack, error);
+            }
+        });
+        
+        this.parseErrors = parseErrors;
+        
+        // Not awaited: a failed write only costs the next start its cache hit
+        this.cachePacks().catch(error => {
+            console.warn('⚠️ Could not cache the data packs:', error.message);
+        });
+    }
+    
+    /**
+     * Record a pack failure; rethrow it when the pack is required
+     */
+    handlePackError(pack, error) {
+        pack.status = 'error';
+        pack.error = error.message;
+        
+        if (pack.required) {
+            throw error;
+        }
+        console.warn(`⚠️ Failed to load data pack "${pack.id}":`, error.message);
+    }
+    
+    /**
+     * Hash the cache format version, the fetched pack files and the ingredient glossary,
+     * which together determine the validated items
+     */
+    computeDatasetHash(sources) {
+        const parts = [`v${DATA_CACHE_VERSION}`, JSON.stringify(this.ingredients)];
+        sources.forEach(({ pack, csvData }) => parts.push(pack.id, pack.file, csvData));
+        
+        return hashContent(parts.join('\u0000'));
+    }
+    
+    /**
+     * Fill packItems and packRows from the data cache.
+     * @returns {Promise<boolean>} False when nothing usable was cached for the current hash
+     */
+    async restoreCachedPacks(sources) {
+        const cached = await this.cache.get(`${this.datasetHash}:dataset`);
+        if (!cached || !Array.isArray(cached.packs)) return false;
+        
+        const cachedPacks = new Map(cached.packs.map(entry => [entry.id, entry]));
+        if (!sources.every(({ pack }) => cachedPacks.has(pack.id))) return false;
+        
+        const parseErrors = [];
+        sources.forEach(({ pack }) => {
+            const entry = cachedPacks.get(pack.id);
+            this.packItems.set(pack.id, entry.items);
+            this.packRows.set(pack.id, { rows: entry.rows, parseErrors: entry.parseErrors });
+            parseErrors.push(...entry.parseErrors.map(error => ({ ...error, pack: pack.id })));
+            pack.status = 'loaded';
+            pack.itemCount = entry.items.length;
+            pack.error = null;
+        });
+        
+        this.parseErrors = parseErrors;
+        return true;
+    }
+    
+    /**
+     * Store the validated items and raw rows of every loaded pack under the dataset hash,
+     * dropping records cached for older versions of the data. Runs in the background.
+     */
+    async cachePacks() {
+        if (!this.cache.isAvailable()) return false;
+        
+        const record = {
+            savedAt: new Date().toISOString(),
+            packs: Array.from(this.packItems.keys()).map(id => ({
+                id,
+                items: this.packItems.get(id),
+                rows: this.packRows.get(id).rows,
+                parseErrors: this.packRows.get(id).parseErrors
+            }))
+        };
+        
+        const hash = this.datasetHash;
+        await this.cache.deleteExcept(hash);
+        return this.cache.set(`${hash}:dataset`, record);
+    }
+    
+    /**
+     * Key of the search index cached for the current dataset, index format and enabled packs
+     */
+    getSearchIndexCacheKey() {
+        return `${this.datasetHash}:index:v${INDEX_FORMAT_VERSION}:${[...this.getEnabledPackIds()].sort().join(',')}`;
+    }
+    
+    /**
+     * Get the serialized search index cached for the current dataset and enabled packs
+     */
+    async getCachedSearchIndex() {
+        if (!this.datasetHash) return null;
+        return this.cache.get(this.getSearchIndexCacheKey());
+    }
+    
+    /**
+     * Cache a serialized search index for the current dataset and enabled packs
+     */
+    async cacheSearchIndex(serializedIndex) {
+        if (!this.datasetHash) return false;
+        return this.cache.set(this.getSearchIndexCacheKey(), serializedIndex);
+    }
+    
+    /**
+     * Merge the items of all enabled packs into menuItems.
+     * Packs are applied in ascending priority (manifest order breaks ties), so when two
+     * packs define the same ID the higher-priority / later pack wins. The winning item
+     * keeps its `pack` and lists the packs it replaced in `overriddenPacks`.
+     */
+    applyEnabledPacks() {
+        const enabledIds = this.getEnabledPackIds();
+        const ordered = this.packs
+            .map((pack, index) => ({ pack, index }))
+            .filter(({ pack }) => enabledIds.includes(pack.id) && this.packItems.has(pack.id))
+            .sort((a, b) => a.pack.priority - b.pack.priority || a.index - b.index);
+        
+        const merged = new Map();
+        for (const { pack } of ordered) {
+            for (const item of this.packItems.get(pack.id)) {
+                const existing = merged.get(item.id);
+                merged.set(item.id, {
+                    ...item,
+                    overriddenPacks: existing ? [...existing.overriddenPacks, existing.pack] : []
+                });
+            }
+        }
+        
+        this.menuItems = Array.from(merged.values());
+        this.calculateStats();
+        
+        // Only shared names and aliases on load; similar names are compared pairwise by lint()
+        this.duplicates = this.findDuplicates(this.menuItems, { similarNames: false });
+        if (this.duplicates.length > 0) {
+            console.warn(`⚠️ ${this.duplicates.length} suspected duplicate menu items:`,
+                this.duplicates.map(dup => dup.names.join(' / ')));
+        }
+        
+        return this.menuItems;
+    }
+    
+    /**
+     * Get IDs of enabled packs (required packs are always enabled)
+     */
+    getEnabledPackIds() {
+        let stored = null;
+        
+        try {
+            const data = JSON.parse(localStorage.getItem(this.packStorageKey));
+            if (data && Array.isArray(data.enabled)) {
+                stored = data.enabled;
+            }
+        } catch (error) {
+            console.warn('Failed to load data pack settings:', error);
+        }
+        
+        return this.packs
+            .filter(pack => pack.required || (stored ? stored.includes(pack.id) : pack.enabledByDefault))
+            .map(pack => pack.id);
+    }
+    
+    /**
+     * Enable or disable a data pack and re-merge the menu items
+     * @returns {boolean} True if the setting was changed
+     */
+    setPackEnabled(packId, enabled) {
+        const pack = this.packs.find(p => p.id === packId);
+        
+        if (!pack || (pack.required && !enabled)) {
+            return false;
+        }
+        
+        const enabledIds = this.getEnabledPackIds();
+        if (enabledIds.includes(packId) === Boolean(enabled)) {
+            return false;
+        }
+        
+        const updated = enabled
+            ? [...enabledIds, packId]
+            : enabledIds.filter(id => id !== packId);
+        
+        try {
+            localStorage.setItem(this.packStorageKey, JSON.stringify({ enabled: updated }));
+        } catch (error) {
+            console.error('Failed to save data pack settings:', error);
+        }
+        
+        if (this.isLoaded) {
+            this.applyEnabledPacks();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get data packs with their enabled and load status
+     */
+    getPacks() {
+        const enabledIds = this.getEnabledPackIds();
+        
+        return this.packs.map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            description: pack.description,
+            priority: pack.priority,
+            required: pack.required,
+            enabled: enabledIds.includes(pack.id),
+            status: pack.status,
+            itemCount: pack.itemCount,
+            error: pack.error
+        }));
+    }
+    
+    /**
+     * Get IDs of items in every loaded pack, including disabled ones
+     */
+    getKnownItemIds() {
+        const ids = new Set();
+        
+        for (const items of this.packItems.values()) {
+            items.forEach(item => ids.add(item.id));
+        }
+        
+        return Array.from(ids);
+    }
+    
     /**
      * Fetch CSV data from file
      */
-    async fetchCSVData() {
+    async fetchCSVData(source = this.dataSource) {
         try {
-            const response = await fetch(this.dataSource);
+            const response = await fetch(source);
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -93,21 +568,84 @@ export class DataManager {
         }
     }
     
+    /**
+     * Fetch the table mapping retired item IDs to current IDs.
+     * Aliases are optional, so failures fall back to an empty table.
+     */
+    async fetchIdAliases() {
+        try {
+            const response = await fetch(this.aliasSource);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            return (data && typeof data.aliases === 'object' && data.aliases) || {};
+            
+        } catch (error) {
+            console.warn('⚠️ Could not load ID aliases, preference migration disabled:', error.message);
+            return {};
+        }
+    }
+    
+    /**
+     * Fetch the ingredient glossary.
+     * The glossary only adds translations and synonyms, so failures fall back to an empty one.
+     */
+    async fetchIngredientGlossary() {
+        try {
+            const response = await fetch(this.ingredientSource);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            return (data && typeof data.ingredients === 'object' && data.ingredients) || {};
+            
+        } catch (error) {
+            console.warn('⚠️ Could not load ingredient glossary, ingredients will not be translated:', error.message);
+            return {};
+        }
+    }
+    
+    /**
+     * Replace the ingredient glossary and rebuild the name lookup
+     */
+    setIngredientGlossary(glossary = {}) {
+        this.ingredients = glossary;
+        this.ingredientLookup = new Map();
+        
+        Object.keys(glossary).forEach(key => {
+            this.getIngredientTerms(key).forEach(term => {
+                const normalized = this.normalizeName(term);
+                if (normalized && !this.ingredientLookup.has(normalized)) {
+                    this.ingredientLookup.set(normalized, key);
+                }
+            });
+        });
+    }
+    
     /**
      * Parse CSV data into structured objects
      */
     parseCSVData(csvText) {
         try {
-            const lines = csvText.trim().split('\n');
+            const records = [];
+            const { errors } = CSVParser.parse(csvText, {
+                onRecord: (fields, info) => records.push({ fields, ...info })
+            });
+            this.parseErrors = [...errors];
             
-            if (lines.length === 0) {
+            if (records.length === 0) {
                 throw new Error('CSV file has no content');
             }
             
             // Parse header row
-            const headers = this.parseCSVLine(lines[0]);
+            const headers = records[0].fields;
             
-            if (headers.length === 0) {
+            if (headers.length === 0 || headers.every(header => !header)) {
                 throw new Error('CSV file has no headers');
             }
             
@@ -122,40 +660,53 @@ export class DataManager {
             
             // Parse data rows
             const menuItems = [];
+            const seenIds = new Map();
             
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
+            for (let i = 1; i < records.length; i++) {
+                const { fields: values, row, line } = records[i];
                 
-                // Skip empty lines
-                if (!line) continue;
+                if (values.length !== headers.length) {
+                    this.parseErrors.push({
+                        row,
+                        line,
+                        column: Math.min(values.length, headers.length) + 1,
+                        code: CSV_ERROR_CODES.FIELD_COUNT_MISMATCH,
+                        message: `Column count mismatch. Expected ${headers.length}, got ${values.length}`
+                    });
+                    continue;
+                }
                 
-                try {
-                    const values = this.parseCSVLine(line);
-                    
-                    if (values.length !== headers.length) {
-                        console.warn(`Row ${i + 1}: Column count mismatch. Expected ${headers.length}, got ${values.length}`);
-                        continue;
-                    }
-                    
-                    // Create menu item object
-                    const menuItem = {};
-                    headers.forEach((header, index) => {
-                        menuItem[header] = values[index] || '';
+                // Create menu item object
+                const menuItem = {};
+                headers.forEach((header, index) => {
+                    menuItem[header] = values[index] || '';
+                });
+                
+                // Add metadata
+                menuItem._rowNumber = line;
+                menuItem._id = this.cleanString(menuItem['ID']) || this.generateItemId(menuItem);
+                
+                if (seenIds.has(menuItem._id)) {
+                    this.parseErrors.push({
+                        row,
+                        line,
+                        column: headers.indexOf('ID') + 1 || null,
+                        code: CSV_ERROR_CODES.DUPLICATE_ID,
+                        message: `Duplicate ID "${menuItem._id}" (first used on row ${seenIds.get(menuItem._id)})`
                     });
-                    
-                    // Add metadata
-                    menuItem._rowNumber = i + 1;
-                    menuItem._id = this.generateItemId(menuItem);
-                    
-                    menuItems.push(menuItem);
-                    
-                } catch (rowError) {
-                    console.warn(`Row ${i + 1}: Parse error - ${rowError.message}`);
                     continue;
                 }
+                seenIds.set(menuItem._id, row);
+                
+                menuItems.push(menuItem);
             }
             
-            console.log(`📋 Parsed ${menuItems.length} items from ${lines.length - 1} CSV rows`);
+            this.parseErrors.sort((a, b) => a.row - b.row);
+            
+            console.log(`📋 Parsed ${menuItems.length} items from ${records.length - 1} CSV rows`);
+            if (this.parseErrors.length > 0) {
+                console.log(`⚠️ ${this.parseErrors.length} malformed CSV records skipped`);
+            }
             return menuItems;
             
         } catch (error) {
@@ -167,35 +718,16 @@ export class DataManager {
      * Parse a single CSV line handling quotes and commas
      */
     parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let quoteCount = 0;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                quoteCount++;
-                if (inQuotes && line[i + 1] === '"') {
-                    // Handle escaped quotes
-                    current += '"';
-                    i++; // Skip next quote
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        // Add the last field
-        result.push(current.trim());
-        
-        return result;
+        const { records } = CSVParser.parse(line, { delimiter: ',', skipEmptyLines: false });
+        return records[0] || [''];
+    }
+    
+    /**
+     * Get structured errors for malformed records from the last parse
+     * @returns {Array} Array of { row, line, column, code, message }
+     */
+    getParseErrors() {
+        return [...this.parseErrors];
     }
     
     /**
@@ -234,15 +766,28 @@ export class DataManager {
             return null; // Skip items without essential fields
         }
         
+        const translations = this.parseTranslations(item);
+        const english = translations.en || {};
+        const dutch = translations.nl || {};
+        
         // Clean and normalize the item
         const cleanItem = {
             // Core information
             spanishName: this.cleanString(item['Spanish Name']),
+            aliases: this.parseList(item['Aliases']),
             englishName: this.cleanString(item['English Translation']),
-            dutchName: this.cleanString(item['Dutch Translation'] || item['English Translation']), // Fallback to English if Dutch missing
+            dutchName: dutch.name || english.name, // Fallback to English if Dutch missing
             description: this.cleanString(item['Description'] || ''),
-            dutchDescription: this.cleanString(item['Dutch Description'] || item['Description'] || ''), // Fallback to English description
+            dutchDescription: dutch.description || english.description || '', // Fallback to English description
+            translations,
             priceRange: this.cleanString(item['Price Range'] || ''),
+            price: this.parsePrice(item['Price Range']),
+            ingredients: this.parseIngredients(item['Ingredients']),
+            
+            // Course, category and region of origin (vocabulary keys, null when unknown)
+            course: this.parseTaxonomy(item['Course'], 'course'),
+            category: this.parseTaxonomy(item['Category'], 'category'),
+            region: this.parseTaxonomy(item['Region'], 'region'),
             
             // Dietary information (convert to boolean)
             hasPork: this.parseBoolean(item['Pork']),
@@ -251,6 +796,9 @@ export class DataManager {
             hasDairy: this.parseBoolean(item['Dairy']),
             isVegetarian: this.parseBoolean(item['Vegetarian']),
             
+            // EU allergens (true / false / null when undeclared)
+            allergens: this.parseAllergens(item),
+            
             // Additional data
             googleSearchUrl: item['Google Search'] || '',
             
@@ -274,7 +822,52 @@ export class DataManager {
     }
     
     /**
-     * Generate unique ID for menu item
+     * Parse the EU allergen columns of a raw CSV row.
+     * Missing columns or empty cells fall back to what the legacy dietary
+     * columns can tell us, otherwise the allergen stays unknown (null).
+     */
+    parseAllergens(item) {
+        const allergens = {};
+        
+        EU_ALLERGENS.forEach(allergen => {
+            const value = this.parseAllergenFlag(item[allergen.column]);
+            allergens[allergen.key] = value !== null ? value : this.deriveLegacyAllergen(item, allergen.key);
+        });
+        
+        return allergens;
+    }
+    
+    /**
+     * Parse a single allergen cell, returning null when it is empty
+     */
+    parseAllergenFlag(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value !== 'string' || value.trim().length === 0) return null;
+        
+        return this.parseBoolean(value);
+    }
+    
+    /**
+     * Derive an allergen from the legacy Dairy and Fish/Seafood columns
+     */
+    deriveLegacyAllergen(item, allergenKey) {
+        const hasColumn = (column) => typeof item[column] === 'string' && item[column].trim().length > 0;
+        
+        if (allergenKey === 'milk' && hasColumn('Dairy')) {
+            return this.parseBoolean(item['Dairy']);
+        }
+        
+        // "No seafood" rules out all three aquatic allergens; "seafood" does not say which one
+        if (['fish', 'crustaceans', 'molluscs'].includes(allergenKey) && hasColumn('Fish/Seafood')) {
+            return this.parseBoolean(item['Fish/Seafood']) ? null : false;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Generate a legacy hash ID for rows without an ID column.
+     * These IDs change whenever the names are edited; id_aliases.json maps them to stable IDs.
      */
     generateItemId(item) {
         const spanishName = item['Spanish Name'] || '';
@@ -305,6 +898,423 @@ export class DataManager {
             .replace(/['']/g, "'"); // Normalize apostrophes
     }
     
+    /**
+     * Map a CSV column to the translation it holds, or null for other columns
+     * @returns {object|null} { language, field } where field is 'name' or 'description'
+     */
+    parseTranslationColumn(column) {
+        if (LEGACY_TRANSLATION_COLUMNS[column]) {
+            return LEGACY_TRANSLATION_COLUMNS[column];
+        }
+        
+        const match = TRANSLATION_COLUMN_PATTERN.exec(column);
+        if (!match) return null;
+        
+        return {
+            language: match[2].toLowerCase(),
+            field: match[1].toLowerCase() === 'translation' ? 'name' : 'description'
+        };
+    }
+    
+    /**
+     * Collect every translation column of a raw row into { language: { name, description } }.
+     * Empty cells are left out so getTranslation() can fill them from the fallback chain.
+     */
+    parseTranslations(item) {
+        const translations = {};
+        
+        Object.keys(item).forEach(column => {
+            const target = this.parseTranslationColumn(column);
+            const value = this.cleanString(item[column]);
+            if (!target || !value) return;
+            
+            translations[target.language] = translations[target.language] || {};
+            translations[target.language][target.field] = value;
+        });
+        
+        return translations;
+    }
+    
+    /**
+     * Replace the fallback chains, e.g. { ca: ['es', 'en'] }; `default` applies to unlisted languages
+     */
+    setLanguageFallbacks(fallbacks = {}) {
+        this.languageFallbacks = { default: ['en'], ...fallbacks };
+    }
+    
+    /**
+     * Languages to try, in order, when showing text in `language`. English always comes last
+     * because every item has an English name.
+     */
+    getLanguageChain(language) {
+        const fallbacks = this.languageFallbacks[language] || this.languageFallbacks.default || [];
+        return [...new Set([language, ...fallbacks, 'en'])];
+    }
+    
+    /**
+     * Get an item's name and description in a language. Name and description are
+     * resolved separately, so a translated name can come with a fallback description.
+     * @returns {object} { name, description, language } where language is the language the name was found in
+     */
+    getTranslation(item, language = 'en') {
+        const translations = item.translations || {};
+        const result = { name: '', description: '', language: 'en' };
+        
+        for (const code of this.getLanguageChain(language)) {
+            const entry = translations[code] || {};
+            if (!result.name && entry.name) {
+                result.name = entry.name;
+                result.language = code;
+            }
+            if (!result.description && entry.description) {
+                result.description = entry.description;
+            }
+        }
+        
+        return {
+            name: result.name || item.englishName || '',
+            description: result.description || item.description || '',
+            language: result.language
+        };
+    }
+    
+    /**
+     * Languages with at least one translated name in the loaded items, English first
+     */
+    getAvailableLanguages() {
+        const languages = new Set(['en']);
+        
+        this.menuItems.forEach(item => {
+            Object.entries(item.translations || {}).forEach(([code, entry]) => {
+                if (entry.name) languages.add(code);
+            });
+        });
+        
+        return [...languages].sort((a, b) => (a === 'en' ? -1 : b === 'en' ? 1 : a.localeCompare(b)));
+    }
+    
+    /**
+     * Get the display name of a language code
+     */
+    getLanguageName(code) {
+        return LANGUAGES[code] || code.toUpperCase();
+    }
+    
+    /**
+     * Parse a pipe-separated list column (e.g. "Pa amb Tomàquet|Pan Tumaca")
+     */
+    parseList(value) {
+        if (!value) return [];
+        
+        return String(value)
+            .split('|')
+            .map(entry => this.cleanString(entry))
+            .filter(entry => entry.length > 0);
+    }
+    
+    /**
+     * Parse a pipe-separated Ingredients cell into canonical ingredient keys
+     */
+    parseIngredients(value) {
+        const keys = this.parseList(value).map(name => this.resolveIngredient(name));
+        return [...new Set(keys)];
+    }
+    
+    /**
+     * Map an ingredient name in any language to its glossary key.
+     * Names missing from the glossary are kept as lowercase text.
+     */
+    resolveIngredient(name) {
+        const cleaned = this.cleanString(name).toLowerCase();
+        return this.ingredientLookup.get(this.normalizeName(cleaned)) || cleaned;
+    }
+    
+    /**
+     * Check whether an ingredient key is defined in the glossary
+     */
+    isKnownIngredient(key) {
+        return Object.prototype.hasOwnProperty.call(this.ingredients, key);
+    }
+    
+    /**
+     * Get the display name of an ingredient, falling back to English and then the key
+     */
+    getIngredientName(key, language = 'en') {
+        const entry = this.ingredients[key];
+        if (!entry) return key;
+        return entry[language] || entry.en || key;
+    }
+    
+    /**
+     * Get every name an ingredient can be searched by: key, translations and synonyms
+     */
+    getIngredientTerms(key) {
+        const entry = this.ingredients[key];
+        if (!entry) return [key];
+        
+        const terms = [key, entry.en, entry.es, entry.nl, ...(entry.synonyms || [])]
+            .filter(term => typeof term === 'string' && term.trim().length > 0)
+            .map(term => term.trim().toLowerCase());
+        
+        return [...new Set(terms)];
+    }
+    
+    /**
+     * Resolve a Course/Category/Region cell to a vocabulary key.
+     * Accepts the key itself or an English/Dutch label; returns null when unknown.
+     */
+    parseTaxonomy(value, field) {
+        const taxonomy = TAXONOMIES[field];
+        if (!taxonomy || !value) return null;
+        
+        const normalized = this.normalizeName(value);
+        if (!normalized) return null;
+        
+        const match = taxonomy.values.find(entry =>
+            this.normalizeName(entry.key) === normalized ||
+            Object.values(entry.label).some(label => this.normalizeName(label) === normalized)
+        );
+        
+        return match ? match.key : null;
+    }
+    
+    /**
+     * Parse a Price Range value into a structured price (see parsePrice)
+     */
+    parsePrice(value) {
+        return parsePrice(value);
+    }
+    
+    /**
+     * Normalize a dish name for duplicate comparison:
+     * lowercase, without accents, spaces or punctuation
+     */
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+    
+    /**
+     * Dice coefficient over character bigrams of two normalized names
+     */
+    nameSimilarity(name1, name2) {
+        if (name1 === name2) return 1.0;
+        if (name1.length < 2 || name2.length < 2) return 0.0;
+        
+        const bigrams = (str) => {
+            const counts = new Map();
+            for (let i = 0; i < str.length - 1; i++) {
+                const bigram = str.slice(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+        
+        const bigrams1 = bigrams(name1);
+        const bigrams2 = bigrams(name2);
+        let overlap = 0;
+        
+        for (const [bigram, count] of bigrams1) {
+            overlap += Math.min(count, bigrams2.get(bigram) || 0);
+        }
+        
+        return (2 * overlap) / (name1.length - 1 + name2.length - 1);
+    }
+    
+    /**
+     * Find suspected duplicate items by normalized Spanish name and alias similarity
+     * @param {object} options - { similarNames: false } to only find items sharing a
+     *   name or alias, which takes linear time instead of comparing every pair
+     * @returns {Array} Array of { ids, names, similarity, reason }
+     */
+    findDuplicates(items = this.menuItems, options = {}) {
+        const entries = items.map(item => ({
+            item,
+            name: this.normalizeName(item.spanishName),
+            aliases: (item.aliases || []).map(alias => this.normalizeName(alias))
+        }));
+        const duplicates = [];
+        
+        const compare = (a, b) => {
+            let reason = null;
+            let similarity = 0;
+            
+            if (a.name === b.name) {
+                reason = 'same-name';
+                similarity = 1.0;
+            } else if (a.aliases.includes(b.name) || b.aliases.includes(a.name) ||
+                       a.aliases.some(alias => b.aliases.includes(alias))) {
+                reason = 'alias';
+                similarity = 1.0;
+            } else if (options.similarNames !== false) {
+                similarity = this.nameSimilarity(a.name, b.name);
+                if (similarity >= this.duplicateThreshold) {
+                    reason = 'similar-name';
+                }
+            }
+            
+            if (reason) {
+                duplicates.push({
+                    ids: [a.item.id, b.item.id],
+                    names: [a.item.spanishName, b.item.spanishName],
+                    similarity: Math.round(similarity * 100) / 100,
+                    reason
+                });
+            }
+        };
+        
+        if (options.similarNames === false) {
+            this.findSharedNamePairs(entries).forEach(([i, j]) => compare(entries[i], entries[j]));
+            return duplicates;
+        }
+        
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                compare(entries[i], entries[j]);
+            }
+        }
+        
+        return duplicates;
+    }
+    
+    /**
+     * Index pairs of entries that share a normalized name or alias, in index order
+     */
+    findSharedNamePairs(entries) {
+        const byName = new Map();
+        entries.forEach((entry, index) => {
+            new Set([entry.name, ...entry.aliases]).forEach(name => {
+                if (!byName.has(name)) byName.set(name, []);
+                byName.get(name).push(index);
+            });
+        });
+        
+        const pairs = new Map();
+        byName.forEach(indexes => {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    pairs.set(`${indexes[i]}:${indexes[j]}`, [indexes[i], indexes[j]]);
+                }
+            }
+        });
+        
+        return Array.from(pairs.values()).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    }
+    
+    /**
+     * Lint every loaded pack and return a structured report for curators
+     * @returns {object} { itemsChecked, summary: { errors, warnings }, byCode, issues }
+     */
+    lint() {
+        if (!this.isLoaded) {
+            throw new Error('Menu data not loaded. Call loadMenuData() first.');
+        }
+        
+        const linter = new DatasetLinter(this);
+        const issues = [];
+        let itemsChecked = 0;
+        
+        for (const pack of this.packs) {
+            const raw = this.packRows.get(pack.id);
+            if (!raw) continue;
+            
+            itemsChecked += raw.rows.length;
+            issues.push(...linter.lintRows(raw.rows, { pack: pack.id, parseErrors: raw.parseErrors }));
+        }
+        
+        // Compare across all packs, enabled or not; items sharing an ID are deliberate overrides
+        const allItems = new Map();
+        for (const items of this.packItems.values()) {
+            items.forEach(item => allItems.set(item.id, item));
+        }
+        issues.push(...this.duplicateIssues(Array.from(allItems.values())));
+        
+        return this.buildLintReport(issues, itemsChecked);
+    }
+    
+    /**
+     * Lint CSV text without loading it, e.g. from a Node script in CI
+     * @param {string} csvText - CSV file contents
+     * @param {object} options - { pack } label used in the report
+     * @returns {object} Lint report, see lint()
+     */
+    lintCSV(csvText, options = {}) {
+        const pack = options.pack || null;
+        const linter = new DatasetLinter(this);
+        let rows;
+        
+        try {
+            rows = this.parseCSVData(csvText);
+        } catch (error) {
+            return this.buildLintReport([{
+                severity: 'error',
+                code: LINT_CODES.MALFORMED_RECORD,
+                pack,
+                row: null,
+                id: null,
+                field: null,
+                message: error.message
+            }], 0);
+        }
+        
+        const issues = linter.lintRows(rows, { pack, parseErrors: this.getParseErrors() });
+        const items = this.validateMenuData(rows).map(item => ({ ...item, pack }));
+        issues.push(...this.duplicateIssues(items));
+        
+        return this.buildLintReport(issues, rows.length);
+    }
+    
+    /**
+     * Convert suspected duplicates into lint issues
+     */
+    duplicateIssues(items) {
+        const byId = new Map(items.map(item => [item.id, item]));
+        
+        return this.findDuplicates(items).map(duplicate => {
+            const item = byId.get(duplicate.ids[1]);
+            return {
+                severity: 'warning',
+                code: LINT_CODES.SUSPECTED_DUPLICATE,
+                pack: item.pack || null,
+                row: item.rowNumber || null,
+                id: item.id,
+                field: 'Spanish Name',
+                message: `"${duplicate.names[1]}" looks like a duplicate of "${duplicate.names[0]}" (${duplicate.reason}, similarity ${duplicate.similarity})`
+            };
+        });
+    }
+    
+    /**
+     * Summarize lint issues into a report
+     */
+    buildLintReport(issues, itemsChecked) {
+        const byCode = {};
+        issues.forEach(issue => {
+            byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+        });
+        
+        return {
+            itemsChecked,
+            summary: {
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length
+            },
+            byCode,
+            issues
+        };
+    }
+    
+    /**
+     * Get items sharing a name or alias found when the data was loaded;
+     * lint() also reports similar spellings
+     */
+    getDuplicates() {
+        return [...this.duplicates];
+    }
+    
     /**
      * Parse boolean values from CSV
      */
@@ -328,10 +1338,32 @@ export class DataManager {
             meatItems: this.menuItems.filter(item => item.hasOtherMeat).length,
             seafoodItems: this.menuItems.filter(item => item.hasSeafood).length,
             validItems: this.menuItems.length,
-            invalidItems: 0 // Set during validation
+            invalidItems: 0, // Set during validation
+            allergenItems: Object.fromEntries(EU_ALLERGENS.map(allergen => [
+                allergen.key,
+                this.menuItems.filter(item => item.allergens && item.allergens[allergen.key] === true).length
+            ])),
+            courseItems: this.countByTaxonomy('course'),
+            categoryItems: this.countByTaxonomy('category'),
+            regionItems: this.countByTaxonomy('region')
         };
     }
     
+    /**
+     * Count menu items per vocabulary key of a course/category/region field,
+     * in vocabulary order and leaving out keys without items
+     */
+    countByTaxonomy(field) {
+        const counts = {};
+        
+        TAXONOMIES[field].values.forEach(entry => {
+            const count = this.menuItems.filter(item => item[field] === entry.key).length;
+            if (count > 0) counts[entry.key] = count;
+        });
+        
+        return counts;
+    }
+    
     /**
      * Get all menu items
      */
@@ -382,9 +1414,58 @@ export class DataManager {
             filtered = filtered.filter(item => !item.hasSeafood);
         }
         
+        // Allergen exclusions, e.g. { excludeAllergens: ['gluten', 'nuts'] }
+        if (Array.isArray(filters.excludeAllergens) && filters.excludeAllergens.length > 0) {
+            filtered = filtered.filter(item => 
+                !filters.excludeAllergens.some(key => mayContainAllergen(item, key))
+            );
+        }
+        
+        // Ingredient exclusions by glossary key, e.g. { excludeIngredients: ['mushrooms'] }
+        if (Array.isArray(filters.excludeIngredients) && filters.excludeIngredients.length > 0) {
+            filtered = filtered.filter(item =>
+                !(item.ingredients || []).some(key => filters.excludeIngredients.includes(key))
+            );
+        }
+        
+        // Course, category and region, e.g. { course: 'dessert' } or { region: ['galicia', 'asturias'] }
+        Object.keys(TAXONOMIES).forEach(field => {
+            if (filters[field]) {
+                filtered = filtered.filter(item => matchesTaxonomy(item, field, filters[field]));
+            }
+        });
+        
         return filtered;
     }
     
+    /**
+     * Resolve a possibly retired item ID to its current ID
+     * @param {string} id - Item ID, possibly from an older dataset
+     * @returns {string|null} Current ID, or null if it cannot be resolved
+     */
+    resolveItemId(id) {
+        const knownIds = new Set(this.getKnownItemIds());
+        const visited = new Set();
+        let current = id;
+        
+        while (current && !visited.has(current)) {
+            if (knownIds.has(current)) {
+                return current;
+            }
+            visited.add(current);
+            current = this.idAliases[current];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the alias table mapping retired IDs to current IDs
+     */
+    getIdAliases() {
+        return { ...this.idAliases };
+    }
+    
     /**
      * Get data statistics
      */
@@ -401,7 +1482,12 @@ export class DataManager {
             version: this.version,
             lastUpdated: this.lastUpdated,
             isLoaded: this.isLoaded,
-            itemCount: this.menuItems.length
+            itemCount: this.menuItems.length,
+            parseErrorCount: this.parseErrors.length,
+            enabledPacks: this.getEnabledPackIds(),
+            datasetHash: this.datasetHash,
+            loadedFromCache: this.loadedFromCache,
+            languages: this.getAvailableLanguages()
         };
     }
     
@@ -2,7 +2,9 @@
  * Tests for DataManager - Menu Data Processing and Management
  */
 
-import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DataManager, EU_ALLERGENS, mayContainAllergen, parsePrice, formatPrice, LANGUAGES } from './dataManager.js';
+import { INDEX_FORMAT_VERSION } from './dataCache.js';
 
 // Mock the DataManager for testing
 class MockDataManager {
@@ -639,4 +641,772 @@ describe('DataManager Error Handling', () => {
         const result = dataManager.cleanString(input);
         expect(result).toBe(input);
     });
-});
\ No newline at end of file
+});
+
+describe('DataManager EU Allergens', () => {
+    let dataManager;
+    
+    const baseRow = {
+        'Spanish Name': 'Croquetas',
+        'English Translation': 'Croquettes',
+        'Pork': 'false',
+        'Other Meat': 'false',
+        'Fish/Seafood': 'false',
+        'Dairy': 'true',
+        'Vegetarian': 'false'
+    };
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should define all 14 EU allergens', () => {
+        expect(EU_ALLERGENS).toHaveLength(14);
+        expect(EU_ALLERGENS.map(allergen => allergen.key)).toEqual(expect.arrayContaining([
+            'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soy', 'milk',
+            'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+        ]));
+    });
+    
+    test('should parse allergen columns into an allergens structure', () => {
+        const item = dataManager.validateMenuItem({
+            ...baseRow,
+            'Gluten': 'TRUE',
+            'Eggs': 'TRUE',
+            'Nuts': 'FALSE',
+            'Celery': ''
+        });
+        
+        expect(item.allergens.gluten).toBe(true);
+        expect(item.allergens.eggs).toBe(true);
+        expect(item.allergens.nuts).toBe(false);
+        expect(item.allergens.celery).toBeNull();
+        expect(Object.keys(item.allergens)).toHaveLength(14);
+    });
+    
+    test('should derive what it can from legacy columns when allergen columns are missing', () => {
+        const item = dataManager.validateMenuItem(baseRow);
+        
+        expect(item.allergens.milk).toBe(true);
+        expect(item.allergens.fish).toBe(false);
+        expect(item.allergens.crustaceans).toBe(false);
+        expect(item.allergens.molluscs).toBe(false);
+        expect(item.allergens.gluten).toBeNull();
+    });
+    
+    test('should leave aquatic allergens unknown for legacy seafood items', () => {
+        const item = dataManager.validateMenuItem({ ...baseRow, 'Fish/Seafood': 'true' });
+        
+        expect(item.allergens.fish).toBeNull();
+        expect(item.allergens.crustaceans).toBeNull();
+        expect(item.allergens.molluscs).toBeNull();
+    });
+    
+    test('should prefer explicit allergen columns over legacy flags', () => {
+        const item = dataManager.validateMenuItem({ ...baseRow, 'Milk': 'false' });
+        expect(item.allergens.milk).toBe(false);
+    });
+    
+    test('should load old CSVs without allergen columns', () => {
+        const csv = [
+            'Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search',
+            'Gazpacho,Cold Soup,Koude Soep,Cold tomato soup,Koude tomatensoep,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,'
+        ].join('\n');
+        
+        const items = dataManager.validateMenuData(dataManager.parseCSVData(csv));
+        expect(items).toHaveLength(1);
+        expect(items[0].allergens.milk).toBe(false);
+    });
+    
+    test('should treat unknown allergens as possibly present', () => {
+        expect(mayContainAllergen({ allergens: { gluten: false } }, 'gluten')).toBe(false);
+        expect(mayContainAllergen({ allergens: { gluten: null } }, 'gluten')).toBe(true);
+        expect(mayContainAllergen({ allergens: { gluten: true } }, 'gluten')).toBe(true);
+        expect(mayContainAllergen({}, 'gluten')).toBe(true);
+    });
+    
+    test('should exclude allergens in filterByDietary', () => {
+        dataManager.menuItems = [
+            { id: '1', spanishName: 'Pan', allergens: { gluten: true, eggs: false } },
+            { id: '2', spanishName: 'Gazpacho', allergens: { gluten: false, eggs: false } },
+            { id: '3', spanishName: 'Flan', allergens: { gluten: false, eggs: true } },
+            { id: '4', spanishName: 'Unknown', allergens: { gluten: null, eggs: null } }
+        ];
+        dataManager.isLoaded = true;
+        
+        const noGluten = dataManager.filterByDietary({ excludeAllergens: ['gluten'] });
+        expect(noGluten.map(item => item.spanishName)).toEqual(['Gazpacho', 'Flan']);
+        
+        const noGlutenOrEggs = dataManager.filterByDietary({ excludeAllergens: ['gluten', 'eggs'] });
+        expect(noGlutenOrEggs.map(item => item.spanishName)).toEqual(['Gazpacho']);
+    });
+    
+    test('should count declared allergens in statistics', () => {
+        dataManager.menuItems = [
+            { allergens: { gluten: true, eggs: true } },
+            { allergens: { gluten: true, eggs: null } }
+        ];
+        dataManager.calculateStats();
+        
+        expect(dataManager.getStats().allergenItems.gluten).toBe(2);
+        expect(dataManager.getStats().allergenItems.eggs).toBe(1);
+    });
+    
+    test('should declare every allergen in the shipped dataset and packs', async () => {
+        const fs = await import('fs');
+        const files = ['spanish_menu_items.csv', 'packs/basque_country.csv', 'packs/catalonia.csv', 'packs/galicia.csv'];
+        dataManager.menuItems = files.flatMap(file => dataManager.validateMenuData(
+            dataManager.parseCSVData(fs.readFileSync(new URL(`../data/${file}`, import.meta.url), 'utf8'))
+        ));
+        dataManager.isLoaded = true;
+        
+        const undeclared = dataManager.menuItems.filter(item => Object.values(item.allergens).includes(null));
+        expect(undeclared.map(item => item.id)).toEqual([]);
+        
+        ['gluten', 'nuts', 'milk', 'eggs'].forEach(key => {
+            const remaining = dataManager.filterByDietary({ excludeAllergens: [key] });
+            expect(remaining.length).toBeGreaterThan(0);
+            expect(remaining.length).toBeLessThan(dataManager.menuItems.length);
+        });
+    });
+});
+
+describe('DataManager CSV Parsing', () => {
+    const header = 'Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should parse multi-line quoted descriptions', () => {
+        const csv = `${header}\n` +
+            'Gazpacho,Cold Soup,Koude Soep,"Cold tomato soup,\nserved chilled",Koude soep,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,\n' +
+            'Flan,Custard,Vla,Caramel custard,Karamelvla,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,';
+        
+        const items = dataManager.parseCSVData(csv);
+        
+        expect(items).toHaveLength(2);
+        expect(items[0].Description).toBe('Cold tomato soup,\nserved chilled');
+        expect(items[1]._rowNumber).toBe(4);
+    });
+    
+    test('should handle BOM, CRLF and semicolon-delimited exports', () => {
+        const csv = '﻿' + header.replace(/,/g, ';') + '\r\n' +
+            'Pulpo;Octopus;Octopus;Galician octopus;Galicische octopus;€12-18;FALSE;FALSE;TRUE;FALSE;FALSE;\r\n';
+        
+        const items = dataManager.parseCSVData(csv);
+        
+        expect(items).toHaveLength(1);
+        expect(items[0]['Spanish Name']).toBe('Pulpo');
+        expect(items[0]['Google Search']).toBe('');
+    });
+    
+    test('should collect structured errors for malformed records', () => {
+        const csv = `${header}\n` +
+            'Pulpo,Octopus\n' +
+            'Flan,Custard,Vla,Caramel custard,Karamelvla,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,\n' +
+            'Tarta,Cake,"Taart,Cake';
+        
+        const items = dataManager.parseCSVData(csv);
+        const errors = dataManager.getParseErrors();
+        
+        expect(items).toHaveLength(1);
+        expect(errors).toEqual([
+            expect.objectContaining({ row: 2, column: 3, code: 'FIELD_COUNT_MISMATCH' }),
+            expect.objectContaining({ row: 4, column: 3, code: 'UNTERMINATED_QUOTE' })
+        ]);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+    
+    test('should keep parseCSVLine working for single lines', () => {
+        expect(dataManager.parseCSVLine('a,"b, c",d')).toEqual(['a', 'b, c', 'd']);
+    });
+});
+
+describe('DataManager Stable IDs', () => {
+    const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+    const row = (id, name, english) =>
+        `${id},${name},${english},${english},Desc,Desc,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,`;
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should use the ID column so translation edits keep the ID', () => {
+        const before = dataManager.validateMenuData(dataManager.parseCSVData(`${header}\n${row('gazpacho', 'Gazpacho', 'Cold Soup')}`));
+        const after = dataManager.validateMenuData(dataManager.parseCSVData(`${header}\n${row('gazpacho', 'Gazpacho', 'Chilled Tomato Soup')}`));
+        
+        expect(before[0].id).toBe('gazpacho');
+        expect(after[0].id).toBe('gazpacho');
+    });
+    
+    test('should fall back to the legacy hash when the ID is empty', () => {
+        const items = dataManager.parseCSVData(`${header}\n${row('', 'Gazpacho', 'Cold Soup')}`);
+        
+        expect(items[0]._id).toBe(dataManager.generateItemId(items[0]));
+    });
+    
+    test('should report duplicate IDs', () => {
+        const items = dataManager.parseCSVData(`${header}\n${row('flan', 'Flan', 'Custard')}\n${row('flan', 'Flan casero', 'Homemade Custard')}`);
+        
+        expect(items).toHaveLength(1);
+        expect(dataManager.getParseErrors()[0]).toMatchObject({ row: 3, column: 1, code: 'DUPLICATE_ID' });
+    });
+    
+    test('should load aliases and resolve retired IDs', async () => {
+        fetch.mockImplementation((url) => Promise.resolve({
+            ok: true,
+            status: 200,
+            text: () => Promise.resolve(`${header}\n${row('gazpacho', 'Gazpacho', 'Cold Soup')}`),
+            json: () => Promise.resolve({ aliases: { abc123: 'gazpacho' } })
+        }));
+        
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.getIdAliases()).toEqual({ abc123: 'gazpacho' });
+        expect(dataManager.resolveItemId('abc123')).toBe('gazpacho');
+        expect(dataManager.resolveItemId('gazpacho')).toBe('gazpacho');
+        expect(dataManager.resolveItemId('unknown')).toBeNull();
+    });
+    
+    test('should load data when the alias table is unavailable', async () => {
+        fetch.mockImplementation((url) => Promise.resolve(url.endsWith('.json')
+            ? { ok: false, status: 404, statusText: 'Not Found' }
+            : { ok: true, status: 200, text: () => Promise.resolve(`${header}\n${row('gazpacho', 'Gazpacho', 'Cold Soup')}`) }
+        ));
+        
+        const items = await dataManager.loadMenuData();
+        
+        expect(items).toHaveLength(1);
+        expect(dataManager.getIdAliases()).toEqual({});
+    });
+});
+
+describe('DataManager Data Packs', () => {
+    const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+    const row = (id, name, english) =>
+        `${id},${name},${english},${english},Desc,Desc,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,`;
+    
+    const manifest = {
+        packs: [
+            { id: 'core', file: 'core.csv', priority: 0, required: true },
+            { id: 'catalonia', name: { en: 'Catalonia' }, file: 'catalonia.csv', priority: 10, enabledByDefault: false },
+            { id: 'galicia', name: { en: 'Galicia' }, file: 'galicia.csv', priority: 10, enabledByDefault: true },
+            { id: 'broken', file: 'broken.csv', priority: 5, enabledByDefault: true }
+        ]
+    };
+    
+    const files = {
+        'data/packs/manifest.json': manifest,
+        'core.csv': `${header}\n${row('crema-catalana', 'Crema Catalana', 'Catalan Cream')}\n${row('flan', 'Flan', 'Custard')}`,
+        'catalonia.csv': `${header}\n${row('crema-catalana', 'Crema Catalana', 'Burnt Catalan Custard')}\n${row('trinxat', 'Trinxat', 'Cabbage Cake')}`,
+        'galicia.csv': `${header}\n${row('filloas', 'Filloas', 'Galician Crepes')}`
+    };
+    
+    let dataManager;
+    
+    beforeEach(() => {
+        fetch.mockImplementation((url) => {
+            const body = files[url];
+            if (body === undefined) {
+                return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+            }
+            return Promise.resolve({
+                ok: true,
+                status: 200,
+                text: () => Promise.resolve(body),
+                json: () => Promise.resolve(body)
+            });
+        });
+        dataManager = new DataManager();
+    });
+    
+    test('should merge enabled packs and record provenance', async () => {
+        await dataManager.loadMenuData();
+        
+        const ids = dataManager.getMenuItems().map(item => item.id);
+        expect(ids).toEqual(['crema-catalana', 'flan', 'filloas']);
+        expect(dataManager.getMenuItem('filloas').pack).toBe('galicia');
+        expect(dataManager.getMenuItem('flan').pack).toBe('core');
+    });
+    
+    test('should let higher-priority packs override items with the same ID', async () => {
+        await dataManager.loadMenuData();
+        dataManager.setPackEnabled('catalonia', true);
+        
+        const crema = dataManager.getMenuItem('crema-catalana');
+        expect(crema.englishName).toBe('Burnt Catalan Custard');
+        expect(crema.pack).toBe('catalonia');
+        expect(crema.overriddenPacks).toEqual(['core']);
+        expect(dataManager.getStats().totalItems).toBe(4);
+    });
+    
+    test('should exclude disabled packs and persist the choice', async () => {
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.setPackEnabled('galicia', false)).toBe(true);
+        expect(dataManager.getMenuItem('filloas')).toBeNull();
+        
+        const reloaded = new DataManager();
+        await reloaded.loadMenuData();
+        expect(reloaded.getEnabledPackIds()).not.toContain('galicia');
+        expect(reloaded.getMenuItem('filloas')).toBeNull();
+    });
+    
+    test('should not allow disabling required packs', async () => {
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.setPackEnabled('core', false)).toBe(false);
+        expect(dataManager.getEnabledPackIds()).toContain('core');
+    });
+    
+    test('should record optional pack failures without failing the load', async () => {
+        await dataManager.loadMenuData();
+        
+        const broken = dataManager.getPacks().find(pack => pack.id === 'broken');
+        expect(broken.status).toBe('error');
+        expect(broken.error).toMatch('404');
+    });
+    
+    test('should keep IDs of disabled packs known for preference migration', async () => {
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.getKnownItemIds()).toEqual(expect.arrayContaining(['trinxat', 'filloas', 'flan']));
+        expect(dataManager.resolveItemId('trinxat')).toBe('trinxat');
+    });
+    
+    test('should fall back to the core dataset without a manifest', async () => {
+        delete files['data/packs/manifest.json'];
+        files['data/spanish_menu_items.csv'] = files['core.csv'];
+        
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.getEnabledPackIds()).toEqual(['core']);
+        expect(dataManager.getMenuItems()).toHaveLength(2);
+        
+        files['data/packs/manifest.json'] = manifest;
+    });
+});
+
+describe('DataManager Aliases and Duplicates', () => {
+    let dataManager;
+    
+    const item = (id, spanishName, aliases = []) => ({ id, spanishName, englishName: spanishName, aliases });
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should parse pipe-separated aliases', () => {
+        const parsed = dataManager.validateMenuItem({
+            'Spanish Name': 'Pan con Tomate',
+            'English Translation': 'Bread with Tomato',
+            'Aliases': 'Pa amb Tomàquet| Pan Tumaca ||'
+        });
+        
+        expect(parsed.aliases).toEqual(['Pa amb Tomàquet', 'Pan Tumaca']);
+    });
+    
+    test('should default to no aliases when the column is missing', () => {
+        const parsed = dataManager.validateMenuItem({
+            'Spanish Name': 'Gazpacho',
+            'English Translation': 'Cold Soup'
+        });
+        
+        expect(parsed.aliases).toEqual([]);
+    });
+    
+    test('should flag names that only differ in spacing and accents', () => {
+        const duplicates = dataManager.findDuplicates([
+            item('ajoblanco', 'Ajoblanco'),
+            item('ajo-blanco', 'Ajo Blanco'),
+            item('gazpacho', 'Gazpacho')
+        ]);
+        
+        expect(duplicates).toEqual([{
+            ids: ['ajoblanco', 'ajo-blanco'],
+            names: ['Ajoblanco', 'Ajo Blanco'],
+            similarity: 1,
+            reason: 'same-name'
+        }]);
+    });
+    
+    test('should flag items whose name matches another item alias', () => {
+        const duplicates = dataManager.findDuplicates([
+            item('pan-con-tomate', 'Pan con Tomate', ['Pa amb Tomàquet']),
+            item('pa-amb-tomaquet', 'Pa amb Tomaquet')
+        ]);
+        
+        expect(duplicates[0].reason).toBe('alias');
+    });
+    
+    test('should flag similar spellings above the threshold', () => {
+        const duplicates = dataManager.findDuplicates([
+            item('pulpo', 'Pulpo a la Gallega'),
+            item('polpo', 'Polpo a la Gallega'),
+            item('paella-mixta', 'Paella Mixta'),
+            item('paella-valenciana', 'Paella Valenciana')
+        ]);
+        
+        expect(duplicates).toHaveLength(1);
+        expect(duplicates[0].ids).toEqual(['pulpo', 'polpo']);
+        expect(duplicates[0].reason).toBe('similar-name');
+    });
+    
+    test('should report duplicates at load time', async () => {
+        const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+        const csv = `${header}\n` +
+            'ajoblanco,Ajoblanco,White Garlic Soup,,,,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,\n' +
+            'ajo-blanco,Ajo Blanco,White Gazpacho,,,,€5-7,FALSE,FALSE,FALSE,TRUE,TRUE,';
+        fetch.mockImplementation((url) => Promise.resolve(url.endsWith('.json')
+            ? { ok: false, status: 404, statusText: 'Not Found' }
+            : { ok: true, status: 200, text: () => Promise.resolve(csv) }
+        ));
+        
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.getDuplicates()).toHaveLength(1);
+        expect(console.warn).toHaveBeenCalledWith(
+            expect.stringContaining('suspected duplicate'),
+            ['Ajoblanco / Ajo Blanco']
+        );
+    });
+    
+    test('should leave similar spellings to lint instead of comparing every pair at load', async () => {
+        const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+        const csv = `${header}\n` +
+            'pulpo,Pulpo a la Gallega,Galician Octopus,,,,€12-16,FALSE,FALSE,TRUE,FALSE,FALSE,\n' +
+            'polpo,Polpo a la Gallega,Galician Octopus,,,,€12-16,FALSE,FALSE,TRUE,FALSE,FALSE,';
+        fetch.mockImplementation((url) => Promise.resolve(url.endsWith('.json')
+            ? { ok: false, status: 404, statusText: 'Not Found' }
+            : { ok: true, status: 200, text: () => Promise.resolve(csv) }
+        ));
+        const similarity = jest.spyOn(dataManager, 'nameSimilarity');
+        
+        await dataManager.loadMenuData();
+        
+        expect(dataManager.getDuplicates()).toEqual([]);
+        expect(similarity).not.toHaveBeenCalled();
+        expect(dataManager.lint().byCode.SUSPECTED_DUPLICATE).toBe(1);
+    });
+    
+    test('should keep the shipped dataset free of duplicates', async () => {
+        const fs = await import('fs');
+        const csv = fs.readFileSync(new URL('../data/spanish_menu_items.csv', import.meta.url), 'utf8');
+        const items = dataManager.validateMenuData(dataManager.parseCSVData(csv));
+        
+        expect(dataManager.getParseErrors()).toEqual([]);
+        expect(dataManager.findDuplicates(items)).toEqual([]);
+    });
+});
+
+describe('DataManager Price Parsing', () => {
+    test('should parse ranges and single prices', () => {
+        expect(parsePrice('€8-12')).toMatchObject({ min: 8, max: 12, currency: 'EUR', isMarketPrice: false });
+        expect(parsePrice('€25')).toMatchObject({ min: 25, max: 25 });
+        expect(parsePrice('8 - 12 euros')).toMatchObject({ min: 8, max: 12, currency: 'EUR' });
+    });
+    
+    test('should handle decimal commas and other currencies', () => {
+        expect(parsePrice('12,50 €')).toMatchObject({ min: 12.5, max: 12.5, currency: 'EUR' });
+        expect(parsePrice('$9.95')).toMatchObject({ min: 9.95, currency: 'USD' });
+        expect(parsePrice('£7-9')).toMatchObject({ min: 7, max: 9, currency: 'GBP' });
+    });
+    
+    test('should recognise market price notations', () => {
+        ['S/M', '€ S/M', 'según mercado', 'Market price'].forEach(value => {
+            expect(parsePrice(value)).toMatchObject({ min: null, max: null, isMarketPrice: true });
+        });
+    });
+    
+    test('should return null for empty values and keep unparseable ones as unknown', () => {
+        expect(parsePrice('')).toBeNull();
+        expect(parsePrice(undefined)).toBeNull();
+        expect(parsePrice('ask the waiter')).toEqual({
+            min: null, max: null, currency: null, isMarketPrice: false, raw: 'ask the waiter'
+        });
+    });
+    
+    test('should expose the structured price on menu items', () => {
+        const dataManager = new DataManager();
+        const parsed = dataManager.validateMenuItem({
+            'Spanish Name': 'Pulpo a la Gallega',
+            'English Translation': 'Galician Octopus',
+            'Price Range': 'S/M'
+        });
+        
+        expect(parsed.priceRange).toBe('S/M');
+        expect(parsed.price.isMarketPrice).toBe(true);
+    });
+    
+    test('should format prices for display', () => {
+        expect(formatPrice(parsePrice('€8-12'))).toBe('€8-12');
+        expect(formatPrice(parsePrice('12,5 €'))).toBe('€12.50');
+        expect(formatPrice(parsePrice('12,5 €'), 'nl')).toBe('€12,50');
+        expect(formatPrice(parsePrice('S/M'), 'nl')).toBe('Marktprijs');
+        expect(formatPrice(null)).toBe('');
+    });
+});
+
+describe('DataManager Course, Category and Region', () => {
+    let dataManager;
+    
+    const raw = (overrides = {}) => ({
+        'Spanish Name': 'Fabada Asturiana',
+        'English Translation': 'Asturian Bean Stew',
+        'Course': 'main',
+        'Category': 'stews',
+        'Region': 'asturias',
+        ...overrides
+    });
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should expose course, category and region keys on menu items', () => {
+        const parsed = dataManager.validateMenuItem(raw());
+        
+        expect(parsed).toMatchObject({ course: 'main', category: 'stews', region: 'asturias' });
+    });
+    
+    test('should accept English and Dutch labels and ignore unknown values', () => {
+        const parsed = dataManager.validateMenuItem(raw({ 'Course': 'Main courses', 'Category': 'Stoofschotels', 'Region': 'Narnia' }));
+        
+        expect(parsed).toMatchObject({ course: 'main', category: 'stews', region: null });
+        expect(dataManager.parseTaxonomy('Castilië en León', 'region')).toBe('castile-leon');
+        expect(dataManager.parseTaxonomy('', 'course')).toBeNull();
+    });
+    
+    test('should count and filter items by course, category and region', () => {
+        dataManager.menuItems = [
+            dataManager.validateMenuItem(raw()),
+            dataManager.validateMenuItem(raw({ 'Spanish Name': 'Flan', 'Course': 'dessert', 'Category': 'sweets', 'Region': '' })),
+            dataManager.validateMenuItem(raw({ 'Spanish Name': 'Arroz con Leche', 'Course': 'dessert', 'Category': 'sweets' }))
+        ];
+        dataManager.isLoaded = true;
+        dataManager.calculateStats();
+        
+        expect(dataManager.getStats().courseItems).toEqual({ main: 1, dessert: 2 });
+        expect(dataManager.getStats().regionItems).toEqual({ asturias: 2 });
+        expect(dataManager.filterByDietary({ course: 'dessert', region: ['asturias', 'galicia'] })
+            .map(item => item.spanishName)).toEqual(['Arroz con Leche']);
+    });
+});
+
+describe('DataManager Ingredients', () => {
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+        dataManager.setIngredientGlossary({
+            mushrooms: { en: 'mushrooms', es: 'setas', nl: 'paddenstoelen', synonyms: ['champiñones'] },
+            chickpeas: { en: 'chickpeas', es: 'garbanzos', nl: 'kikkererwten' },
+            garlic: { en: 'garlic', es: 'ajo' }
+        });
+    });
+    
+    test('should parse ingredient cells into unique glossary keys', () => {
+        const parsed = dataManager.validateMenuItem({
+            'Spanish Name': 'Revuelto de Setas',
+            'English Translation': 'Scrambled Eggs with Mushrooms',
+            'Ingredients': 'mushrooms|Ajo|champiñones'
+        });
+        
+        expect(parsed.ingredients).toEqual(['mushrooms', 'garlic']);
+        expect(dataManager.parseIngredients('')).toEqual([]);
+    });
+    
+    test('should resolve names in any language and keep unknown ingredients as text', () => {
+        expect(dataManager.resolveIngredient('Garbanzos')).toBe('chickpeas');
+        expect(dataManager.resolveIngredient('paddenstoelen')).toBe('mushrooms');
+        expect(dataManager.resolveIngredient('Saffron')).toBe('saffron');
+        expect(dataManager.isKnownIngredient('saffron')).toBe(false);
+    });
+    
+    test('should translate ingredient names with English and key fallbacks', () => {
+        expect(dataManager.getIngredientName('chickpeas', 'nl')).toBe('kikkererwten');
+        expect(dataManager.getIngredientName('garlic', 'nl')).toBe('garlic');
+        expect(dataManager.getIngredientName('saffron', 'nl')).toBe('saffron');
+    });
+    
+    test('should filter out items containing excluded ingredients', () => {
+        dataManager.menuItems = [
+            { spanishName: 'Revuelto de Setas', ingredients: ['eggs', 'mushrooms'] },
+            { spanishName: 'Cocido', ingredients: ['chickpeas'] },
+            { spanishName: 'Flan' }
+        ];
+        dataManager.isLoaded = true;
+        
+        expect(dataManager.filterByDietary({ excludeIngredients: ['mushrooms'] })
+            .map(item => item.spanishName)).toEqual(['Cocido', 'Flan']);
+    });
+});
+
+describe('DataManager Translations', () => {
+    let dataManager;
+    
+    const raw = (overrides = {}) => ({
+        'Spanish Name': 'Albóndigas',
+        'English Translation': 'Meatballs',
+        'Dutch Translation': 'Gehaktballen',
+        'Description': 'Meatballs in tomato sauce',
+        'Dutch Description': 'Gehaktballen in tomatensaus',
+        'Translation (de)': 'Fleischbällchen',
+        'Description (de)': '',
+        'Translation (FR)': 'Boulettes de viande',
+        'Description (fr)': 'Boulettes à la sauce tomate',
+        ...overrides
+    });
+    
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+    
+    test('should collect legacy and generic translation columns per language', () => {
+        const parsed = dataManager.validateMenuItem(raw());
+        
+        expect(parsed.translations).toEqual({
+            en: { name: 'Meatballs', description: 'Meatballs in tomato sauce' },
+            nl: { name: 'Gehaktballen', description: 'Gehaktballen in tomatensaus' },
+            de: { name: 'Fleischbällchen' },
+            fr: { name: 'Boulettes de viande', description: 'Boulettes à la sauce tomate' }
+        });
+        expect(parsed.dutchName).toBe('Gehaktballen');
+    });
+    
+    test('should resolve name and description separately through the fallback chain', () => {
+        const item = dataManager.validateMenuItem(raw());
+        
+        expect(dataManager.getTranslation(item, 'de')).toEqual({
+            name: 'Fleischbällchen',
+            description: 'Meatballs in tomato sauce',
+            language: 'de'
+        });
+        expect(dataManager.getTranslation(item, 'it').language).toBe('en');
+    });
+    
+    test('should follow a configured fallback chain', () => {
+        dataManager.setLanguageFallbacks({ de: ['nl'] });
+        const item = dataManager.validateMenuItem(raw({ 'Translation (de)': '' }));
+        
+        expect(dataManager.getLanguageChain('de')).toEqual(['de', 'nl', 'en']);
+        expect(dataManager.getTranslation(item, 'de')).toMatchObject({ name: 'Gehaktballen', language: 'nl' });
+        expect(dataManager.getLanguageChain('fr')).toEqual(['fr', 'en']);
+    });
+    
+    test('should list languages the loaded items provide, English first', () => {
+        dataManager.menuItems = [
+            dataManager.validateMenuItem(raw({ 'Translation (FR)': '', 'Description (fr)': 'Only a description' })),
+            dataManager.validateMenuItem({ 'Spanish Name': 'Flan', 'English Translation': 'Caramel Custard' })
+        ];
+        
+        expect(dataManager.getAvailableLanguages()).toEqual(['en', 'de', 'nl']);
+        expect(dataManager.getLanguageName('de')).toBe(LANGUAGES.de);
+        expect(dataManager.getLanguageName('eu')).toBe('EU');
+    });
+});
+
+describe('DataManager Data Cache', () => {
+    const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search';
+    const files = {
+        'data/packs/manifest.json': { packs: [{ id: 'core', file: 'core.csv', required: true }] },
+        'core.csv': `${header}\nflan,Flan,Custard,Vla,Desc,Desc,€3-5,FALSE,FALSE,FALSE,TRUE,TRUE,`
+    };
+    
+    // In-memory stand-in for the IndexedDB-backed DataCache
+    class MemoryCache {
+        constructor() {
+            this.records = new Map();
+        }
+        isAvailable() {
+            return true;
+        }
+        async get(key) {
+            return this.records.has(key) ? JSON.parse(this.records.get(key)) : null;
+        }
+        async set(key, value) {
+            this.records.set(key, JSON.stringify(value));
+            return true;
+        }
+        async deleteExcept(prefix) {
+            [...this.records.keys()].filter(key => !key.startsWith(prefix)).forEach(key => this.records.delete(key));
+        }
+    }
+    
+    let cache;
+    
+    const load = async () => {
+        const dataManager = new DataManager();
+        dataManager.cache = cache;
+        await dataManager.loadMenuData();
+        await dataManager.cachePacks();
+        return dataManager;
+    };
+    
+    beforeEach(() => {
+        fetch.mockImplementation((url) => Promise.resolve({
+            ok: files[url] !== undefined,
+            status: files[url] !== undefined ? 200 : 404,
+            statusText: files[url] !== undefined ? 'OK' : 'Not Found',
+            text: () => Promise.resolve(files[url]),
+            json: () => Promise.resolve(files[url])
+        }));
+        cache = new MemoryCache();
+    });
+    
+    test('should restore parsed packs from the cache instead of re-parsing', async () => {
+        const first = await load();
+        expect(first.loadedFromCache).toBe(false);
+        
+        const parseSpy = jest.spyOn(DataManager.prototype, 'parseCSVData');
+        const second = await load();
+        
+        expect(second.loadedFromCache).toBe(true);
+        expect(parseSpy).not.toHaveBeenCalled();
+        expect(second.getMenuItems()).toEqual(first.getMenuItems());
+        expect(second.lint().summary).toEqual(first.lint().summary);
+        parseSpy.mockRestore();
+    });
+    
+    test('should invalidate the cache when the CSV changes', async () => {
+        const first = await load();
+        const original = files['core.csv'];
+        files['core.csv'] = original.replace('Custard', 'Caramel Custard');
+        
+        try {
+            const second = await load();
+            
+            expect(second.datasetHash).not.toBe(first.datasetHash);
+            expect(second.loadedFromCache).toBe(false);
+            expect(second.getMenuItem('flan').englishName).toBe('Caramel Custard');
+            expect([...cache.records.keys()]).toEqual([`${second.datasetHash}:dataset`]);
+        } finally {
+            files['core.csv'] = original;
+        }
+    });
+    
+    test('should cache search indexes per dataset and set of enabled packs', async () => {
+        const dataManager = await load();
+        await dataManager.cacheSearchIndex({ version: 1, terms: [] });
+        
+        expect(dataManager.getSearchIndexCacheKey()).toBe(`${dataManager.datasetHash}:index:v${INDEX_FORMAT_VERSION}:core`);
+        expect(await dataManager.getCachedSearchIndex()).toEqual({ version: 1, terms: [] });
+    });
+    
+    test('should log a failed background cache write instead of rejecting', async () => {
+        cache.set = () => Promise.reject(new Error('QuotaExceededError'));
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        
+        const dataManager = new DataManager();
+        dataManager.cache = cache;
+        await dataManager.loadMenuData();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        
+        expect(dataManager.getMenuItem('flan')).toBeTruthy();
+        expect(warnSpy).toHaveBeenCalledWith('⚠️ Could not cache the data packs:', 'QuotaExceededError');
+        warnSpy.mockRestore();
+    });
+});
@@ -0,0 +1,410 @@
+/**
+ * Dataset Linter Module
+ * Checks raw menu CSV rows for problems curators should fix before merging:
+ * contradictory dietary flags, missing translations, malformed prices,
+ * unknown course/category/region values and ingredients, mismatched image search links,
+ * duplicate IDs and likely typos.
+ */
+
+import { TAXONOMIES } from './taxonomy.js';
+
+export const LINT_CODES = {
+    MALFORMED_RECORD: 'MALFORMED_RECORD',
+    DUPLICATE_ID: 'DUPLICATE_ID',
+    CONTRADICTORY_DIETARY_FLAGS: 'CONTRADICTORY_DIETARY_FLAGS',
+    INVALID_BOOLEAN: 'INVALID_BOOLEAN',
+    MISSING_TRANSLATION: 'MISSING_TRANSLATION',
+    UNTRANSLATED_NAME: 'UNTRANSLATED_NAME',
+    MALFORMED_PRICE: 'MALFORMED_PRICE',
+    UNKNOWN_TAXONOMY_VALUE: 'UNKNOWN_TAXONOMY_VALUE',
+    MISSING_TAXONOMY_VALUE: 'MISSING_TAXONOMY_VALUE',
+    UNKNOWN_INGREDIENT: 'UNKNOWN_INGREDIENT',
+    SEARCH_URL_MISMATCH: 'SEARCH_URL_MISMATCH',
+    SUSPECTED_DUPLICATE: 'SUSPECTED_DUPLICATE',
+    SUSPICIOUS_TYPO: 'SUSPICIOUS_TYPO'
+};
+
+const SEVERITY = {
+    [LINT_CODES.MALFORMED_RECORD]: 'error',
+    [LINT_CODES.DUPLICATE_ID]: 'error',
+    [LINT_CODES.CONTRADICTORY_DIETARY_FLAGS]: 'error',
+    [LINT_CODES.INVALID_BOOLEAN]: 'error',
+    [LINT_CODES.MISSING_TRANSLATION]: 'warning',
+    [LINT_CODES.UNTRANSLATED_NAME]: 'warning',
+    [LINT_CODES.MALFORMED_PRICE]: 'error',
+    [LINT_CODES.UNKNOWN_TAXONOMY_VALUE]: 'error',
+    [LINT_CODES.MISSING_TAXONOMY_VALUE]: 'warning',
+    [LINT_CODES.UNKNOWN_INGREDIENT]: 'warning',
+    [LINT_CODES.SEARCH_URL_MISMATCH]: 'warning',
+    [LINT_CODES.SUSPECTED_DUPLICATE]: 'warning',
+    [LINT_CODES.SUSPICIOUS_TYPO]: 'warning'
+};
+
+const BOOLEAN_COLUMNS = ['Pork', 'Other Meat', 'Fish/Seafood', 'Dairy', 'Vegetarian'];
+const BOOLEAN_VALUES = ['true', 'false', '1', '0', 'yes', 'no', 'y', 'n'];
+
+// Region is optional: international and nationwide dishes have none
+const REQUIRED_TAXONOMY_FIELDS = ['course', 'category'];
+
+// Words Dutch borrows unchanged, so a Dutch name made only of these may match the English one
+const LOANWORDS = new Set([
+    'avocado', 'cannelloni', 'carbonara', 'carpaccio', 'ceviche', 'chateaubriand', 'chips',
+    'chorizo', 'club', 'falafel', 'fish', 'foie', 'gnocchi', 'gras', 'guacamole', 'hamburger',
+    'hummus', 'macaroni', 'margherita', 'mozzarella', 'nachos', 'octopus', 'pad', 'pasta',
+    'pepperoni', 'pizza', 'quesadilla', 'risotto', 'salmorejo', 'sandwich', 'sangria',
+    'sardines', 'sushi', 'tacos', 'tempura', 'thai', 'tiramisu', 'toast'
+]);
+
+// Text columns checked for typos, grouped by language so words are compared like for like
+const TYPO_COLUMNS = {
+    en: ['English Translation', 'Description'],
+    nl: ['Dutch Translation', 'Dutch Description']
+};
+const TYPO_MIN_LENGTH = 6;
+const TYPO_MIN_REFERENCE_COUNT = 3;
+const TYPO_FREQUENCY_RATIO = 3;
+const TYPO_TWO_EDIT_LENGTH = 10;
+const INFLECTION_ENDING = /(en|es|e|n|s)$/;
+// Dutch drops a doubled vowel before an ending: traditioneel/traditionele, tomaat/tomaten
+const DOUBLED_VOWEL = /([aeiou])\1(?=[^aeiou]$)/;
+
+export class DatasetLinter {
+    /**
+     * @param {DataManager} dataManager - Provides the parsing helpers used when loading data
+     */
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Lint parsed CSV rows (the output of DataManager.parseCSVData)
+     * @param {Array} rows - Raw row objects keyed by CSV header
+     * @param {object} options - { pack, parseErrors }
+     * @returns {Array} Array of issues
+     */
+    lintRows(rows, options = {}) {
+        const pack = options.pack || null;
+        const issues = [];
+        const add = (code, row, field, message) => {
+            issues.push({
+                severity: SEVERITY[code],
+                code,
+                pack,
+                row: row ? row._rowNumber : null,
+                id: row ? row._id : null,
+                field,
+                message
+            });
+        };
+
+        (options.parseErrors || []).forEach(error => {
+            issues.push({
+                severity: 'error',
+                code: error.code === LINT_CODES.DUPLICATE_ID ? LINT_CODES.DUPLICATE_ID : LINT_CODES.MALFORMED_RECORD,
+                pack,
+                row: error.line || error.row,
+                id: null,
+                field: null,
+                message: error.message
+            });
+        });
+
+        rows.forEach(row => {
+            this.checkBooleans(row, add);
+            this.checkDietaryFlags(row, add);
+            this.checkTranslations(row, add);
+            this.checkPrice(row, add);
+            this.checkTaxonomy(row, add);
+            this.checkIngredients(row, add);
+            this.checkSearchUrl(row, add);
+        });
+
+        this.checkTypos(rows, add);
+
+        return issues;
+    }
+
+    /**
+     * Flag dietary columns holding something other than a boolean
+     */
+    checkBooleans(row, add) {
+        BOOLEAN_COLUMNS.forEach(column => {
+            const value = (row[column] || '').trim().toLowerCase();
+            if (value && !BOOLEAN_VALUES.includes(value)) {
+                add(LINT_CODES.INVALID_BOOLEAN, row, column, `"${row[column]}" is not TRUE or FALSE`);
+            }
+        });
+    }
+
+    /**
+     * Flag dietary and allergen flags that contradict each other
+     */
+    checkDietaryFlags(row, add) {
+        const dm = this.dataManager;
+        const hasPork = dm.parseBoolean(row['Pork']);
+        const hasMeat = dm.parseBoolean(row['Other Meat']);
+        const hasSeafood = dm.parseBoolean(row['Fish/Seafood']);
+        const hasDairy = dm.parseBoolean(row['Dairy']);
+        const isVegetarian = dm.parseBoolean(row['Vegetarian']);
+        const allergens = dm.parseAllergens(row);
+
+        if (isVegetarian && (hasPork || hasMeat || hasSeafood)) {
+            const found = [hasPork && 'pork', hasMeat && 'meat', hasSeafood && 'fish/seafood'].filter(Boolean);
+            add(LINT_CODES.CONTRADICTORY_DIETARY_FLAGS, row, 'Vegetarian',
+                `Marked vegetarian but contains ${found.join(', ')}`);
+        }
+
+        if (hasDairy && allergens.milk === false) {
+            add(LINT_CODES.CONTRADICTORY_DIETARY_FLAGS, row, 'Milk', 'Dairy is TRUE but the Milk allergen is FALSE');
+        }
+        if (!hasDairy && allergens.milk === true) {
+            add(LINT_CODES.CONTRADICTORY_DIETARY_FLAGS, row, 'Dairy', 'Milk allergen is TRUE but Dairy is FALSE');
+        }
+
+        // Snails are molluscs but not seafood, so only fish and crustaceans require Fish/Seafood
+        const aquatic = ['fish', 'crustaceans', 'molluscs'];
+        if (!hasSeafood && ['fish', 'crustaceans'].some(key => allergens[key] === true)) {
+            add(LINT_CODES.CONTRADICTORY_DIETARY_FLAGS, row, 'Fish/Seafood',
+                'A fish or crustacean allergen is TRUE but Fish/Seafood is FALSE');
+        }
+        if (hasSeafood && aquatic.every(key => allergens[key] === false)) {
+            add(LINT_CODES.CONTRADICTORY_DIETARY_FLAGS, row, 'Fish/Seafood',
+                'Fish/Seafood is TRUE but fish, crustacean and mollusc allergens are all FALSE');
+        }
+    }
+
+    /**
+     * Flag Dutch columns, and any "Translation (xx)" / "Description (xx)" column the
+     * dataset has, that are empty and would silently fall back to another language.
+     * Dutch names copied from the English column are flagged too, unless every word
+     * is a loanword Dutch uses as is.
+     */
+    checkTranslations(row, add) {
+        const dutchName = (row['Dutch Translation'] || '').trim();
+        if (!dutchName) {
+            add(LINT_CODES.MISSING_TRANSLATION, row, 'Dutch Translation',
+                'Dutch translation is empty; the English name will be shown instead');
+        } else if (dutchName.toLowerCase() === (row['English Translation'] || '').trim().toLowerCase() &&
+            !this.extractWords(dutchName).every(word => LOANWORDS.has(word))) {
+            add(LINT_CODES.UNTRANSLATED_NAME, row, 'Dutch Translation',
+                `Dutch translation "${dutchName}" is the same as the English name`);
+        }
+        if ((row['Description'] || '').trim() && !(row['Dutch Description'] || '').trim()) {
+            add(LINT_CODES.MISSING_TRANSLATION, row, 'Dutch Description',
+                'Dutch description is empty; the English description will be shown instead');
+        }
+
+        Object.keys(row).forEach(column => {
+            const target = this.dataManager.parseTranslationColumn(column);
+            if (!target || target.language === 'en' || target.language === 'nl') return;
+            if ((row[column] || '').trim()) return;
+
+            const language = this.dataManager.getLanguageName(target.language);
+            if (target.field === 'name') {
+                add(LINT_CODES.MISSING_TRANSLATION, row, column,
+                    `${language} translation is empty; a fallback name will be shown instead`);
+            } else if ((row['Description'] || '').trim()) {
+                add(LINT_CODES.MISSING_TRANSLATION, row, column,
+                    `${language} description is empty; a fallback description will be shown instead`);
+            }
+        });
+    }
+
+    /**
+     * Flag prices DataManager cannot parse, or ranges with min above max
+     */
+    checkPrice(row, add) {
+        const price = this.dataManager.parsePrice(row['Price Range']);
+        if (!price || price.isMarketPrice) return;
+
+        if (price.min === null) {
+            add(LINT_CODES.MALFORMED_PRICE, row, 'Price Range', `"${price.raw}" should look like €8-12 or S/M`);
+        } else if (price.min > price.max) {
+            add(LINT_CODES.MALFORMED_PRICE, row, 'Price Range', `"${price.raw}" has a minimum above its maximum`);
+        }
+    }
+
+    /**
+     * Flag Course, Category and Region values outside the vocabulary,
+     * and dishes without a course or category
+     */
+    checkTaxonomy(row, add) {
+        Object.entries(TAXONOMIES).forEach(([field, taxonomy]) => {
+            const value = (row[taxonomy.column] || '').trim();
+
+            if (!value) {
+                if (REQUIRED_TAXONOMY_FIELDS.includes(field)) {
+                    add(LINT_CODES.MISSING_TAXONOMY_VALUE, row, taxonomy.column, `${taxonomy.column} is empty`);
+                }
+            } else if (this.dataManager.parseTaxonomy(value, field) === null) {
+                add(LINT_CODES.UNKNOWN_TAXONOMY_VALUE, row, taxonomy.column,
+                    `"${value}" is not a known ${field}; use one of ${taxonomy.values.map(entry => entry.key).join(', ')}`);
+            }
+        });
+    }
+
+    /**
+     * Flag ingredients missing from the glossary; they cannot be translated or
+     * found by their Spanish and Dutch names. Skipped when no glossary is loaded.
+     */
+    checkIngredients(row, add) {
+        const dm = this.dataManager;
+        if (Object.keys(dm.ingredients || {}).length === 0) return;
+
+        dm.parseList(row['Ingredients']).forEach(name => {
+            if (!dm.isKnownIngredient(dm.resolveIngredient(name))) {
+                add(LINT_CODES.UNKNOWN_INGREDIENT, row, 'Ingredients', `"${name}" is not in the ingredient glossary`);
+            }
+        });
+    }
+
+    /**
+     * Flag image search links that are missing, not a Google search, or do not mention the dish
+     */
+    checkSearchUrl(row, add) {
+        const value = (row['Google Search'] || '').trim();
+
+        if (!value) {
+            add(LINT_CODES.SEARCH_URL_MISMATCH, row, 'Google Search', 'Google Search URL is empty');
+            return;
+        }
+
+        let query;
+        try {
+            const url = new URL(value);
+            if (!/(^|\.)google\.[a-z.]+$/.test(url.hostname) || url.pathname !== '/search') {
+                add(LINT_CODES.SEARCH_URL_MISMATCH, row, 'Google Search', `"${value}" is not a Google search URL`);
+                return;
+            }
+            query = url.searchParams.get('q') || '';
+        } catch (error) {
+            add(LINT_CODES.SEARCH_URL_MISMATCH, row, 'Google Search', `"${value}" is not a valid URL`);
+            return;
+        }
+
+        const normalizedQuery = this.dataManager.normalizeName(query);
+        const names = [row['Spanish Name'], row['English Translation'], ...this.dataManager.parseList(row['Aliases'])];
+        const mentionsDish = names.some(name =>
+            this.extractWords(name).some(word => word.length > 2 && normalizedQuery.includes(this.dataManager.normalizeName(word)))
+        );
+
+        if (!mentionsDish) {
+            add(LINT_CODES.SEARCH_URL_MISMATCH, row, 'Google Search',
+                `Search query "${query}" does not mention "${row['Spanish Name']}"`);
+        }
+    }
+
+    /**
+     * Flag rare words one edit (two for long words) away from a much more frequent
+     * word in the same language, e.g. "gegriald" when "gegrild" is used throughout
+     * the dataset. A typo copied into a few rows is still rare next to its correct spelling.
+     * Words with a different first letter are skipped: those are usually
+     * real words (dried/fried) rather than typos.
+     */
+    checkTypos(rows, add) {
+        Object.values(TYPO_COLUMNS).forEach(columns => {
+            const counts = new Map();
+            const occurrences = new Map(); // word -> [{ row, column }], once per cell
+
+            rows.forEach(row => {
+                columns.forEach(column => {
+                    this.extractWords(row[column] || '').forEach(word => {
+                        counts.set(word, (counts.get(word) || 0) + 1);
+                        if (!occurrences.has(word)) occurrences.set(word, []);
+                        const cells = occurrences.get(word);
+                        const last = cells[cells.length - 1];
+                        if (!last || last.row !== row || last.column !== column) {
+                            cells.push({ row, column });
+                        }
+                    });
+                });
+            });
+
+            const common = Array.from(counts.entries())
+                .filter(([word, count]) => count >= TYPO_MIN_REFERENCE_COUNT && word.length >= TYPO_MIN_LENGTH - 1)
+                .map(([word]) => word);
+
+            counts.forEach((count, word) => {
+                if (word.length < TYPO_MIN_LENGTH) return;
+                const maxEdits = word.length >= TYPO_TWO_EDIT_LENGTH ? 2 : 1;
+
+                const likely = common
+                    .filter(candidate =>
+                        counts.get(candidate) >= count * TYPO_FREQUENCY_RATIO &&
+                        word[0] === candidate[0] &&
+                        this.isWithinEdits(word, candidate, maxEdits) &&
+                        !this.isInflection(word, candidate)
+                    )
+                    .sort((a, b) => counts.get(b) - counts.get(a))[0];
+                if (!likely) return;
+
+                occurrences.get(word).forEach(({ row, column }) => {
+                    add(LINT_CODES.SUSPICIOUS_TYPO, row, column, `"${word}" may be a typo of "${likely}"`);
+                });
+            });
+        });
+
+        rows.forEach(row => {
+            ['Spanish Name', 'English Translation', 'Dutch Translation', 'Description', 'Dutch Description'].forEach(column => {
+                const repeated = (row[column] || '').match(/\b(\p{L}+)\s+\1\b/iu);
+                if (repeated) {
+                    add(LINT_CODES.SUSPICIOUS_TYPO, row, column, `Repeated word "${repeated[1]}"`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether two different words are at most maxEdits insertions,
+     * deletions or substitutions apart
+     */
+    isWithinEdits(a, b, maxEdits) {
+        if (a === b || Math.abs(a.length - b.length) > maxEdits) return false;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            if (Math.min(...current) > maxEdits) return false;
+            previous = current;
+        }
+
+        return previous[b.length] <= maxEdits;
+    }
+
+    /**
+     * Check whether two words only differ by a plural or inflection ending
+     * (olive/olives, sandwich/sandwiches, gegrild/gegrilde, traditioneel/traditionele)
+     */
+    isInflection(a, b) {
+        const stems = word => {
+            const stem = word.replace(INFLECTION_ENDING, '');
+            return [word, stem, word.replace(DOUBLED_VOWEL, '$1'), stem.replace(DOUBLED_VOWEL, '$1')];
+        };
+        const stemsOfB = stems(b);
+        return stems(a).some(stem => stemsOfB.includes(stem));
+    }
+
+    /**
+     * Split text into lowercase words, keeping accented letters
+     */
+    extractWords(text) {
+        return String(text)
+            .toLowerCase()
+            .split(/[^\p{L}]+/u)
+            .filter(word => word.length > 0);
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.DatasetLinter = DatasetLinter;
+}
+
+console.log('📊 DatasetLinter module loaded');
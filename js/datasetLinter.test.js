@@ -0,0 +1,270 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DatasetLinter, LINT_CODES } from './datasetLinter.js';
+import { DataManager } from './dataManager.js';
+
+const header = 'ID,Spanish Name,English Translation,Dutch Translation,Description,Dutch Description,Price Range,Pork,Other Meat,Fish/Seafood,Dairy,Vegetarian,Google Search,Course,Category,Region';
+
+const row = (overrides = {}) => ({
+    _rowNumber: 2,
+    _id: 'gazpacho',
+    'ID': 'gazpacho',
+    'Spanish Name': 'Gazpacho',
+    'English Translation': 'Cold Soup',
+    'Dutch Translation': 'Koude Soep',
+    'Description': 'Cold tomato soup',
+    'Dutch Description': 'Koude tomatensoep',
+    'Price Range': '€5-7',
+    'Pork': 'FALSE',
+    'Other Meat': 'FALSE',
+    'Fish/Seafood': 'FALSE',
+    'Dairy': 'FALSE',
+    'Vegetarian': 'TRUE',
+    'Google Search': 'https://www.google.com/search?q=gazpacho&tbm=isch',
+    'Course': 'starter',
+    'Category': 'soups',
+    'Region': 'andalusia',
+    ...overrides
+});
+
+describe('DatasetLinter', () => {
+    let linter;
+
+    beforeEach(() => {
+        linter = new DatasetLinter(new DataManager());
+    });
+
+    const codes = (rows, options) => linter.lintRows(rows, options).map(issue => issue.code);
+
+    test('should report nothing for a clean row', () => {
+        expect(linter.lintRows([row()])).toEqual([]);
+    });
+
+    test('should flag vegetarian items with meat or seafood', () => {
+        const [issue] = linter.lintRows([row({ 'Fish/Seafood': 'TRUE' })]);
+
+        expect(issue).toEqual({
+            severity: 'error',
+            code: LINT_CODES.CONTRADICTORY_DIETARY_FLAGS,
+            pack: null,
+            row: 2,
+            id: 'gazpacho',
+            field: 'Vegetarian',
+            message: 'Marked vegetarian but contains fish/seafood'
+        });
+    });
+
+    test('should flag allergen columns that contradict the legacy flags', () => {
+        expect(codes([row({ 'Dairy': 'TRUE', 'Milk': 'FALSE' })])).toEqual([LINT_CODES.CONTRADICTORY_DIETARY_FLAGS]);
+        expect(codes([row({ 'Vegetarian': 'FALSE', 'Crustaceans': 'TRUE' })])).toEqual([LINT_CODES.CONTRADICTORY_DIETARY_FLAGS]);
+    });
+
+    test('should flag non-boolean dietary values', () => {
+        expect(codes([row({ 'Pork': 'maybe' })])).toEqual([LINT_CODES.INVALID_BOOLEAN]);
+    });
+
+    test('should flag missing Dutch translations', () => {
+        const issues = linter.lintRows([row({ 'Dutch Translation': '', 'Dutch Description': '' })]);
+
+        expect(issues.map(issue => issue.field)).toEqual(['Dutch Translation', 'Dutch Description']);
+        expect(issues.every(issue => issue.severity === 'warning')).toBe(true);
+    });
+
+    test('should flag Dutch names copied from the English name', () => {
+        const [issue] = linter.lintRows([row({ 'English Translation': 'Valencia Water', 'Dutch Translation': 'Valencia water' })]);
+
+        expect(issue).toMatchObject({ code: LINT_CODES.UNTRANSLATED_NAME, field: 'Dutch Translation', severity: 'warning' });
+        expect(issue.message).toBe('Dutch translation "Valencia water" is the same as the English name');
+    });
+
+    test('should accept loanwords Dutch uses unchanged', () => {
+        expect(codes([row({ 'English Translation': 'Chorizo', 'Dutch Translation': 'Chorizo' })])).toEqual([]);
+        expect(codes([row({ 'English Translation': 'Fish & Chips', 'Dutch Translation': 'Fish & Chips' })])).toEqual([]);
+    });
+
+    test('should flag malformed price ranges', () => {
+        expect(codes([row({ 'Price Range': 'ask the waiter' })])).toEqual([LINT_CODES.MALFORMED_PRICE]);
+        expect(codes([row({ 'Price Range': '€9-4' })])).toEqual([LINT_CODES.MALFORMED_PRICE]);
+        expect(codes([row({ 'Price Range': '€12' })])).toEqual([]);
+        expect(codes([row({ 'Price Range': '5-7 euros' })])).toEqual([]);
+        expect(codes([row({ 'Price Range': 'S/M' })])).toEqual([]);
+    });
+
+    test('should flag search URLs that do not match the dish', () => {
+        expect(codes([row({ 'Google Search': 'https://www.google.com/search?q=paella&tbm=isch' })]))
+            .toEqual([LINT_CODES.SEARCH_URL_MISMATCH]);
+        expect(codes([row({ 'Google Search': 'https://example.com/gazpacho' })]))
+            .toEqual([LINT_CODES.SEARCH_URL_MISMATCH]);
+        expect(codes([row({ 'Google Search': '' })]))
+            .toEqual([LINT_CODES.SEARCH_URL_MISMATCH]);
+    });
+
+    test('should accept search URLs that use the English name or an alias', () => {
+        expect(codes([row({ 'Google Search': 'https://www.google.com/search?q=cold%20soup' })])).toEqual([]);
+        expect(codes([row({ 'Aliases': 'Gaspatxo', 'Google Search': 'https://www.google.com/search?q=gaspatxo' })])).toEqual([]);
+    });
+
+    test('should flag rare words one edit away from a common word', () => {
+        const rows = [
+            row({ _id: 'a', 'Dutch Description': 'Vis gegrild met knoflook' }),
+            row({ _id: 'b', 'Dutch Description': 'Vlees gegrild met kruiden' }),
+            row({ _id: 'c', 'Dutch Description': 'Groenten gegrild' }),
+            row({ _id: 'd', 'Dutch Description': 'Tonijn gegriald met olie' })
+        ];
+
+        const typos = linter.lintRows(rows).filter(issue => issue.code === LINT_CODES.SUSPICIOUS_TYPO);
+
+        expect(typos).toHaveLength(1);
+        expect(typos[0]).toMatchObject({ id: 'd', field: 'Dutch Description' });
+        expect(typos[0].message).toBe('"gegriald" may be a typo of "gegrild"');
+    });
+
+    test('should flag a typo repeated across rows when the correct spelling is far more common', () => {
+        const rows = [
+            ...['a', 'b', 'c', 'd', 'e', 'f'].map(id => row({ _id: id, 'Dutch Description': 'Kleine gefrituurde visjes' })),
+            row({ _id: 'g', 'Dutch Description': 'Inktvis, gegrild of gefrituurrd' }),
+            row({ _id: 'h', 'Dutch Description': 'Zeekat, gegrild of gefrituurrd' })
+        ];
+
+        const typos = linter.lintRows(rows).filter(issue => issue.code === LINT_CODES.SUSPICIOUS_TYPO);
+
+        expect(typos.map(issue => issue.id)).toEqual(['g', 'h']);
+        expect(typos[0].message).toBe('"gefrituurrd" may be a typo of "gefrituurde"');
+    });
+
+    test('should not flag Dutch inflections', () => {
+        const rows = [
+            ...['a', 'b', 'c'].map(id => row({ _id: id, 'Dutch Description': 'Traditionele Spaanse gerechten' })),
+            row({ _id: 'd', 'Dutch Description': 'Traditioneel Spaans gerecht' })
+        ];
+
+        expect(codes(rows)).not.toContain(LINT_CODES.SUSPICIOUS_TYPO);
+    });
+
+    test('should not flag plurals or words with a different first letter', () => {
+        const rows = [
+            row({ _id: 'a', 'Description': 'Grilled octopus' }),
+            row({ _id: 'b', 'Description': 'Grilled fish' }),
+            row({ _id: 'c', 'Description': 'Grilled peppers' }),
+            row({ _id: 'd', 'Description': 'Drilled, not grilleds' })
+        ];
+
+        expect(codes(rows)).not.toContain(LINT_CODES.SUSPICIOUS_TYPO);
+    });
+
+    test('should flag repeated words', () => {
+        expect(codes([row({ 'Description': 'Cold cold tomato soup' })])).toEqual([LINT_CODES.SUSPICIOUS_TYPO]);
+    });
+
+    test('should flag unknown and missing course, category and region values', () => {
+        const issues = linter.lintRows([row({ 'Course': 'Nagerechten', 'Category': 'pudding', 'Region': 'Atlantis' })]);
+
+        expect(issues.map(issue => [issue.code, issue.field])).toEqual([
+            [LINT_CODES.UNKNOWN_TAXONOMY_VALUE, 'Category'],
+            [LINT_CODES.UNKNOWN_TAXONOMY_VALUE, 'Region']
+        ]);
+        expect(codes([row({ 'Course': '', 'Region': '' })])).toEqual([LINT_CODES.MISSING_TAXONOMY_VALUE]);
+    });
+
+    test('should warn about ingredients missing from the glossary', () => {
+        linter.dataManager.setIngredientGlossary({ tomato: { en: 'tomato', es: 'tomate' } });
+        const issues = linter.lintRows([row({ 'Ingredients': 'Tomate|cucumbr' })]);
+
+        expect(issues.map(issue => [issue.code, issue.field, issue.message])).toEqual([
+            [LINT_CODES.UNKNOWN_INGREDIENT, 'Ingredients', '"cucumbr" is not in the ingredient glossary']
+        ]);
+    });
+
+    test('should skip ingredient checks when no glossary is loaded', () => {
+        expect(codes([row({ 'Ingredients': 'anything' })])).toEqual([]);
+    });
+
+    test('should flag empty translation columns for other languages', () => {
+        const issues = linter.lintRows([row({ 'Translation (de)': '', 'Description (de)': '', 'Translation (fr)': 'Soupe froide' })]);
+
+        expect(issues.map(issue => [issue.code, issue.field])).toEqual([
+            [LINT_CODES.MISSING_TRANSLATION, 'Translation (de)'],
+            [LINT_CODES.MISSING_TRANSLATION, 'Description (de)']
+        ]);
+        expect(issues[0].message).toBe('Deutsch translation is empty; a fallback name will be shown instead');
+    });
+
+    test('should convert parse errors into lint issues', () => {
+        const issues = linter.lintRows([], {
+            pack: 'core',
+            parseErrors: [
+                { row: 3, line: 3, column: 1, code: 'DUPLICATE_ID', message: 'Duplicate ID "flan"' },
+                { row: 4, line: 5, column: 2, code: 'UNTERMINATED_QUOTE', message: 'Quoted field is never closed' }
+            ]
+        });
+
+        expect(issues.map(issue => [issue.code, issue.row, issue.pack])).toEqual([
+            [LINT_CODES.DUPLICATE_ID, 3, 'core'],
+            [LINT_CODES.MALFORMED_RECORD, 5, 'core']
+        ]);
+    });
+});
+
+describe('DataManager lint', () => {
+    let dataManager;
+
+    beforeEach(() => {
+        dataManager = new DataManager();
+    });
+
+    test('should lint CSV text into a summarized report', () => {
+        const csv = `${header}\n` +
+            'flan,Flan,Custard,Vla,Caramel custard,Karamelvla,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,https://www.google.com/search?q=flan,dessert,sweets,\n' +
+            'flan,Flan Casero,Homemade Custard,Vla,Custard,Vla,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,https://www.google.com/search?q=flan,dessert,sweets,\n' +
+            'ajo-blanco,Ajo Blanco,White Soup,,Almond soup,,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,https://www.google.com/search?q=ajo%20blanco,starter,soups,andalusia\n' +
+            'ajoblanco,Ajoblanco,White Soup,Witte Soep,Almond soup,Amandelsoep,€5-7,FALSE,FALSE,FALSE,FALSE,TRUE,https://www.google.com/search?q=ajoblanco,starter,soups,andalusia';
+
+        const report = dataManager.lintCSV(csv, { pack: 'core' });
+
+        expect(report.itemsChecked).toBe(3);
+        expect(report.summary).toEqual({ errors: 1, warnings: 3 });
+        expect(report.byCode).toEqual({
+            [LINT_CODES.DUPLICATE_ID]: 1,
+            [LINT_CODES.MISSING_TRANSLATION]: 2,
+            [LINT_CODES.SUSPECTED_DUPLICATE]: 1
+        });
+    });
+
+    test('should report a missing header as an error instead of throwing', () => {
+        const report = dataManager.lintCSV('Name,Price\nFlan,€4');
+
+        expect(report.summary.errors).toBe(1);
+        expect(report.issues[0].code).toBe(LINT_CODES.MALFORMED_RECORD);
+    });
+
+    test('should lint loaded packs', async () => {
+        const csv = `${header}\n` +
+            'flan,Flan,Custard,Vla,Caramel custard,Karamelvla,€4-6,FALSE,FALSE,FALSE,TRUE,TRUE,https://www.google.com/search?q=flan,dessert,sweets,\n' +
+            'pulpo,Pulpo,Octopus,Octopus,Boiled octopus,Gekookte octopus,€12-16,FALSE,FALSE,TRUE,FALSE,TRUE,https://www.google.com/search?q=pulpo,tapa,seafood,galicia';
+        fetch.mockImplementation((url) => Promise.resolve(url.endsWith('.json')
+            ? { ok: false, status: 404, statusText: 'Not Found' }
+            : { ok: true, status: 200, text: () => Promise.resolve(csv) }
+        ));
+
+        await dataManager.loadMenuData();
+        const report = dataManager.lint();
+
+        expect(report.itemsChecked).toBe(2);
+        expect(report.issues).toEqual([expect.objectContaining({
+            code: LINT_CODES.CONTRADICTORY_DIETARY_FLAGS,
+            pack: 'core',
+            id: 'pulpo',
+            row: 3
+        })]);
+    });
+
+    test('should require loaded data', () => {
+        expect(() => dataManager.lint()).toThrow('Menu data not loaded');
+    });
+
+    test('should keep the shipped dataset free of lint errors', async () => {
+        const fs = await import('fs');
+        const csv = fs.readFileSync(new URL('../data/spanish_menu_items.csv', import.meta.url), 'utf8');
+
+        expect(dataManager.lintCSV(csv).summary.errors).toBe(0);
+    });
+});
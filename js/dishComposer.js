@@ -0,0 +1,386 @@
+/**
+ * Dish Composer Module
+ * Translates dish names that are not in the dataset from their parts: a known
+ * base dish or ingredient, connectors ("con", "de", "y", "sin") and cooking
+ * methods ("a la plancha", "frito"). "Merluza a la romana" becomes "Battered hake"
+ * and "Huevos rotos con jamón" becomes "Broken Eggs with ham".
+ */
+
+import { normalizeText, stemWord } from './textNormalizer.js';
+
+// Glossary ingredients that set a dietary flag; any other ingredient keeps a dish vegetarian
+export const INGREDIENT_FLAGS = {
+    hasPork: ['bacon', 'black pudding', 'chorizo', 'ham', 'pepperoni', 'pork', 'salami'],
+    hasOtherMeat: [
+        'beef', 'chicken', 'cured beef', 'duck', 'foie gras', 'lamb', 'liver', 'oxtail', 'rabbit',
+        'snails', 'veal'
+    ],
+    hasSeafood: [
+        'anchovies', 'baby eels', 'bonito', 'clams', 'cuttlefish', 'dogfish', 'fish', 'goose barnacles',
+        'grouper', 'hake', 'lobster', 'mackerel', 'monkfish', 'mussels', 'octopus', 'oysters', 'prawns',
+        'razor clams', 'red mullet', 'salmon', 'salt cod', 'sardines', 'scallops', 'sea bass', 'sea bream',
+        'skate', 'spider crab', 'squid', 'squid ink', 'trout', 'tuna', 'turbot'
+    ],
+    hasDairy: [
+        'bechamel', 'cheese', 'cream', 'feta', 'goat cheese', 'mascarpone', 'milk', 'mozzarella',
+        'parmesan', 'yogurt'
+    ]
+};
+
+// Flags a base dish only passes on when its own dataset flags say so
+const FILLING_FLAGS = ['hasPork', 'hasOtherMeat', 'hasSeafood'];
+
+// Kinds of dish that are a base for other parts but not dataset dishes themselves ("Ensalada de tomate")
+export const DISH_TYPES = [
+    { key: 'salad', phrases: ['ensalada'], en: 'salad', nl: 'salade' },
+    { key: 'soup', phrases: ['sopa'], en: 'soup', nl: 'soep' },
+    { key: 'cream-soup', phrases: ['crema'], en: 'cream soup', nl: 'crèmesoep' },
+    { key: 'stew', phrases: ['guiso'], en: 'stew', nl: 'stoofpot' },
+    { key: 'scrambled-eggs', phrases: ['revuelto'], en: 'scrambled eggs', nl: 'roerei' },
+    { key: 'cake', phrases: ['tarta'], en: 'cake', nl: 'taart' },
+    { key: 'toast', phrases: ['tosta'], en: 'toast', nl: 'toast' },
+    { key: 'small-sandwich', phrases: ['montadito'], en: 'small sandwich', nl: 'broodje' },
+    { key: 'skewer', phrases: ['pincho', 'pintxo'], en: 'skewer', nl: 'spiesje' },
+    { key: 'fillet', phrases: ['filete'], en: 'fillet', nl: 'filet' },
+    { key: 'carpaccio', phrases: ['carpaccio'], en: 'carpaccio', nl: 'carpaccio' },
+    { key: 'tartare', phrases: ['tartar'], en: 'tartare', nl: 'tartaar' }
+];
+
+/**
+ * Cooking methods and styles. Phrases are matched after stemming, so "frito" also
+ * covers "frita", "fritos" and "fritas". Each language label goes in front of the
+ * dish name ("Fried squid") unless `after` is set ("Hake in batter"). `ingredients`
+ * are glossary keys the method adds to the dish, e.g. the garlic of "al ajillo".
+ */
+export const COOKING_METHODS = [
+    { key: 'grilled', phrases: ['a la plancha', 'a la parrilla', 'plancha'], en: { label: 'grilled' }, nl: { label: 'gegrilde' } },
+    { key: 'chargrilled', phrases: ['a la brasa', 'a las brasas'], en: { label: 'chargrilled' }, nl: { label: 'op houtskool gegrilde' } },
+    { key: 'battered', phrases: ['a la romana', 'rebozado'], en: { label: 'battered' }, nl: { label: 'in beslag', after: true } },
+    { key: 'breaded', phrases: ['empanado'], en: { label: 'breaded' }, nl: { label: 'gepaneerde' } },
+    { key: 'fried', phrases: ['frito'], en: { label: 'fried' }, nl: { label: 'gefrituurde' } },
+    { key: 'baked', phrases: ['al horno'], en: { label: 'baked' }, nl: { label: 'uit de oven', after: true } },
+    { key: 'salt-baked', phrases: ['a la sal'], en: { label: 'salt-baked' }, nl: { label: 'in zoutkorst', after: true } },
+    { key: 'roast', phrases: ['asado'], en: { label: 'roast' }, nl: { label: 'geroosterde' } },
+    { key: 'steamed', phrases: ['al vapor'], en: { label: 'steamed' }, nl: { label: 'gestoomde' } },
+    { key: 'stewed', phrases: ['guisado', 'estofado'], en: { label: 'stewed' }, nl: { label: 'gestoofde' } },
+    { key: 'boiled', phrases: ['cocido', 'hervido'], en: { label: 'boiled' }, nl: { label: 'gekookte' } },
+    { key: 'sauteed', phrases: ['salteado'], en: { label: 'sautéed' }, nl: { label: 'gebakken' } },
+    { key: 'smoked', phrases: ['ahumado'], en: { label: 'smoked' }, nl: { label: 'gerookte' } },
+    { key: 'confit', phrases: ['confitado'], en: { label: 'confit' }, nl: { label: 'gekonfijte' } },
+    { key: 'au-gratin', phrases: ['gratinado'], en: { label: 'au gratin', after: true }, nl: { label: 'gegratineerde' } },
+    { key: 'stuffed', phrases: ['relleno'], en: { label: 'stuffed' }, nl: { label: 'gevulde' } },
+    { key: 'crispy', phrases: ['crujiente'], en: { label: 'crispy' }, nl: { label: 'krokante' } },
+    { key: 'homemade', phrases: ['casero'], en: { label: 'homemade' }, nl: { label: 'huisgemaakte' } },
+    { key: 'garlic', phrases: ['al ajillo'], ingredients: ['garlic'], en: { label: 'in garlic oil', after: true }, nl: { label: 'in knoflookolie', after: true } },
+    { key: 'pil-pil', phrases: ['al pil pil'], ingredients: ['garlic', 'olive oil'], en: { label: 'in pil-pil sauce', after: true }, nl: { label: 'in pil-pilsaus', after: true } },
+    { key: 'ink', phrases: ['en su tinta'], ingredients: ['squid ink'], en: { label: 'in its own ink', after: true }, nl: { label: 'in eigen inkt', after: true } },
+    { key: 'green-sauce', phrases: ['en salsa verde'], ingredients: ['parsley'], en: { label: 'in green sauce', after: true }, nl: { label: 'in groene saus', after: true } },
+    { key: 'sauce', phrases: ['en salsa'], en: { label: 'in sauce', after: true }, nl: { label: 'in saus', after: true } },
+    { key: 'galician', phrases: ['a la gallega', 'a feira'], en: { label: 'Galician-style' }, nl: { label: 'op Galicische wijze', after: true } },
+    { key: 'basque', phrases: ['a la vasca'], en: { label: 'Basque-style' }, nl: { label: 'op Baskische wijze', after: true } },
+    { key: 'biscay', phrases: ['a la vizcaina'], en: { label: 'Biscay-style' }, nl: { label: 'op Biskaaise wijze', after: true } },
+    { key: 'catalan', phrases: ['a la catalana'], en: { label: 'Catalan-style' }, nl: { label: 'op Catalaanse wijze', after: true } },
+    { key: 'andalusian', phrases: ['a la andaluza'], en: { label: 'Andalusian-style' }, nl: { label: 'op Andalusische wijze', after: true } },
+    { key: 'rioja', phrases: ['a la riojana'], en: { label: 'Rioja-style' }, nl: { label: 'op Riojaanse wijze', after: true } },
+    { key: 'madrid', phrases: ['a la madrileña'], en: { label: 'Madrid-style' }, nl: { label: 'op Madrileense wijze', after: true } },
+    { key: 'fisherman', phrases: ['a la marinera'], en: { label: "fisherman's-style" }, nl: { label: 'op vissers wijze', after: true } }
+];
+
+// Words joining the parts of a dish name, by what they mean for the ingredients that follow
+const CONNECTORS = {
+    con: 'with', de: 'with', del: 'with', en: 'with',
+    y: 'and', e: 'and',
+    sin: 'without'
+};
+
+// Articles carry nothing of their own once the methods ("a la ...", "al ...") have been read
+const ARTICLES = new Set(['a', 'al', 'el', 'la', 'las', 'lo', 'los', 'un', 'una']);
+
+// Connecting words of composed names in each UI language; other languages use English
+const GRAMMAR = {
+    en: { with: 'with', and: 'and', without: 'without' },
+    nl: { with: 'met', and: 'en', without: 'zonder' }
+};
+
+// Parts a composed name is built around; the first one found is its head
+const BASE_TYPES = ['dish', 'dishType', 'ingredient'];
+
+const MAX_PHRASE_WORDS = 5;
+
+/**
+ * Stemmed form of a name, the form phrases are looked up in
+ */
+function stemPhrase(text) {
+    return normalizeText(text).split(' ').filter(Boolean).map(stemWord).join(' ');
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ */
+function joinList(names, and) {
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} ${and} ${names[names.length - 1]}`;
+}
+
+export class DishComposer {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.config = {
+            minParts: 2 // Dishes, ingredients and methods needed before a name is composed
+        };
+
+        // Phrase lookups, rebuilt when the data manager loads other items or another glossary
+        this.lexicon = null;
+        this.lexiconSource = null;
+    }
+
+    /**
+     * Build the stemmed phrase lookups for dishes, ingredients and methods
+     */
+    getLexicon() {
+        const { menuItems, ingredients } = this.dataManager;
+        if (this.lexicon && this.lexiconSource.menuItems === menuItems && this.lexiconSource.ingredients === ingredients) {
+            return this.lexicon;
+        }
+
+        const dishes = new Map();
+        menuItems.forEach(item => {
+            [item.spanishName, ...(item.aliases || [])].forEach(name => {
+                const phrase = stemPhrase(name);
+                if (phrase && !dishes.has(phrase)) dishes.set(phrase, item);
+            });
+        });
+
+        const ingredientPhrases = new Map();
+        Object.keys(ingredients || {}).forEach(key => {
+            this.dataManager.getIngredientTerms(key).forEach(term => {
+                const phrase = stemPhrase(term);
+                if (phrase && !ingredientPhrases.has(phrase)) ingredientPhrases.set(phrase, key);
+            });
+        });
+
+        const dishTypes = new Map();
+        DISH_TYPES.forEach(type => {
+            type.phrases.forEach(phrase => dishTypes.set(stemPhrase(phrase), type));
+        });
+
+        const methods = new Map();
+        COOKING_METHODS.forEach(method => {
+            method.phrases.forEach(phrase => methods.set(stemPhrase(phrase), method));
+        });
+
+        this.lexicon = { dishes, dishTypes, ingredients: ingredientPhrases, methods };
+        this.lexiconSource = { menuItems, ingredients };
+        return this.lexicon;
+    }
+
+    /**
+     * Longest phrase starting at a word that is in a lookup
+     * @returns {object|null} { value, length } with length in words
+     */
+    matchPhrase(stems, start, lookup) {
+        const maxLength = Math.min(MAX_PHRASE_WORDS, stems.length - start);
+        for (let length = maxLength; length > 0; length--) {
+            const value = lookup.get(stems.slice(start, start + length).join(' '));
+            if (value) return { value, length };
+        }
+        return null;
+    }
+
+    /**
+     * Read a dish name into its parts, in order
+     * @returns {Array} { type, text, ... } with type dish ({ item }), dishType ({ dishType }),
+     *   ingredient ({ key }), method ({ method }), connector ({ role }) or unknown
+     */
+    parse(text) {
+        const lexicon = this.getLexicon();
+        const words = normalizeText(text).split(' ').filter(Boolean);
+        const stems = words.map(stemWord);
+        const parts = [];
+
+        let index = 0;
+        while (index < words.length) {
+            const hasBase = parts.some(part => BASE_TYPES.includes(part.type));
+            const dish = hasBase ? null : this.matchPhrase(stems, index, lexicon.dishes);
+            const dishType = hasBase ? null : this.matchPhrase(stems, index, lexicon.dishTypes);
+            const method = this.matchPhrase(stems, index, lexicon.methods);
+            const ingredient = this.matchPhrase(stems, index, lexicon.ingredients);
+            const spanText = length => words.slice(index, index + length).join(' ');
+
+            // Methods first, so "a la plancha" is not read as an article and an unknown word
+            if (method && (!dish || method.length >= dish.length)) {
+                parts.push({ type: 'method', text: spanText(method.length), method: method.value });
+                index += method.length;
+            } else if (dish && (!ingredient || dish.length >= ingredient.length)) {
+                parts.push({ type: 'dish', text: spanText(dish.length), item: dish.value });
+                index += dish.length;
+            } else if (dishType && (!ingredient || dishType.length >= ingredient.length)) {
+                parts.push({ type: 'dishType', text: spanText(dishType.length), dishType: dishType.value });
+                index += dishType.length;
+            } else if (ingredient) {
+                parts.push({ type: 'ingredient', text: spanText(ingredient.length), key: ingredient.value });
+                index += ingredient.length;
+            } else if (CONNECTORS[words[index]]) {
+                parts.push({ type: 'connector', text: words[index], role: CONNECTORS[words[index]] });
+                index += 1;
+            } else {
+                if (!ARTICLES.has(words[index])) {
+                    parts.push({ type: 'unknown', text: words[index] });
+                }
+                index += 1;
+            }
+        }
+
+        return parts;
+    }
+
+    /**
+     * Compose a translation for a dish name that is not in the dataset
+     * @param {string} text - Dish name as written on the menu
+     * @param {string} language - UI language of the composed name
+     * @returns {object|null} {
+     *   text, name, language,
+     *   base: the dataset dish the name starts from, or null,
+     *   ingredients: glossary keys the dish is made with, methods: method keys,
+     *   without: glossary keys after "sin",
+     *   flags: { isVegetarian, hasPork, hasOtherMeat, hasSeafood, hasDairy } inferred from the parts,
+     *   parts: parse() output, unknown: words that were not recognised,
+     *   coverage: share of the name's words that were recognised (0-1)
+     * } or null when the name is a dataset dish or too little of it is recognised
+     */
+    compose(text, language = 'en') {
+        const parts = this.parse(text);
+        const known = parts.filter(part => part.type === 'method' || BASE_TYPES.includes(part.type));
+        const unknown = parts.filter(part => part.type === 'unknown').map(part => part.text);
+        const head = parts.find(part => BASE_TYPES.includes(part.type));
+
+        if (!head || known.length < this.config.minParts || unknown.length > known.length) {
+            return null;
+        }
+
+        // Ingredients after the head join it "with" the dish unless "sin" came before them
+        const added = [];
+        const without = [];
+        let role = 'with';
+        parts.forEach(part => {
+            if (part.type === 'connector' && part.role !== 'and') {
+                role = part.role;
+            } else if (part.type === 'ingredient' && part !== head) {
+                (role === 'without' ? without : added).push(part);
+            }
+        });
+
+        const methods = known.filter(part => part.type === 'method').map(part => part.method);
+        const headIngredients = { dish: head.item && this.getBaseIngredients(head.item), ingredient: [head.key] }[head.type] || [];
+        const ingredients = [
+            ...headIngredients,
+            ...added.map(part => part.key),
+            ...methods.flatMap(method => method.ingredients || [])
+        ].filter(key => !without.some(part => part.key === key));
+        const uniqueIngredients = [...new Set(ingredients)];
+        const wordCount = parts.reduce((count, part) => count + part.text.split(' ').length, 0);
+
+        return {
+            text,
+            name: this.getComposedName(head, added, without, methods, parts, language),
+            language: GRAMMAR[language] ? language : 'en',
+            base: head.type === 'dish' ? head.item : null,
+            ingredients: uniqueIngredients,
+            methods: methods.map(method => method.key),
+            without: without.map(part => part.key),
+            flags: this.getFlags(head, uniqueIngredients, unknown),
+            parts,
+            unknown,
+            coverage: 1 - unknown.length / wordCount
+        };
+    }
+
+    /**
+     * Put the translated parts back together in the word order of the UI language.
+     * Unknown words are kept as written after the dish or ingredient they follow.
+     */
+    getComposedName(head, added, without, methods, parts, language) {
+        const code = GRAMMAR[language] ? language : 'en';
+        const grammar = GRAMMAR[code];
+
+        const name = part => {
+            const index = parts.indexOf(part);
+            const trailing = [];
+            for (let next = index + 1; next < parts.length && !BASE_TYPES.includes(parts[next].type); next++) {
+                if (parts[next].type === 'unknown') trailing.push(parts[next].text);
+            }
+            return [this.translatePart(part, language), ...trailing].join(' ');
+        };
+
+        const labels = methods.map(method => method[code]);
+        let composed = [
+            ...labels.filter(label => !label.after).map(label => label.label),
+            name(head),
+            ...labels.filter(label => label.after).map(label => label.label)
+        ].join(' ');
+
+        if (added.length > 0) {
+            composed += ` ${grammar.with} ${joinList(added.map(name), grammar.and)}`;
+        }
+        if (without.length > 0) {
+            composed += ` ${grammar.without} ${joinList(without.map(name), grammar.and)}`;
+        }
+
+        return composed.charAt(0).toUpperCase() + composed.slice(1);
+    }
+
+    /**
+     * Translation of one recognised part; connectors and unknown words have none.
+     * Languages without grammar tables get English, so a name never mixes languages.
+     * @returns {string|null}
+     */
+    translatePart(part, language = 'en') {
+        const code = GRAMMAR[language] ? language : 'en';
+        switch (part.type) {
+            case 'dish':
+                return this.dataManager.getTranslation(part.item, code).name;
+            case 'dishType':
+                return part.dishType[code];
+            case 'ingredient':
+                return this.dataManager.getIngredientName(part.key, code);
+            case 'method':
+                return part.method[code].label;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Ingredients a base dish always has. Generic dishes list a usual filling their own
+     * flags leave out, like the ham of "Croquetas"; "Croquetas de bacalao" has none of it.
+     */
+    getBaseIngredients(item) {
+        return (item.ingredients || []).filter(key =>
+            !FILLING_FLAGS.some(flag => !item[flag] && INGREDIENT_FLAGS[flag].includes(key))
+        );
+    }
+
+    /**
+     * Dietary flags of a composed dish: the base dish's own flags plus those of the
+     * added ingredients. A dish with unknown words is never called vegetarian.
+     */
+    getFlags(head, ingredients, unknown) {
+        const flags = {};
+        Object.entries(INGREDIENT_FLAGS).forEach(([flag, keys]) => {
+            flags[flag] = Boolean(head.type === 'dish' && head.item[flag]) ||
+                ingredients.some(key => keys.includes(key));
+        });
+
+        const baseIsVegetarian = head.type === 'dish' ? Boolean(head.item.isVegetarian) : unknown.length === 0;
+        flags.isVegetarian = baseIsVegetarian && !flags.hasPork && !flags.hasOtherMeat && !flags.hasSeafood;
+
+        return flags;
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.DishComposer = DishComposer;
+}
+
+console.log('📊 DishComposer module loaded');
@@ -0,0 +1,139 @@
+/**
+ * Tests for DishComposer - translations of dish names that are not in the dataset
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { DishComposer } from './dishComposer.js';
+import { DataManager } from './dataManager.js';
+
+const GLOSSARY = {
+    ham: { en: 'ham', es: 'jamón', nl: 'ham' },
+    peppers: { en: 'peppers', es: 'pimientos', nl: 'paprika' },
+    hake: { en: 'hake', es: 'merluza', nl: 'heek', de: 'Seehecht' },
+    squid: { en: 'squid', es: 'calamar', nl: 'inktvis' },
+    potatoes: { en: 'potatoes', es: 'patatas', nl: 'aardappelen' },
+    tomato: { en: 'tomato', es: 'tomate', nl: 'tomaat' },
+    onion: { en: 'onion', es: 'cebolla', nl: 'ui' },
+    cheese: { en: 'cheese', es: 'queso', nl: 'kaas', fr: 'fromage' },
+    garlic: { en: 'garlic', es: 'ajo', nl: 'knoflook' },
+    egg: { en: 'egg', es: 'huevo', nl: 'ei', synonyms: ['huevos'] },
+    bechamel: { en: 'bechamel', es: 'bechamel', nl: 'bechamel' },
+    'salt cod': { en: 'salt cod', es: 'bacalao', nl: 'gezouten kabeljauw' }
+};
+
+describe('DishComposer', () => {
+    let dataManager;
+    let composer;
+
+    beforeEach(() => {
+        dataManager = new DataManager();
+        dataManager.setIngredientGlossary(GLOSSARY);
+        dataManager.menuItems = [
+            {
+                id: 'huevos-rotos',
+                spanishName: 'Huevos Rotos',
+                translations: { en: { name: 'Broken Eggs' }, nl: { name: 'Gebroken Eieren' }, de: { name: 'Zerbrochene Eier' } },
+                ingredients: ['egg', 'potatoes'],
+                isVegetarian: true
+            },
+            {
+                id: 'calamares-a-la-romana',
+                spanishName: 'Calamares a la Romana',
+                translations: { en: { name: 'Fried Squid Rings' } },
+                ingredients: ['squid'],
+                hasSeafood: true
+            },
+            {
+                id: 'croquetas',
+                spanishName: 'Croquetas',
+                translations: { en: { name: 'Croquettes' } },
+                ingredients: ['bechamel', 'ham'],
+                hasDairy: true
+            }
+        ];
+        dataManager.isLoaded = true;
+        composer = new DishComposer(dataManager);
+    });
+
+    test('should build on a dataset dish with added ingredients', () => {
+        const composed = composer.compose('Huevos rotos con jamón y pimientos');
+
+        expect(composed.name).toBe('Broken Eggs with ham and peppers');
+        expect(composed.base.id).toBe('huevos-rotos');
+        expect(composed.ingredients).toEqual(['egg', 'potatoes', 'ham', 'peppers']);
+        expect(composed.unknown).toEqual([]);
+    });
+
+    test('should translate cooking methods in the word order of the UI language', () => {
+        expect(composer.compose('Merluza a la romana').name).toBe('Battered hake');
+        expect(composer.compose('Merluza a la romana', 'nl').name).toBe('Heek in beslag');
+        expect(composer.compose('Calamares fritos', 'nl')).toMatchObject({ name: 'Gefrituurde inktvis', language: 'nl', methods: ['fried'] });
+    });
+
+    test('should fall back to English grammar for other languages', () => {
+        expect(composer.compose('Merluza a la plancha', 'de')).toMatchObject({ name: 'Grilled hake', language: 'en' });
+        expect(composer.compose('Huevos rotos con queso', 'de').name).toBe('Broken Eggs with cheese');
+        expect(composer.compose('Merluza con queso', 'fr').name).toBe('Hake with cheese');
+    });
+
+    test('should infer dietary flags from the parts', () => {
+        expect(composer.compose('Huevos rotos con jamón').flags).toMatchObject({ hasPork: true, isVegetarian: false });
+        expect(composer.compose('Huevos rotos con queso').flags).toMatchObject({ hasDairy: true, isVegetarian: true });
+        expect(composer.compose('Merluza al horno').flags).toMatchObject({ hasSeafood: true, isVegetarian: false });
+    });
+
+    test('should take meat and seafood from the filling of a generic dish', () => {
+        const cod = composer.compose('Croquetas de bacalao');
+
+        expect(cod.name).toBe('Croquettes with salt cod');
+        expect(cod.ingredients).toEqual(['bechamel', 'salt cod']);
+        expect(cod.flags).toMatchObject({ hasPork: false, hasSeafood: true, hasDairy: true, isVegetarian: false });
+        expect(composer.compose('Croquetas de jamón').flags).toMatchObject({ hasPork: true, hasSeafood: false });
+        expect(composer.compose('Calamares a la romana con patatas').flags).toMatchObject({ hasSeafood: true });
+    });
+
+    test('should add the ingredients a method implies', () => {
+        const composed = composer.compose('Patatas al ajillo');
+
+        expect(composed.name).toBe('Potatoes in garlic oil');
+        expect(composed.ingredients).toEqual(['potatoes', 'garlic']);
+    });
+
+    test('should leave out ingredients after "sin"', () => {
+        const composed = composer.compose('Ensalada de tomate sin cebolla', 'nl');
+
+        expect(composed.name).toBe('Salade met tomaat zonder ui');
+        expect(composed.without).toEqual(['onion']);
+        expect(composed.ingredients).toEqual(['tomato']);
+    });
+
+    test('should keep unrecognised words as written and never call the dish vegetarian', () => {
+        const composed = composer.compose('Tomate con pimientos del huerto');
+
+        expect(composed.name).toBe('Tomato with peppers huerto');
+        expect(composed.unknown).toEqual(['huerto']);
+        expect(composed.coverage).toBe(0.8);
+        expect(composed.flags.isVegetarian).toBe(false);
+    });
+
+    test('should not compose dataset dishes or names it cannot read', () => {
+        expect(composer.compose('Calamares a la romana')).toBeNull();
+        expect(composer.compose('Merluza')).toBeNull();
+        expect(composer.compose('Menú degustación del chef')).toBeNull();
+        expect(composer.compose('')).toBeNull();
+    });
+
+    test('should translate single parts for display', () => {
+        const parts = composer.parse('Merluza a la plancha con patatas');
+
+        expect(parts.map(part => part.type)).toEqual(['ingredient', 'method', 'connector', 'ingredient']);
+        expect(parts.map(part => composer.translatePart(part, 'nl'))).toEqual(['heek', 'gegrilde', null, 'aardappelen']);
+    });
+
+    test('should pick up a new glossary', () => {
+        expect(composer.compose('Merluza a la plancha con alcachofas').unknown).toEqual(['alcachofas']);
+
+        dataManager.setIngredientGlossary({ ...GLOSSARY, artichokes: { en: 'artichokes', es: 'alcachofas', nl: 'artisjokken' } });
+        expect(composer.compose('Merluza a la plancha con alcachofas').name).toBe('Grilled hake with artichokes');
+    });
+});
@@ -6,10 +6,16 @@
  */
 
 // Import modules (will be created in subsequent tasks)
-import { DataManager } from './dataManager.js';
-import { SearchEngine } from './searchEngine.js';
+import { DataManager, EU_ALLERGENS, formatPrice } from './dataManager.js';
+import { AsyncSearchEngine } from './asyncSearchEngine.js';
+import { DIETARY_FACETS, PRICE_FACETS } from './searchEngine.js';
+import { TAXONOMIES } from './taxonomy.js';
+import { removeQueryChip } from './queryParser.js';
 import { UpdateManager } from './updateManager.js';
 import { PreferencesManager } from './preferencesManager.js';
+import { SearchHistory } from './searchHistory.js';
+import { DishComposer } from './dishComposer.js';
+import { BROWSE_LETTERS, DIETARY_PROFILES, sortItems, groupItems } from './browseView.js';
 import CameraManager from './cameraManager.js';
 import OCRProcessor from './ocrProcessor.js';
 import TextProcessor from './textProcessor.js';
@@ -28,13 +34,18 @@ class SpanishMenuCheater {
     constructor() {
         this.isInitialized = false;
         this.isDataLoaded = false;
-        this.currentLanguage = 'en'; // Default to English
+        this.languageStorageKey = 'spanish-menu-language';
+        this.currentLanguage = this.loadLanguagePreference(); // Defaults to English
         
         // Module instances (will be initialized later)
         this.dataManager = null;
         this.searchEngine = null;
         this.updateManager = null;
         this.preferencesManager = null;
+        this.searchHistory = null;
+        this.dishComposer = null;
+        this.debugSearchEngine = null; // Search engine with edited config for the tuning panel
+        this.debugSearchReady = null;
         this.cameraManager = null;
         this.ocrProcessor = null; // Legacy OCR processor (Tesseract.js only)
         this.hybridOCRProcessor = null; // New hybrid OCR processor
@@ -52,8 +63,13 @@ class SpanishMenuCheater {
             shareButton: null,
             cameraButton: null,
             languageToggle: null,
+            languageMenu: null,
+            queryChips: null,
+            facetFilters: null,
+            browseView: null,
             offlineIndicator: null,
             welcomeMessage: null,
+            browseCategories: null,
             loadingIndicator: null,
             noResults: null,
             resultsList: null,
@@ -82,6 +98,19 @@ class SpanishMenuCheater {
             recommendedCount: null,
             allItemsCount: null,
             avoidCount: null,
+            // Paste menu modal elements
+            pasteMenuButton: null,
+            pasteMenuModal: null,
+            pasteMenuClose: null,
+            pasteMenuInput: null,
+            pasteMenuResults: null,
+            pasteMenuTranslate: null,
+            pasteMenuEdit: null,
+            // Search debug mode elements
+            searchDebugPanel: null,
+            searchDebugConfig: null,
+            searchDebugResults: null,
+            searchDebugReset: null,
             unrecognizedCount: null
         };
         
@@ -95,8 +124,21 @@ class SpanishMenuCheater {
             suggestions: [],
             preferences: {
                 showOnlyLiked: false,
-                hideDislikes: false
+                hideDislikes: false,
+                personalize: true // rank by likes and dislikes instead of filtering on them
             },
+            categoryBrowse: null, // { field, value } while listing a course, category or region from its chip
+            queryChips: [], // operators parsed from the current query
+            facetFilters: {}, // dietary, price and course filters picked from the facet chips
+            browseView: {
+                isOpen: false, // the #browse view is showing instead of search
+                groupBy: 'letter', // 'letter' | 'dietary'
+                sortBy: 'name', // 'name' | 'price-asc' | 'price-desc'
+                filters: {} // filterByDietary criteria plus showOnlyLiked and hideDislikes
+            },
+            recordedQuery: null, // query last added to the search history, until the input changes
+            debug: false, // search debug mode: score breakdowns and the tuning panel
+            debugDefaults: null, // search config before any edits in the tuning panel
             camera: {
                 isModalOpen: false,
                 isProcessing: false,
@@ -133,6 +175,9 @@ class SpanishMenuCheater {
             window.addEventListener('offline', this.handleOfflineStatus);
             window.addEventListener('beforeunload', this.handleBeforeUnload);
             
+            // The browse view has its own address (#browse), so it can be bookmarked and opened offline
+            window.addEventListener('hashchange', this.handleRoute.bind(this));
+            
             // Add update event listener
             document.addEventListener('app-update', this.handleAppUpdate.bind(this));
             
@@ -194,15 +239,27 @@ class SpanishMenuCheater {
             settingsButton: document.getElementById('settings-btn'),
             cameraButton: document.getElementById('camera-btn'),
             languageToggle: document.getElementById('language-toggle'),
+            languageMenu: document.getElementById('language-menu'),
             offlineIndicator: document.getElementById('offline-indicator'),
             welcomeMessage: document.getElementById('welcome-message'),
+            browseCategories: document.getElementById('browse-categories'),
             loadingIndicator: document.getElementById('loading-indicator'),
             noResults: document.getElementById('no-results'),
             resultsList: document.getElementById('results-list'),
             suggestions: document.getElementById('suggestions'),
             preferenceFilters: document.getElementById('preference-filters'),
+            queryChips: document.getElementById('query-chips'),
+            facetFilters: document.getElementById('facet-filters'),
+            appMain: document.querySelector('.app-main'),
+            browseView: document.getElementById('browse-view'),
+            browseViewTitle: document.getElementById('browse-view-title'),
+            browseViewBack: document.getElementById('browse-view-back'),
+            browseViewControls: document.getElementById('browse-view-controls'),
+            browseViewJump: document.getElementById('browse-view-jump'),
+            browseViewList: document.getElementById('browse-view-list'),
             showLikedFilter: document.getElementById('show-liked-filter'),
             hideDislikedFilter: document.getElementById('hide-disliked-filter'),
+            personalizeFilter: document.getElementById('personalize-filter'),
             // Camera modal elements
             cameraModal: document.getElementById('camera-modal'),
             cameraVideo: document.getElementById('camera-video'),
@@ -227,7 +284,20 @@ class SpanishMenuCheater {
             recommendedCount: document.getElementById('recommended-count'),
             allItemsCount: document.getElementById('all-items-count'),
             avoidCount: document.getElementById('avoid-count'),
-            unrecognizedCount: document.getElementById('unrecognized-count')
+            unrecognizedCount: document.getElementById('unrecognized-count'),
+            // Paste menu modal elements
+            pasteMenuButton: document.getElementById('paste-menu-btn'),
+            pasteMenuModal: document.getElementById('paste-menu-modal'),
+            pasteMenuClose: document.getElementById('paste-menu-close'),
+            pasteMenuInput: document.getElementById('paste-menu-input'),
+            pasteMenuResults: document.getElementById('paste-menu-results'),
+            pasteMenuTranslate: document.getElementById('paste-menu-translate'),
+            pasteMenuEdit: document.getElementById('paste-menu-edit'),
+            // Search debug mode elements
+            searchDebugPanel: document.getElementById('search-debug-panel'),
+            searchDebugConfig: document.getElementById('search-debug-config'),
+            searchDebugResults: document.getElementById('search-debug-results'),
+            searchDebugReset: document.getElementById('search-debug-reset')
         };
         
         // Validate critical elements only - don't fail on missing optional elements
@@ -261,6 +331,9 @@ class SpanishMenuCheater {
                 languageLabel.textContent = this.currentLanguage.toUpperCase();
             }
         }
+        if (this.currentLanguage !== 'en') {
+            this.updateSearchPlaceholder();
+        }
         
         // Set initial online/offline state
         this.updateOnlineStatus();
@@ -281,8 +354,12 @@ class SpanishMenuCheater {
             // Initialize DataManager
             this.dataManager = new DataManager();
             
-            // Initialize SearchEngine (after DataManager)
-            this.searchEngine = new SearchEngine(this.dataManager);
+            // Initialize SearchEngine (after DataManager); it indexes and searches in a worker
+            this.searchEngine = new AsyncSearchEngine(this.dataManager);
+            this.searchEngine.setLanguage(this.currentLanguage);
+            
+            // Initialize DishComposer; translates dish names missing from the dataset from their parts
+            this.dishComposer = new DishComposer(this.dataManager);
             
             // Initialize UpdateManager
             this.updateManager = new UpdateManager();
@@ -290,6 +367,10 @@ class SpanishMenuCheater {
             // Initialize PreferencesManager
             this.preferencesManager = new PreferencesManager();
             
+            // Initialize SearchHistory; suggestions favour what was searched before
+            this.searchHistory = new SearchHistory();
+            this.searchEngine.setSearchHistory(this.searchHistory.getEntries());
+            
             // Initialize Camera modules
             this.cameraManager = new CameraManager();
             this.textProcessor = new TextProcessor();
@@ -323,6 +404,7 @@ class SpanishMenuCheater {
         try {
             await this.dataManager.loadMenuData();
             this.isDataLoaded = true;
+            this.migratePreferenceIds();
             
             // Update UI with data statistics
             const stats = this.dataManager.getStats();
@@ -334,13 +416,22 @@ class SpanishMenuCheater {
                 seafood: stats.seafoodItems
             });
             
-            // Build search index after data is loaded
-            this.searchEngine.buildSearchIndex();
-            console.log('🔍 Search index built successfully');
+            // Build search index after data is loaded, or restore it from the data cache
+            await this.prepareSearchIndex();
+            console.log('🔍 Search index ready');
+            
+            this.renderLanguagePicker();
+            this.renderBrowseCategories();
+            
+            if (this.isSearchDebugRequested()) {
+                this.setSearchDebug(true);
+            }
+            
+            this.handleRoute();
             
             // Test autocomplete functionality
             console.log('🧪 Testing autocomplete with "p"...');
-            const testSuggestions = this.searchEngine.getAutocompleteSuggestions('p', 3);
+            const testSuggestions = await this.searchEngine.getAutocompleteSuggestions('p', 3);
             console.log('🧪 Test suggestions:', testSuggestions);
             
         } catch (error) {
@@ -433,14 +524,80 @@ class SpanishMenuCheater {
             });
         }
         
-        // Language toggle event listener
+        // Paste menu modal event listeners
+        if (this.elements.pasteMenuButton) {
+            this.elements.pasteMenuButton.addEventListener('click', this.openPasteMenuModal.bind(this));
+        }
+        if (this.elements.pasteMenuClose) {
+            this.elements.pasteMenuClose.addEventListener('click', this.closePasteMenuModal.bind(this));
+        }
+        if (this.elements.pasteMenuTranslate) {
+            this.elements.pasteMenuTranslate.addEventListener('click', this.translatePastedMenu.bind(this));
+        }
+        if (this.elements.pasteMenuEdit) {
+            this.elements.pasteMenuEdit.addEventListener('click', this.showPasteMenuInput.bind(this));
+        }
+        if (this.elements.pasteMenuResults) {
+            this.elements.pasteMenuResults.addEventListener('click', this.handlePastedMenuClick.bind(this));
+        }
+        
+        // Search tuning panel event listeners
+        if (this.elements.searchDebugConfig) {
+            this.elements.searchDebugConfig.addEventListener('input', this.handleSearchDebugInput.bind(this));
+            this.elements.searchDebugConfig.addEventListener('submit', (event) => event.preventDefault());
+        }
+        if (this.elements.searchDebugReset) {
+            this.elements.searchDebugReset.addEventListener('click', this.resetSearchDebugConfig.bind(this));
+        }
+        
+        // Remove a typed filter by clicking its chip
+        if (this.elements.queryChips) {
+            this.elements.queryChips.addEventListener('click', this.handleQueryChipClick.bind(this));
+        }
+        
+        // Narrow the results with a dietary, price or course chip
+        if (this.elements.facetFilters) {
+            this.elements.facetFilters.addEventListener('click', this.handleFacetClick.bind(this));
+        }
+        
+        // Browse view controls: grouping, sorting, filters and A–Z jump navigation
+        if (this.elements.browseViewBack) {
+            this.elements.browseViewBack.addEventListener('click', this.leaveBrowseView.bind(this));
+        }
+        if (this.elements.browseViewControls) {
+            this.elements.browseViewControls.addEventListener('change', this.handleBrowseViewChange.bind(this));
+            this.elements.browseViewControls.addEventListener('click', this.handleBrowseViewFilterClick.bind(this));
+        }
+        if (this.elements.browseViewJump) {
+            this.elements.browseViewJump.addEventListener('click', this.handleBrowseViewJump.bind(this));
+        }
+        
+        // Language picker event listeners
         if (this.elements.languageToggle) {
             this.elements.languageToggle.addEventListener('click', this.handleLanguageToggle.bind(this));
         }
+        if (this.elements.languageMenu) {
+            this.elements.languageMenu.addEventListener('click', this.handleLanguageOptionClick.bind(this));
+            this.elements.languageMenu.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.closeLanguageMenu();
+                    this.elements.languageToggle?.focus();
+                }
+            });
+        }
+        // Close the language menu when clicking anywhere else
+        document.addEventListener('click', (event) => {
+            if (!event.target.closest('.language-picker')) {
+                this.closeLanguageMenu();
+            }
+        });
         
         // Preference button event listener (using event delegation)
         document.addEventListener('click', this.handlePreferenceClick.bind(this));
         
+        // Course, category and region chips on the welcome screen and result cards (using event delegation)
+        document.addEventListener('click', this.handleCategoryBrowseClick.bind(this));
+        
         // Filter button event listeners
         if (this.elements.showLikedFilter) {
             this.elements.showLikedFilter.addEventListener('click', this.handleFilterClick.bind(this));
@@ -448,6 +605,9 @@ class SpanishMenuCheater {
         if (this.elements.hideDislikedFilter) {
             this.elements.hideDislikedFilter.addEventListener('click', this.handleFilterClick.bind(this));
         }
+        if (this.elements.personalizeFilter) {
+            this.elements.personalizeFilter.addEventListener('click', this.handleFilterClick.bind(this));
+        }
         
         console.log('🎯 Event listeners set up successfully');
         
@@ -466,6 +626,7 @@ class SpanishMenuCheater {
     handleSearchInput(event) {
         const query = event.target.value.trim();
         this.state.currentQuery = query;
+        this.state.recordedQuery = null;
         
         // Show/hide clear button
         if (this.elements.clearButton) {
@@ -495,6 +656,11 @@ class SpanishMenuCheater {
             }
         } else {
             this.clearSearch();
+            
+            // Emptied by typing, so the box still has focus
+            if (document.activeElement === event.target) {
+                this.showRecentSearches();
+            }
         }
     }
     
@@ -507,6 +673,8 @@ class SpanishMenuCheater {
         const query = this.state.currentQuery;
         if (query.length > 0 && !this.state.hasResults && this.searchEngine) {
             this.showAutocompleteSuggestions(query);
+        } else if (query.length === 0) {
+            this.showRecentSearches();
         }
     }
     
@@ -515,6 +683,12 @@ class SpanishMenuCheater {
      */
     handleSearchBlur() {
         console.log('🔍 Search input blurred');
+        
+        // Leaving the box with results on screen counts as a finished search
+        if (this.state.hasResults && this.state.currentQuery) {
+            this.recordSearch(this.state.currentQuery);
+        }
+        
         // Hide suggestions after a short delay to allow for clicking
         setTimeout(() => {
             this.hideSuggestions();
@@ -535,6 +709,7 @@ class SpanishMenuCheater {
                 // Force full search on Enter, regardless of query length
                 this.hideSuggestions();
                 this.performSearch(query);
+                this.recordSearch(query);
             }
             // Blur input to hide mobile keyboard if desired
             if (this.isMobileDevice()) {
@@ -664,7 +839,9 @@ class SpanishMenuCheater {
             if (this.settingsManager && !this.settingsManager.isInitialized) {
                 await this.settingsManager.initialize({
                     usageTracker: this.usageTracker,
-                    googleVisionOCR: this.hybridOCRProcessor ? this.hybridOCRProcessor.googleVisionOCR : null
+                    googleVisionOCR: this.hybridOCRProcessor ? this.hybridOCRProcessor.googleVisionOCR : null,
+                    dataManager: this.dataManager,
+                    getLanguage: () => this.currentLanguage
                 });
             }
             
@@ -713,11 +890,111 @@ class SpanishMenuCheater {
     }
 
     /**
-     * Handle language toggle button click
+     * Read the saved language, defaulting to English
+     */
+    loadLanguagePreference() {
+        try {
+            return localStorage.getItem(this.languageStorageKey) || 'en';
+        } catch (error) {
+            console.warn('⚠️ Could not read language preference:', error.message);
+            return 'en';
+        }
+    }
+    
+    /**
+     * Fill the language menu with the languages the loaded dataset provides
+     */
+    renderLanguagePicker() {
+        if (!this.dataManager || !this.isDataLoaded) return;
+        
+        const languages = this.dataManager.getAvailableLanguages();
+        
+        // A saved language may have come from a pack that is no longer enabled
+        if (!languages.includes(this.currentLanguage)) {
+            this.setLanguage('en');
+        }
+        
+        if (!this.elements.languageMenu) return;
+        
+        this.elements.languageMenu.innerHTML = languages.map(code => `
+            <li role="none">
+                <button type="button" class="language-option${code === this.currentLanguage ? ' active' : ''}" role="option"
+                        data-language="${this.escapeHtml(code)}" aria-selected="${code === this.currentLanguage}">
+                    <span class="language-option-code">${this.escapeHtml(code.toUpperCase())}</span>
+                    <span class="language-option-name">${this.escapeHtml(this.dataManager.getLanguageName(code))}</span>
+                </button>
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Handle language button click: open the language menu, or cycle through
+     * the available languages when there is no menu
      */
     handleLanguageToggle() {
-        // Toggle between English and Dutch
-        this.currentLanguage = this.currentLanguage === 'en' ? 'nl' : 'en';
+        if (this.elements.languageMenu) {
+            if (this.elements.languageMenu.classList.contains('hidden')) {
+                this.openLanguageMenu();
+            } else {
+                this.closeLanguageMenu();
+            }
+            return;
+        }
+        
+        const languages = this.isDataLoaded ? this.dataManager.getAvailableLanguages() : ['en', 'nl'];
+        const next = languages[(languages.indexOf(this.currentLanguage) + 1) % languages.length];
+        this.setLanguage(next);
+    }
+    
+    /**
+     * Show the language menu and focus the current language
+     */
+    openLanguageMenu() {
+        if (!this.elements.languageMenu) return;
+        
+        this.renderLanguagePicker();
+        this.elements.languageMenu.classList.remove('hidden');
+        this.elements.languageToggle?.setAttribute('aria-expanded', 'true');
+        this.elements.languageMenu.querySelector('.language-option.active')?.focus();
+    }
+    
+    /**
+     * Hide the language menu
+     */
+    closeLanguageMenu() {
+        if (!this.elements.languageMenu || this.elements.languageMenu.classList.contains('hidden')) return;
+        
+        this.elements.languageMenu.classList.add('hidden');
+        this.elements.languageToggle?.setAttribute('aria-expanded', 'false');
+    }
+    
+    /**
+     * Handle a click on a language in the menu
+     */
+    handleLanguageOptionClick(event) {
+        const option = event.target.closest('.language-option');
+        if (!option) return;
+        
+        this.closeLanguageMenu();
+        this.setLanguage(option.getAttribute('data-language'));
+        this.elements.languageToggle?.focus();
+    }
+    
+    /**
+     * Switch the display language, remember it and re-render visible content
+     */
+    setLanguage(language) {
+        if (!language || language === this.currentLanguage) return;
+        
+        this.currentLanguage = language;
+        this.searchEngine?.setLanguage(language);
+        this.debugSearchEngine?.setLanguage(language);
+        
+        try {
+            localStorage.setItem(this.languageStorageKey, language);
+        } catch (error) {
+            console.warn('⚠️ Could not save language preference:', error.message);
+        }
         
         // Update UI
         const languageLabel = this.elements.languageToggle?.querySelector('.language-label');
@@ -727,12 +1004,27 @@ class SpanishMenuCheater {
         
         console.log(`🌐 Language switched to: ${this.currentLanguage}`);
         
-        // Refresh current search results to show in new language
-        if (this.state.hasResults && this.state.searchResults.length > 0) {
+        // Refresh current results in the new language; searches re-rank, as matches in it are boosted
+        if (this.state.browseView.isOpen) {
+            this.renderBrowseView();
+        }
+        if (this.state.categoryBrowse) {
+            this.browseCategory(this.state.categoryBrowse.field, this.state.categoryBrowse.value);
+        } else if (this.state.currentQuery) {
+            this.performSearch(this.state.currentQuery);
+        } else if (this.state.hasResults && this.state.searchResults.length > 0) {
             this.displaySearchResults(this.state.searchResults);
         }
         
-        // Update search placeholder text
+        this.renderBrowseCategories();
+        this.renderLanguagePicker();
+        this.updateSearchPlaceholder();
+    }
+    
+    /**
+     * Update search placeholder text for the current language
+     */
+    updateSearchPlaceholder() {
         if (this.elements.searchInput) {
             const placeholder = this.currentLanguage === 'nl' 
                 ? 'Typ een Spaans gerecht...' 
@@ -904,9 +1196,11 @@ class SpanishMenuCheater {
         // Update preference counts and show/hide filters
         this.updatePreferenceFilterUI();
         
-        // Re-run current search with new filters
+        // Re-run current search or category list with new filters
         if (this.state.currentQuery) {
             this.performSearch(this.state.currentQuery);
+        } else if (this.state.categoryBrowse) {
+            this.browseCategory(this.state.categoryBrowse.field, this.state.categoryBrowse.value);
         }
         
         console.log(`🔍 Filter toggled: ${filterType} = ${this.state.preferences[filterType]}`);
@@ -951,49 +1245,69 @@ class SpanishMenuCheater {
     }
     
     /**
-     * Perform search using SearchEngine
+     * Perform search using SearchEngine. A newer search cancels this one, which
+     * then leaves the UI to its successor.
      */
-    performSearch(query) {
+    async performSearch(query) {
         console.log(`🔍 Searching for: "${query}"`);
         
+        this.state.categoryBrowse = null;
         this.state.isSearching = true;
         this.hideAllSections();
         this.showLoadingState('Searching menu items...');
         
-        // Use a short delay to ensure smooth UI updates
-        setTimeout(() => {
-            try {
-                if (!this.isDataLoaded || !this.searchEngine) {
-                    throw new Error('Search not ready - data not loaded');
-                }
-                
-                // Perform search with preference filters
-                const filters = { ...this.state.preferences };
-                const searchResult = this.searchEngine.search(query, filters, this.preferencesManager);
-                
-                this.hideLoadingState();
-                
-                if (searchResult.results.length > 0) {
-                    this.displaySearchResults(searchResult.results);
-                    console.log(`Found ${searchResult.results.length} results in ${searchResult.searchTime.toFixed(2)}ms`);
-                } else {
-                    this.showNoResults();
-                    console.log('No results found');
-                }
-                
-                // Don't show suggestions when we have results to avoid overlap
-                
-                this.state.searchResults = searchResult.results;
-                this.state.hasResults = searchResult.results.length > 0;
-                
-            } catch (error) {
-                console.error('Search error:', error);
-                this.hideLoadingState();
+        try {
+            if (!this.isDataLoaded || !this.searchEngine) {
+                throw new Error('Search not ready - data not loaded');
+            }
+            
+            // Perform search with preference and facet filters, ranked by likes unless turned off
+            const { personalize, ...preferenceFilters } = this.state.preferences;
+            const filters = this.searchEngine.mergeFilters(preferenceFilters, this.state.facetFilters);
+            const searchResult = await this.searchEngine.search(query, filters, this.preferencesManager, {
+                personalize,
+                explain: this.state.debug
+            });
+            
+            // A category list was opened while this search was running
+            if (this.state.categoryBrowse) {
+                this.state.isSearching = false;
+                return;
+            }
+            
+            this.hideLoadingState();
+            this.renderQueryChips(searchResult.parsedQuery);
+            this.renderFacetFilters(searchResult.facets);
+            
+            const composed = this.composeSearchedDish(searchResult, query);
+            
+            if (searchResult.results.length > 0 || composed) {
+                this.displaySearchResults(searchResult.results, composed);
+                this.showExclusionNotice(searchResult);
+                console.log(`Found ${searchResult.results.length} results in ${searchResult.searchTime.toFixed(2)}ms`);
+            } else {
                 this.showNoResults();
+                console.log('No results found');
             }
             
-            this.state.isSearching = false;
-        }, 100);
+            // Don't show suggestions when we have results to avoid overlap
+            
+            this.state.searchResults = searchResult.results;
+            this.state.hasResults = searchResult.results.length > 0;
+            
+            if (this.state.debug) {
+                this.runDebugSearch();
+            }
+            
+        } catch (error) {
+            if (error.name === 'AbortError') return; // Superseded by a newer query
+            
+            console.error('Search error:', error);
+            this.hideLoadingState();
+            this.showNoResults();
+        }
+        
+        this.state.isSearching = false;
     }
     
     /**
@@ -1003,17 +1317,335 @@ class SpanishMenuCheater {
         this.state.currentQuery = '';
         this.state.searchResults = [];
         this.state.hasResults = false;
+        this.state.categoryBrowse = null;
         
         if (this.elements.clearButton) {
             this.elements.clearButton.classList.add('hidden');
         }
         
+        this.renderQueryChips(null);
+        this.renderFacetFilters(null);
         this.hideAllSections();
         this.showWelcomeMessage();
         
         console.log('🗑️ Search cleared');
     }
     
+    /**
+     * Render course, category and region chips on the welcome screen
+     */
+    renderBrowseCategories() {
+        const container = this.elements.browseCategories;
+        if (!container || !this.isDataLoaded) return;
+        
+        const stats = this.dataManager.getStats();
+        const titles = {
+            course: this.currentLanguage === 'nl' ? 'Bladeren per gang' : 'Browse by course',
+            category: this.currentLanguage === 'nl' ? 'Bladeren per soort' : 'Browse by category',
+            region: this.currentLanguage === 'nl' ? 'Bladeren per regio' : 'Browse by region'
+        };
+        
+        const groups = Object.entries(TAXONOMIES).map(([field, taxonomy]) => {
+            const counts = stats[`${field}Items`] || {};
+            const chips = taxonomy.values
+                .filter(entry => counts[entry.key])
+                .map(entry => `
+                    <button class="browse-chip" data-browse-field="${field}" data-browse-value="${entry.key}">
+                        <span class="browse-chip-emoji">${entry.emoji}</span>
+                        <span class="browse-chip-label">${this.escapeHtml(entry.label[this.currentLanguage] || entry.label.en)}</span>
+                        <span class="browse-chip-count">${counts[entry.key]}</span>
+                    </button>`)
+                .join('');
+            
+            return chips ? `
+                <div class="browse-group">
+                    <h3 class="browse-title">${titles[field]}</h3>
+                    <div class="browse-chips">${chips}</div>
+                </div>` : '';
+        }).join('');
+        
+        container.innerHTML = groups;
+        container.classList.toggle('hidden', groups.length === 0);
+    }
+    
+    /**
+     * Handle clicks on course, category and region chips (welcome screen and result card badges)
+     */
+    handleCategoryBrowseClick(event) {
+        const target = event.target.closest('[data-browse-field]');
+        if (!target) return;
+        
+        const field = target.getAttribute('data-browse-field');
+        const value = target.getAttribute('data-browse-value');
+        if (!TAXONOMIES[field] || !value) return;
+        
+        event.preventDefault();
+        
+        // A category list replaces the current search query and leaves the #browse view
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = '';
+        }
+        this.state.currentQuery = '';
+        this.hideSuggestions();
+        this.leaveBrowseView();
+        
+        this.browseCategory(field, value);
+    }
+    
+    /**
+     * Show the browse view when the address is #browse, and the search screen otherwise
+     */
+    handleRoute() {
+        const wantsBrowseView = window.location.hash === '#browse';
+        
+        if (wantsBrowseView && this.isDataLoaded) {
+            this.openBrowseView();
+        } else if (!wantsBrowseView) {
+            this.closeBrowseView();
+        }
+    }
+    
+    /**
+     * Go back from the browse view to the search screen
+     */
+    leaveBrowseView() {
+        if (!this.state.browseView.isOpen) return;
+        
+        history.pushState(null, '', window.location.pathname + window.location.search);
+        this.closeBrowseView();
+    }
+    
+    openBrowseView() {
+        if (!this.elements.browseView) return;
+        
+        this.state.browseView.isOpen = true;
+        this.hideSuggestions();
+        this.elements.appMain?.classList.add('browse-view-active');
+        this.elements.browseView.classList.remove('hidden');
+        this.renderBrowseView();
+        window.scrollTo(0, 0);
+        
+        console.log('📖 Browse view opened');
+    }
+    
+    closeBrowseView() {
+        if (!this.state.browseView.isOpen) return;
+        
+        this.state.browseView.isOpen = false;
+        this.elements.appMain?.classList.remove('browse-view-active');
+        this.elements.browseView?.classList.add('hidden');
+        
+        // Cards are rebuilt on the next visit, with preferences changed in the meantime
+        if (this.elements.browseViewList) {
+            this.elements.browseViewList.innerHTML = '';
+        }
+    }
+    
+    /**
+     * Render every dish that passes the browse filters, grouped A–Z or by dietary profile,
+     * with the grouping, sorting and filter controls and the jump navigation
+     */
+    renderBrowseView() {
+        if (!this.isDataLoaded || !this.elements.browseViewList) return;
+        
+        const isDutch = this.currentLanguage === 'nl';
+        const view = this.state.browseView;
+        const { showOnlyLiked, hideDislikes, ...dietaryFilters } = view.filters;
+        
+        let items = this.dataManager.filterByDietary(dietaryFilters);
+        if (this.preferencesManager && showOnlyLiked) {
+            items = items.filter(item => this.preferencesManager.isLiked(item.id));
+        }
+        if (this.preferencesManager && hideDislikes) {
+            items = items.filter(item => !this.preferencesManager.isDisliked(item.id));
+        }
+        const groups = groupItems(sortItems(items, view.sortBy), view.groupBy);
+        
+        if (this.elements.browseViewTitle) {
+            this.elements.browseViewTitle.textContent = `${isDutch ? 'Alle gerechten' : 'All dishes'} (${items.length})`;
+        }
+        if (this.elements.browseViewBack) {
+            this.elements.browseViewBack.textContent = isDutch ? '← Terug' : '← Back';
+        }
+        
+        this.renderBrowseViewControls();
+        
+        // Jump navigation: every letter or profile, disabled when it has no dishes
+        const sectionKeys = new Set(groups.map(group => group.key));
+        const jumpTargets = view.groupBy === 'dietary'
+            ? DIETARY_PROFILES.map(profile => ({ key: profile.key, label: profile.emoji, title: this.getBrowseSectionTitle(profile.key) }))
+            : BROWSE_LETTERS.map(letter => ({ key: letter, label: letter, title: letter }));
+        if (this.elements.browseViewJump) {
+            this.elements.browseViewJump.innerHTML = jumpTargets.map(target => `
+                <button class="browse-view-jump-btn" type="button" data-section="${this.escapeHtml(target.key)}"
+                        title="${this.escapeHtml(target.title)}" ${sectionKeys.has(target.key) ? '' : 'disabled'}>${this.escapeHtml(target.label)}</button>
+            `).join('');
+        }
+        
+        const list = this.elements.browseViewList;
+        list.innerHTML = '';
+        
+        if (groups.length === 0) {
+            list.innerHTML = `<p class="browse-view-empty">${isDutch ? 'Geen gerechten met deze filters.' : 'No dishes match these filters.'}</p>`;
+            return;
+        }
+        
+        groups.forEach(group => {
+            const section = document.createElement('section');
+            section.className = 'browse-view-section';
+            section.setAttribute('data-section', group.key);
+            section.innerHTML = `
+                <h3 class="browse-view-section-title">${this.escapeHtml(this.getBrowseSectionTitle(group.key))} <span class="browse-heading-count">(${group.items.length})</span></h3>
+            `;
+            group.items.forEach(item => section.appendChild(this.createResultCard(item)));
+            list.appendChild(section);
+        });
+    }
+    
+    /**
+     * Render the grouping and sort selects and the dietary and preference filter chips
+     */
+    renderBrowseViewControls() {
+        const container = this.elements.browseViewControls;
+        if (!container) return;
+        
+        const isDutch = this.currentLanguage === 'nl';
+        const view = this.state.browseView;
+        const option = (value, label, selected) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+        const filters = [
+            ...DIETARY_FACETS.map(key => ({
+                key,
+                label: this.getQueryChipLabel({ type: 'filter', value: key })
+            })),
+            { key: 'showOnlyLiked', label: isDutch ? '❤️ Favorieten' : '❤️ Liked' },
+            { key: 'hideDislikes', label: isDutch ? '🚫 Verberg niet leuk' : '🚫 Hide disliked' }
+        ];
+        
+        container.innerHTML = `
+            <div class="browse-view-selects">
+                <label class="browse-view-select">
+                    ${isDutch ? 'Groeperen' : 'Group'}
+                    <select name="groupBy">
+                        ${option('letter', 'A–Z', view.groupBy)}
+                        ${option('dietary', isDutch ? 'Dieet' : 'Dietary', view.groupBy)}
+                    </select>
+                </label>
+                <label class="browse-view-select">
+                    ${isDutch ? 'Sorteren' : 'Sort'}
+                    <select name="sortBy">
+                        ${option('name', isDutch ? 'Naam' : 'Name', view.sortBy)}
+                        ${option('price-asc', isDutch ? 'Prijs ↑' : 'Price ↑', view.sortBy)}
+                        ${option('price-desc', isDutch ? 'Prijs ↓' : 'Price ↓', view.sortBy)}
+                    </select>
+                </label>
+            </div>
+            <div class="browse-view-filters">
+                ${filters.map(filter => {
+                    const isActive = Boolean(view.filters[filter.key]);
+                    return `
+                        <button class="filter-btn browse-view-filter${isActive ? ' active' : ''}" type="button"
+                                data-filter="${filter.key}" aria-pressed="${isActive}">
+                            <span class="filter-label">${this.escapeHtml(filter.label)}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Heading of a browse view section: a letter or a dietary profile
+     */
+    getBrowseSectionTitle(key) {
+        const profile = DIETARY_PROFILES.find(entry => entry.key === key);
+        return profile ? `${profile.emoji} ${profile.label[this.currentLanguage] || profile.label.en}` : key;
+    }
+    
+    handleBrowseViewChange(event) {
+        const { name, value } = event.target;
+        if (name !== 'groupBy' && name !== 'sortBy') return;
+        
+        this.state.browseView[name] = value;
+        this.renderBrowseView();
+    }
+    
+    handleBrowseViewFilterClick(event) {
+        const button = event.target.closest('.browse-view-filter');
+        if (!button) return;
+        
+        const filter = button.getAttribute('data-filter');
+        const { [filter]: isActive, ...others } = this.state.browseView.filters;
+        this.state.browseView.filters = isActive ? others : { ...others, [filter]: true };
+        this.renderBrowseView();
+    }
+    
+    handleBrowseViewJump(event) {
+        const button = event.target.closest('.browse-view-jump-btn');
+        if (!button || button.disabled) return;
+        
+        const key = button.getAttribute('data-section');
+        const section = [...this.elements.browseViewList.querySelectorAll('.browse-view-section')]
+            .find(element => element.getAttribute('data-section') === key);
+        section?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    /**
+     * List all dishes of a course, category or region without a search query.
+     * Unlike the #browse view this shows result cards, like a search.
+     */
+    async browseCategory(field, value) {
+        if (!this.isDataLoaded || !this.searchEngine) return;
+        
+        const entry = TAXONOMIES[field].values.find(e => e.key === value);
+        if (!entry) return;
+        
+        this.state.categoryBrowse = { field, value };
+        this.renderQueryChips(null);
+        this.renderFacetFilters(null);
+        
+        const { personalize, ...preferenceFilters } = this.state.preferences;
+        const filters = { ...preferenceFilters, [field]: value };
+        let results;
+        try {
+            ({ results } = await this.searchEngine.browse(filters, this.preferencesManager));
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Browse error:', error);
+            return;
+        }
+        
+        // A search or another category list started while this one was running
+        if (!this.state.categoryBrowse || this.state.categoryBrowse.field !== field || this.state.categoryBrowse.value !== value) return;
+        
+        this.hideAllSections();
+        
+        if (this.elements.clearButton) {
+            this.elements.clearButton.classList.remove('hidden');
+        }
+        
+        if (results.length === 0) {
+            this.state.searchResults = [];
+            this.state.hasResults = false;
+            this.showNoResults();
+            return;
+        }
+        
+        this.displaySearchResults(results);
+        this.state.searchResults = results;
+        this.state.hasResults = true;
+        
+        // Heading above the cards with a way back to the welcome screen
+        const header = document.createElement('div');
+        header.className = 'browse-header';
+        header.innerHTML = `
+            <h2 class="browse-heading">${entry.emoji} ${this.escapeHtml(entry.label[this.currentLanguage] || entry.label.en)} <span class="browse-heading-count">(${results.length})</span></h2>
+            <button class="browse-back-btn" type="button">${this.currentLanguage === 'nl' ? '← Terug' : '← Back'}</button>
+        `;
+        header.querySelector('.browse-back-btn').addEventListener('click', () => this.clearSearch());
+        this.elements.resultsList.prepend(header);
+        
+        console.log(`🗂️ Browsing ${field} "${value}": ${results.length} items`);
+    }
+    
     /**
      * UI State Management Methods
      */
@@ -1064,57 +1696,355 @@ class SpanishMenuCheater {
     }
     
     /**
-     * Display search results
+     * Display search results
+     */
+    displaySearchResults(results, composed = null) {
+        if (!this.elements.resultsList) return;
+        
+        // Clear previous results
+        this.elements.resultsList.innerHTML = '';
+        
+        if (composed) {
+            this.elements.resultsList.appendChild(this.createComposedCard(composed));
+        }
+        
+        results.forEach(result => {
+            const resultCard = this.createResultCard(result.item, result);
+            this.elements.resultsList.appendChild(resultCard);
+        });
+        
+        this.elements.resultsList.classList.remove('hidden');
+    }
+    
+    /**
+     * Translate a searched dish that is not in the dataset from its parts, unless those
+     * parts fail the active filters ("-pork", "veg:", the facet chips). Composing is
+     * best effort, so an error here never hides the results the search found.
+     * @returns {object|null} Output of DishComposer.compose()
+     */
+    composeSearchedDish(searchResult, query) {
+        try {
+            const text = searchResult.parsedQuery?.text ?? query;
+            const composed = this.dishComposer.compose(text, this.currentLanguage);
+            return composed && this.composedMatchesFilters(composed, searchResult.filters) ? composed : null;
+        } catch (error) {
+            console.error('Dish composition error:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Check a composed dish against search filters, using its inferred flags and ingredients
+     * @param {object} composed - Output of DishComposer.compose()
+     * @param {object} filters - Filters the search applied, see SearchEngine.mergeFilters()
+     */
+    composedMatchesFilters(composed, filters = {}) {
+        const item = { ...composed.flags, ingredients: composed.ingredients };
+        return this.searchEngine.applyFilters([{ item }], filters, this.preferencesManager).length > 0;
+    }
+    
+    /**
+     * Show the operators read from the query ("veg:", "-pork", "<10€") as removable chips
+     */
+    renderQueryChips(parsedQuery) {
+        const container = this.elements.queryChips;
+        if (!container) return;
+        
+        this.state.queryChips = (parsedQuery && parsedQuery.chips) || [];
+        
+        if (this.state.queryChips.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const removeLabel = this.currentLanguage === 'nl' ? 'Verwijderen' : 'Remove';
+        container.innerHTML = this.state.queryChips.map((chip, index) => {
+            const label = this.getQueryChipLabel(chip);
+            const invalid = chip.invalid || chip.unmatched;
+            return `
+                <span class="query-chip${invalid ? ' query-chip-invalid' : ''}" data-type="${chip.type}">
+                    <span class="query-chip-label">${this.escapeHtml(label)}</span>
+                    <button class="query-chip-remove" type="button" data-chip-index="${index}" aria-label="${this.escapeAttribute(`${removeLabel}: ${label}`)}">×</button>
+                </span>
+            `;
+        }).join('');
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Describe a query chip in the current language
+     */
+    getQueryChipLabel(chip) {
+        const isDutch = this.currentLanguage === 'nl';
+        const filterNames = {
+            vegetarian: isDutch ? 'Vegetarisch' : 'Vegetarian',
+            noPork: isDutch ? 'Geen varkensvlees' : 'No pork',
+            noDairy: isDutch ? 'Geen zuivel' : 'No dairy',
+            noMeat: isDutch ? 'Geen vlees' : 'No meat',
+            noSeafood: isDutch ? 'Geen zeevruchten' : 'No seafood'
+        };
+        
+        switch (chip.type) {
+            case 'filter':
+                return filterNames[chip.value] || chip.value;
+            case 'price':
+                return `< ${formatPrice({ min: chip.value, max: chip.value, currency: 'EUR' }, this.currentLanguage)}`;
+            case 'phrase':
+                return `"${chip.value}"`;
+            case 'taxonomy': {
+                const entry = TAXONOMIES[chip.field].values.find(e => e.key === chip.value);
+                return entry ? (entry.label[this.currentLanguage] || entry.label.en) : `${chip.field}: ${chip.value}?`;
+            }
+            case 'exclude': {
+                const name = chip.ingredients
+                    ? chip.ingredients.map(key => this.dataManager.getIngredientName(key, this.currentLanguage)).join(', ')
+                    : chip.value;
+                return `${isDutch ? 'Zonder' : 'Without'} ${name}${chip.unmatched ? '?' : ''}`;
+            }
+            default:
+                return chip.raw;
+        }
+    }
+    
+    /**
+     * Show the dietary, price and course filters with the number of results each
+     * would leave; chips that would leave nothing are disabled unless already on
+     * @param {object|null} facets - Facet counts from SearchEngine.search(), null to hide
+     */
+    renderFacetFilters(facets) {
+        const container = this.elements.facetFilters;
+        if (!container) return;
+        
+        if (!facets || facets.total === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const active = this.state.facetFilters;
+        const groups = [
+            DIETARY_FACETS.map(key => ({
+                facet: key,
+                value: true,
+                label: this.getQueryChipLabel({ type: 'filter', value: key }),
+                count: facets.dietary[key],
+                isActive: active[key] === true
+            })),
+            PRICE_FACETS.map(maxPrice => ({
+                facet: 'maxPrice',
+                value: maxPrice,
+                label: this.getQueryChipLabel({ type: 'price', value: maxPrice }),
+                count: facets.price[maxPrice],
+                isActive: active.maxPrice === maxPrice
+            })),
+            TAXONOMIES.course.values.map(({ key }) => ({
+                facet: 'course',
+                value: key,
+                label: this.getQueryChipLabel({ type: 'taxonomy', field: 'course', value: key }),
+                count: facets.course[key],
+                isActive: active.course === key
+            }))
+        ];
+        
+        container.innerHTML = groups.map(chips => `
+            <div class="facet-group">
+                ${chips.map(chip => `
+                    <button class="filter-btn facet-chip${chip.isActive ? ' active' : ''}" type="button"
+                            data-facet="${chip.facet}" data-value="${chip.value}" aria-pressed="${chip.isActive}"
+                            ${chip.count === 0 && !chip.isActive ? 'disabled' : ''}>
+                        <span class="filter-label">${this.escapeHtml(chip.label)}</span>
+                        <span class="filter-count">(${chip.count})</span>
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Turn a facet chip's filter on or off and search again
+     */
+    handleFacetClick(event) {
+        const button = event.target.closest('.facet-chip');
+        if (!button || button.disabled) return;
+        
+        const facet = button.getAttribute('data-facet');
+        const rawValue = button.getAttribute('data-value');
+        const value = facet === 'maxPrice' ? Number(rawValue) : facet === 'course' ? rawValue : true;
+        const { [facet]: current, ...others } = this.state.facetFilters;
+        
+        this.state.facetFilters = current === value ? others : { ...others, [facet]: value };
+        
+        if (this.state.currentQuery) {
+            this.performSearch(this.state.currentQuery);
+        }
+        
+        console.log(`🔍 Facet toggled: ${facet} = ${this.state.facetFilters[facet] ?? 'off'}`);
+    }
+    
+    /**
+     * Remove a chip's operator from the search box and search again
+     */
+    handleQueryChipClick(event) {
+        const button = event.target.closest('.query-chip-remove');
+        if (!button) return;
+        
+        const chip = (this.state.queryChips || [])[Number(button.getAttribute('data-chip-index'))];
+        if (!chip) return;
+        
+        const query = removeQueryChip(this.state.currentQuery, chip);
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = query;
+        }
+        this.state.currentQuery = query;
+        
+        if (query) {
+            this.performSearch(query);
+        } else {
+            this.clearSearch();
+        }
+    }
+    
+    /**
+     * Show which ingredients and food groups a query like "paella sin marisco" left out
      */
-    displaySearchResults(results) {
+    showExclusionNotice(searchResult) {
         if (!this.elements.resultsList) return;
         
-        // Clear previous results
-        this.elements.resultsList.innerHTML = '';
+        const isDutch = this.currentLanguage === 'nl';
+        const groupNames = {
+            noSeafood: isDutch ? 'zeevruchten' : 'seafood',
+            noMeat: isDutch ? 'vlees' : 'meat',
+            noPork: isDutch ? 'varkensvlees' : 'pork',
+            noDairy: isDutch ? 'zuivel' : 'dairy'
+        };
         
-        results.forEach(result => {
-            const resultCard = this.createResultCard(result.item);
-            this.elements.resultsList.appendChild(resultCard);
-        });
+        const excluded = [
+            ...Object.keys(searchResult.exclusionFilters || {}).map(key => groupNames[key]),
+            ...(searchResult.excludedIngredients || []).map(key => this.dataManager.getIngredientName(key, this.currentLanguage))
+        ];
+        const unmatched = searchResult.unmatchedExclusions || [];
         
-        this.elements.resultsList.classList.remove('hidden');
+        if (excluded.length === 0 && unmatched.length === 0) return;
+        
+        const parts = [];
+        if (excluded.length > 0) {
+            parts.push(`${isDutch ? 'Zonder' : 'Without'}: <strong>${excluded.map(name => this.escapeHtml(name)).join(', ')}</strong>`);
+        }
+        if (unmatched.length > 0) {
+            parts.push(`${isDutch ? 'Onbekend ingrediënt' : 'Unknown ingredient'}: ${unmatched.map(name => this.escapeHtml(name)).join(', ')}`);
+        }
+        
+        const notice = document.createElement('div');
+        notice.className = 'search-notice';
+        notice.innerHTML = `🚫 ${parts.join(' · ')}`;
+        this.elements.resultsList.prepend(notice);
+    }
+    
+    /**
+     * Explain a personalized ranking, e.g. "Ranked higher: Rice dishes, like Paella Valenciana"
+     * @param {object} personalization - { boost, reasons } from SearchEngine.getPersonalBoost()
+     */
+    getPersonalizationText(personalization) {
+        const isDutch = this.currentLanguage === 'nl';
+        const parts = personalization.reasons.map(reason => {
+            switch (reason.type) {
+                case 'liked':
+                    return isDutch ? 'je vond dit gerecht lekker' : 'you liked this dish';
+                case 'disliked':
+                    return isDutch ? 'je vond dit gerecht niet lekker' : 'you passed on this dish';
+                case 'category': {
+                    const entry = TAXONOMIES.category.values.find(e => e.key === reason.category);
+                    const label = entry ? (entry.label[this.currentLanguage] || entry.label.en) : reason.category;
+                    return isDutch ? `${label}, net als ${reason.likedItem}` : `${label}, like ${reason.likedItem}`;
+                }
+                case 'ingredients': {
+                    const names = reason.ingredients
+                        .slice(0, 3)
+                        .map(key => this.dataManager.getIngredientName(key, this.currentLanguage))
+                        .join(', ');
+                    return isDutch ? `met ${names}, zoals gerechten die je lekker vond` : `has ${names}, like dishes you liked`;
+                }
+                case 'diet':
+                    return isDutch ? `zelfde dieet als ${reason.likedItem}` : `same diet as ${reason.likedItem}`;
+                default:
+                    return null;
+            }
+        }).filter(Boolean);
+        
+        const heading = personalization.boost >= 1
+            ? (isDutch ? 'Hoger gerangschikt' : 'Ranked higher')
+            : (isDutch ? 'Lager gerangschikt' : 'Ranked lower');
+        return `${heading}: ${parts.join(' · ')}`;
     }
     
     /**
      * Create a result card element
+     * @param {object} item - Menu item
+     * @param {object} result - Search result wrapping the item, used to show matched ingredients
      */
-    createResultCard(item) {
+    createResultCard(item, result = null) {
         const card = document.createElement('div');
         card.className = 'result-card';
         
-        // Build dietary tags with warnings prioritized first
-        const warningTags = [];
-        const infoTags = [];
-        
         // Get dietary tag text based on current language
         const getDietaryText = (englishText, dutchText) => {
             return this.currentLanguage === 'nl' ? dutchText : englishText;
         };
         
-        // Priority 1: Warning tags (pork/dairy alerts)
-        if (item.hasPork) warningTags.push(`<span class="dietary-tag pork">${getDietaryText('Contains Pork', 'Bevat Varkensvlees')}</span>`);
-        if (item.hasDairy) warningTags.push(`<span class="dietary-tag dairy">${getDietaryText('Contains Dairy', 'Bevat Zuivel')}</span>`);
+        // Priority 1 and 2: Warning tags, then other dietary information
+        const { warningTags, infoTags } = this.getDietaryTags(item);
         
-        // Priority 2: Other dietary information
-        if (item.isVegetarian) infoTags.push(`<span class="dietary-tag vegetarian">${getDietaryText('Vegetarian', 'Vegetarisch')}</span>`);
-        if (item.hasOtherMeat) infoTags.push(`<span class="dietary-tag meat">${getDietaryText('Contains Meat', 'Bevat Vlees')}</span>`);
-        if (item.hasSeafood) infoTags.push(`<span class="dietary-tag seafood">${getDietaryText('Contains Seafood', 'Bevat Zeevruchten')}</span>`);
+        // Priority 3: Declared EU allergens (milk is already covered by the dairy warning)
+        const allergenTags = EU_ALLERGENS
+            .filter(allergen => item.allergens && item.allergens[allergen.key] === true)
+            .filter(allergen => !(allergen.key === 'milk' && item.hasDairy))
+            .map(allergen => `<span class="dietary-tag allergen allergen-${allergen.key}">${getDietaryText(allergen.label.en, allergen.label.nl)}</span>`);
         
         // Combine with warnings first for visual prominence
-        const dietaryTags = [...warningTags, ...infoTags];
+        const dietaryTags = [...warningTags, ...infoTags, ...allergenTags];
         
         // Use appropriate language based on current setting
-        const translationName = this.currentLanguage === 'nl' ? item.dutchName : item.englishName;
-        const translationDescription = this.currentLanguage === 'nl' ? item.dutchDescription : item.description;
+        const translation = this.dataManager.getTranslation(item, this.currentLanguage);
+        const translationName = translation.name;
+        const translationDescription = translation.description;
         const visualExampleText = this.currentLanguage === 'nl' ? 'Bekijk' : 'View';
         const likeText = this.currentLanguage === 'nl' ? 'Vind ik leuk' : 'Like';
         const dislikeText = this.currentLanguage === 'nl' ? 'Niet leuk' : 'Pass';
         
+        const priceText = formatPrice(item.price, this.currentLanguage);
+        
+        // Course, category and region badges; clicking one browses similar dishes
+        const metaBadges = Object.entries(TAXONOMIES)
+            .map(([field, taxonomy]) => {
+                const entry = item[field] ? taxonomy.values.find(e => e.key === item[field]) : null;
+                if (!entry) return '';
+                const label = entry.label[this.currentLanguage] || entry.label.en;
+                return `<button class="meta-badge meta-${field}" data-browse-field="${field}" data-browse-value="${entry.key}">${entry.emoji} ${this.escapeHtml(label)}</button>`;
+            })
+            .filter(Boolean);
+        
+        // Words the query matched, from SearchEngine.getHighlights()
+        const highlights = (result && result.highlights) || {};
+        
+        // Why likes and dislikes moved this dish up or down
+        const personalizationText = result && result.personalization
+            ? this.getPersonalizationText(result.personalization)
+            : '';
+        
+        // Ingredients in the current language, highlighting the ones the query matched
+        const matchedIngredients = (result && result.matchedIngredients) || [];
+        const ingredientNames = (item.ingredients || []).map(key => {
+            const name = this.escapeHtml(this.dataManager.getIngredientName(key, this.currentLanguage));
+            return matchedIngredients.includes(key) ? `<strong class="ingredient-match">${name}</strong>` : name;
+        });
+        const ingredientsLabel = this.currentLanguage === 'nl' ? 'Ingrediënten' : 'Ingredients';
+        
+        // Show which regional pack the dish came from
+        const pack = item.pack ? this.dataManager.getPacks().find(p => p.id === item.pack) : null;
+        const packName = pack && !pack.required ? (pack.name[this.currentLanguage] || pack.name.en || pack.id) : '';
+        
         // Get current preference state
         const currentPreference = this.preferencesManager ? this.preferencesManager.getPreference(item.id) : 'neutral';
         
@@ -1126,12 +2056,17 @@ class SpanishMenuCheater {
         
         card.innerHTML = `
             <div class="result-header">
-                <h3 class="result-spanish">${this.escapeHtml(item.spanishName)}</h3>
-                ${item.priceRange ? `<span class="result-price">${this.escapeHtml(item.priceRange)}</span>` : ''}
+                <h3 class="result-spanish">${this.highlightText(item.spanishName, highlights.spanishName)}</h3>
+                ${priceText ? `<span class="result-price${item.price.isMarketPrice ? ' market-price' : ''}">${this.escapeHtml(priceText)}</span>` : ''}
             </div>
-            <h4 class="result-english">${this.escapeHtml(translationName)}</h4>
-            ${translationDescription ? `<p class="result-description">${this.escapeHtml(translationDescription)}</p>` : ''}
+            <h4 class="result-english" lang="${this.escapeHtml(translation.language)}">${this.highlightText(translationName, highlights.translation)}</h4>
+            ${packName ? `<span class="result-pack">🗺️ ${this.escapeHtml(packName)}</span>` : ''}
+            ${metaBadges.length > 0 ? `<div class="result-meta">${metaBadges.join('')}</div>` : ''}
+            ${translationDescription ? `<p class="result-description">${this.highlightText(translationDescription, highlights.description)}</p>` : ''}
+            ${ingredientNames.length > 0 ? `<p class="result-ingredients"><span class="result-ingredients-label">${ingredientsLabel}:</span> ${ingredientNames.join(', ')}</p>` : ''}
             ${dietaryTags.length > 0 ? `<div class="dietary-info">${dietaryTags.join('')}</div>` : ''}
+            ${personalizationText ? `<p class="result-personalization">✨ ${this.escapeHtml(personalizationText)}</p>` : ''}
+            ${result && result.explanation ? this.renderScoreExplanation(result.explanation) : ''}
             <div class="result-actions">
                 <button class="${likeButtonClass}" data-item-id="${this.escapeHtml(item.id)}" data-action="like" aria-label="Like this item">
                     <span class="preference-icon">${likeIcon}</span>
@@ -1153,10 +2088,98 @@ class SpanishMenuCheater {
         return card;
     }
     
+    /**
+     * Dietary tags for an item or a set of inferred flags
+     * @returns {object} { warningTags: pork/dairy alerts, infoTags: other dietary information }
+     */
+    getDietaryTags(flags) {
+        const isDutch = this.currentLanguage === 'nl';
+        const warningTags = [];
+        const infoTags = [];
+        
+        if (flags.hasPork) warningTags.push(`<span class="dietary-tag pork">${isDutch ? 'Bevat Varkensvlees' : 'Contains Pork'}</span>`);
+        if (flags.hasDairy) warningTags.push(`<span class="dietary-tag dairy">${isDutch ? 'Bevat Zuivel' : 'Contains Dairy'}</span>`);
+        
+        if (flags.isVegetarian) infoTags.push(`<span class="dietary-tag vegetarian">${isDutch ? 'Vegetarisch' : 'Vegetarian'}</span>`);
+        if (flags.hasOtherMeat) infoTags.push(`<span class="dietary-tag meat">${isDutch ? 'Bevat Vlees' : 'Contains Meat'}</span>`);
+        if (flags.hasSeafood) infoTags.push(`<span class="dietary-tag seafood">${isDutch ? 'Bevat Zeevruchten' : 'Contains Seafood'}</span>`);
+        
+        return { warningTags, infoTags };
+    }
+    
+    /**
+     * Create the card for a dish translated from its parts by DishComposer
+     * @param {object} composed - Output of DishComposer.compose()
+     */
+    createComposedCard(composed) {
+        const isDutch = this.currentLanguage === 'nl';
+        const card = document.createElement('div');
+        card.className = 'result-card composed-card';
+        
+        const { warningTags, infoTags } = this.getDietaryTags(composed.flags);
+        const dietaryTags = [...warningTags, ...infoTags];
+        
+        // Each recognised part with its translation, in menu order
+        const partNames = composed.parts
+            .map(part => ({ part, translation: this.dishComposer.translatePart(part, this.currentLanguage) }))
+            .filter(({ translation }) => translation)
+            .map(({ part, translation }) => `<span class="composed-part"><span lang="es">${this.escapeHtml(part.text)}</span> → ${this.escapeHtml(translation)}</span>`);
+        
+        const ingredientNames = composed.ingredients
+            .map(key => this.escapeHtml(this.dataManager.getIngredientName(key, this.currentLanguage)));
+        
+        const badgeText = isDutch ? 'Samengestelde vertaling' : 'Composed translation';
+        const partsLabel = isDutch ? 'Opgebouwd uit' : 'Built from';
+        const ingredientsLabel = isDutch ? 'Ingrediënten' : 'Ingredients';
+        const note = isDutch
+            ? 'Dit gerecht staat niet in onze lijst; de vertaling en dieetinformatie zijn afgeleid uit de onderdelen. Vraag bij twijfel het personeel.'
+            : 'This dish is not in our list; the translation and dietary information are worked out from its parts. Ask the staff when in doubt.';
+        const unknownText = composed.unknown.length > 0
+            ? `${isDutch ? 'Niet herkend' : 'Not recognised'}: ${composed.unknown.join(', ')}`
+            : '';
+        
+        card.innerHTML = `
+            <div class="result-header">
+                <h3 class="result-spanish" lang="es">${this.escapeHtml(composed.text)}</h3>
+                <span class="composed-badge">🧩 ${badgeText}</span>
+            </div>
+            <h4 class="result-english" lang="${this.escapeAttribute(composed.language)}">${this.escapeHtml(composed.name)}</h4>
+            ${partNames.length > 0 ? `<p class="composed-parts"><span class="result-ingredients-label">${partsLabel}:</span> ${partNames.join('')}</p>` : ''}
+            ${ingredientNames.length > 0 ? `<p class="result-ingredients"><span class="result-ingredients-label">${ingredientsLabel}:</span> ${ingredientNames.join(', ')}</p>` : ''}
+            ${dietaryTags.length > 0 ? `<div class="dietary-info">${dietaryTags.join('')}</div>` : ''}
+            ${unknownText ? `<p class="composed-unknown">${this.escapeHtml(unknownText)}</p>` : ''}
+            <p class="composed-note">${note}</p>
+        `;
+        
+        return card;
+    }
+    
+    /**
+     * Escape text for HTML, wrapping highlighted character ranges in <mark>.
+     * Ranges are only used when they were computed for this exact text.
+     * @param {object} highlight - { text, ranges: [[start, end], ...] }
+     */
+    highlightText(text, highlight) {
+        if (!highlight || highlight.text !== text || !highlight.ranges || highlight.ranges.length === 0) {
+            return this.escapeHtml(text);
+        }
+        
+        let html = '';
+        let position = 0;
+        highlight.ranges.forEach(([start, end]) => {
+            if (start < position || end <= start) return; // Skip overlapping or empty ranges
+            html += this.escapeHtml(text.slice(position, start));
+            html += `<mark class="match-highlight">${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+    
     /**
      * Show autocomplete suggestions (only when no results are shown)
      */
-    showAutocompleteSuggestions(query) {
+    async showAutocompleteSuggestions(query) {
         if (!this.elements.suggestions || !this.searchEngine) {
             console.log('🔍 Autocomplete blocked: suggestions element or searchEngine missing');
             return;
@@ -1169,7 +2192,7 @@ class SpanishMenuCheater {
         
         try {
             console.log(`🔍 Getting autocomplete suggestions for: "${query}"`);
-            const suggestions = this.searchEngine.getAutocompleteSuggestions(query, 5);
+            const suggestions = await this.searchEngine.getAutocompleteSuggestions(query, 5, this.preferencesManager);
             console.log(`🔍 Found ${suggestions.length} suggestions:`, suggestions);
             
             // Clear previous suggestions
@@ -1180,7 +2203,9 @@ class SpanishMenuCheater {
                 suggestionItem.className = 'suggestion-item';
                 suggestionItem.innerHTML = `
                     <span class="suggestion-match">${this.escapeHtml(suggestion.text)}</span>
-                    <small class="suggestion-context">${this.escapeHtml(suggestion.context)}</small>
+                    <small class="suggestion-context">${this.escapeHtml(suggestion.type === 'history'
+                        ? this.getSearchCountLabel(suggestion.count)
+                        : suggestion.context)}</small>
                 `;
                 
                 // Add click handler
@@ -1188,6 +2213,7 @@ class SpanishMenuCheater {
                     if (this.elements.searchInput) {
                         this.elements.searchInput.value = suggestion.text;
                         this.performSearch(suggestion.text);
+                        this.recordSearch(suggestion.text);
                         this.hideSuggestions();
                     }
                 });
@@ -1202,11 +2228,98 @@ class SpanishMenuCheater {
             }
             
         } catch (error) {
+            if (error.name === 'AbortError') return; // Newer suggestions are on their way
+            
             console.warn('Error showing autocomplete suggestions:', error);
             this.hideSuggestions();
         }
     }
     
+    /**
+     * Show recent searches below the empty search box, with a control to clear them
+     */
+    showRecentSearches() {
+        if (!this.elements.suggestions || !this.searchHistory) return;
+        
+        const recent = this.searchHistory.getRecent(5);
+        if (recent.length === 0) {
+            this.hideSuggestions();
+            return;
+        }
+        
+        this.elements.suggestions.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'recent-searches-header';
+        header.innerHTML = `
+            <span>${this.currentLanguage === 'nl' ? 'Recente zoekopdrachten' : 'Recent searches'}</span>
+            <button type="button" class="recent-searches-clear">${this.currentLanguage === 'nl' ? 'Wissen' : 'Clear'}</button>
+        `;
+        // Keep focus in the search box so the dropdown does not close before the click lands
+        header.addEventListener('mousedown', (event) => event.preventDefault());
+        header.querySelector('.recent-searches-clear').addEventListener('click', () => {
+            this.clearSearchHistory();
+        });
+        this.elements.suggestions.appendChild(header);
+        
+        recent.forEach(entry => {
+            const suggestionItem = document.createElement('div');
+            suggestionItem.className = 'suggestion-item recent-search';
+            suggestionItem.innerHTML = `
+                <span class="suggestion-match">${this.escapeHtml(entry.query)}</span>
+                <small class="suggestion-context">${this.escapeHtml(this.getSearchCountLabel(entry.count))}</small>
+            `;
+            
+            suggestionItem.addEventListener('click', () => {
+                if (this.elements.searchInput) {
+                    this.elements.searchInput.value = entry.query;
+                    this.state.currentQuery = entry.query;
+                    this.elements.clearButton?.classList.remove('hidden');
+                    this.performSearch(entry.query);
+                    this.recordSearch(entry.query);
+                    this.hideSuggestions();
+                }
+            });
+            
+            this.elements.suggestions.appendChild(suggestionItem);
+        });
+        
+        this.elements.suggestions.classList.remove('hidden');
+    }
+    
+    /**
+     * Add a finished search to the history, once per typed query
+     */
+    recordSearch(query) {
+        if (!this.searchHistory || !query || query === this.state.recordedQuery) return;
+        
+        this.state.recordedQuery = query;
+        this.searchHistory.record(query);
+        this.searchEngine?.setSearchHistory(this.searchHistory.getEntries());
+    }
+    
+    /**
+     * Forget every past search
+     */
+    clearSearchHistory() {
+        if (!this.searchHistory) return;
+        
+        this.searchHistory.clear();
+        this.searchEngine?.setSearchHistory([]);
+        this.hideSuggestions();
+        this.showShareFeedback(this.currentLanguage === 'nl' ? 'Zoekgeschiedenis gewist' : 'Search history cleared');
+    }
+    
+    /**
+     * "Searched 3 times" label for a past search
+     */
+    getSearchCountLabel(count) {
+        if (this.currentLanguage === 'nl') {
+            return count === 1 ? 'Eerder gezocht' : `${count} keer gezocht`;
+        }
+        return count === 1 ? 'Searched before' : `Searched ${count} times`;
+    }
+    
     /**
      * Display search suggestions (legacy method - now unused to avoid overlap)
      */
@@ -1234,6 +2347,13 @@ class SpanishMenuCheater {
         return div.innerHTML;
     }
     
+    /**
+     * Escape text for a quoted attribute value; escapeHtml() leaves quotes as they are
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    
     /**
      * Online/Offline Status Handlers
      */
@@ -1470,11 +2590,281 @@ class SpanishMenuCheater {
                 console.log('🚀 App update available - will be handled by UpdateManager');
                 break;
                 
+            case 'packs-changed':
+                console.log('🗺️ Data packs changed - rebuilding search index...');
+                this.handlePacksChanged();
+                break;
+                
+            case 'search-debug-changed':
+                console.log(`🛠️ Search debug mode ${event.detail.enabled ? 'on' : 'off'}`);
+                this.setSearchDebug(event.detail.enabled);
+                break;
+                
             default:
                 console.log('Unknown update type:', type);
         }
     }
     
+    /**
+     * Restore the search index cached for the loaded dataset and enabled packs,
+     * or rebuild it and cache the result for the next start
+     */
+    async prepareSearchIndex() {
+        const cachedIndex = await this.dataManager.getCachedSearchIndex();
+        const { restored, index } = await this.searchEngine.prepareIndex(cachedIndex, {
+            serialize: this.dataManager.cache.isAvailable()
+        });
+        
+        if (!restored && index) {
+            this.dataManager.cacheSearchIndex(index);
+        }
+        
+        // The tuning panel searches its own index, which keeps its edited config
+        if (this.debugSearchEngine) {
+            await this.debugSearchEngine.prepareIndex();
+        }
+    }
+    
+    /**
+     * Whether search debug mode was asked for with a URL flag (?debug or ?debug=search)
+     * or turned on in settings; ?debug=0 turns it off for one visit
+     */
+    isSearchDebugRequested() {
+        const flag = new URLSearchParams(window.location.search).get('debug');
+        if (flag !== null) {
+            return !['0', 'false', 'off'].includes(flag.toLowerCase());
+        }
+        
+        return Boolean(this.settingsManager && this.settingsManager.getDeveloperOptions().searchDebug);
+    }
+    
+    /**
+     * Turn search debug mode on or off: score breakdowns on result cards and
+     * the tuning panel next to the results
+     */
+    setSearchDebug(enabled) {
+        this.state.debug = Boolean(enabled);
+        
+        const panel = this.elements.searchDebugPanel;
+        if (panel) {
+            panel.classList.toggle('hidden', !this.state.debug);
+            panel.parentElement.classList.toggle('search-debug-active', this.state.debug);
+        }
+        
+        if (this.state.debug) {
+            this.prepareSearchDebug().catch(error => {
+                console.error('❌ Could not start the search tuning panel:', error);
+            });
+        } else if (this.debugSearchEngine) {
+            this.debugSearchEngine.terminate();
+            this.debugSearchEngine = null;
+            this.debugSearchReady = null;
+        }
+        
+        if (this.state.currentQuery) {
+            this.performSearch(this.state.currentQuery);
+        }
+    }
+    
+    /**
+     * Start the tuning panel's own search engine, so config edits leave the
+     * main results alone, and render its config fields
+     */
+    prepareSearchDebug() {
+        if (!this.debugSearchReady) {
+            const engine = new AsyncSearchEngine(this.dataManager);
+            engine.setLanguage(this.currentLanguage);
+            this.debugSearchEngine = engine;
+            this.debugSearchReady = engine.prepareIndex()
+                .then(() => engine.setConfig())
+                .then(config => {
+                    this.state.debugDefaults = config;
+                    this.renderSearchDebugConfig(config);
+                });
+        }
+        
+        return this.debugSearchReady;
+    }
+    
+    /**
+     * Render an input per number or on/off config value
+     */
+    renderSearchDebugConfig(config) {
+        const form = this.elements.searchDebugConfig;
+        if (!form) return;
+        
+        const defaults = this.state.debugDefaults || {};
+        form.innerHTML = Object.entries(config)
+            .filter(([, value]) => typeof value === 'number' || typeof value === 'boolean')
+            .map(([key, value]) => {
+                const changed = value !== defaults[key] ? ' changed' : '';
+                const input = typeof value === 'boolean'
+                    ? `<input type="checkbox" name="${key}"${value ? ' checked' : ''}>`
+                    : `<input type="number" name="${key}" value="${value}" step="0.05">`;
+                return `<label class="search-debug-field${changed}"><span class="search-debug-key">${key}</span>${input}</label>`;
+            })
+            .join('');
+    }
+    
+    /**
+     * Apply an edited config value to the tuning panel's engine and re-run the query
+     */
+    async handleSearchDebugInput(event) {
+        const input = event.target;
+        if (!input.name || !this.debugSearchEngine) return;
+        
+        const value = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+        if (Number.isNaN(value)) return;
+        
+        const config = await this.debugSearchEngine.setConfig({ [input.name]: value });
+        input.closest('.search-debug-field')?.classList.toggle('changed', config[input.name] !== this.state.debugDefaults[input.name]);
+        this.runDebugSearch();
+    }
+    
+    /**
+     * Put every edited config value back to its default
+     */
+    async resetSearchDebugConfig() {
+        if (!this.debugSearchEngine || !this.state.debugDefaults) return;
+        
+        const config = await this.debugSearchEngine.setConfig(this.state.debugDefaults);
+        this.renderSearchDebugConfig(config);
+        this.runDebugSearch();
+    }
+    
+    /**
+     * Re-run the current query with the tuning panel's config, showing how each
+     * result moved compared with the results list
+     */
+    async runDebugSearch() {
+        const list = this.elements.searchDebugResults;
+        if (!list || !this.state.debug) return;
+        
+        const query = this.state.currentQuery;
+        if (!query) {
+            list.innerHTML = '';
+            return;
+        }
+        
+        try {
+            await this.prepareSearchDebug();
+            const { personalize, ...filters } = this.state.preferences;
+            const { results } = await this.debugSearchEngine.search(query, filters, this.preferencesManager, {
+                personalize,
+                explain: true
+            });
+            
+            const mainRanks = new Map(this.state.searchResults.map((result, index) => [result.item.id, index]));
+            list.innerHTML = results.map((result, index) => {
+                const mainRank = mainRanks.get(result.item.id);
+                let move = { className: 'new', label: 'new' };
+                if (mainRank === index) {
+                    move = { className: 'same', label: '=' };
+                } else if (mainRank !== undefined) {
+                    move = mainRank > index
+                        ? { className: 'up', label: `↑${mainRank - index}` }
+                        : { className: 'down', label: `↓${index - mainRank}` };
+                }
+                
+                return `
+                    <li class="search-debug-result">
+                        <div class="search-debug-result-header">
+                            <span class="search-debug-name">${this.escapeHtml(result.item.spanishName)}</span>
+                            <span class="search-debug-move ${move.className}">${move.label}</span>
+                        </div>
+                        ${this.renderScoreExplanation(result.explanation)}
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Search tuning error:', error);
+            }
+        }
+    }
+    
+    /**
+     * Score breakdown for search debug mode: a row per matched term, then how
+     * the term scores were combined into the result score
+     * @param {object} explanation - Result `explanation` from SearchEngine.search()
+     */
+    renderScoreExplanation(explanation) {
+        if (!explanation) return '';
+        
+        const number = value => Number(value).toFixed(3);
+        const rows = explanation.terms.map(term => `
+            <tr>
+                <td>${this.escapeHtml(term.term)}${term.ingredient ? ` <small>(${this.escapeHtml(term.ingredient)})</small>` : ''}</td>
+                <td>${this.escapeHtml(term.type)}${term.language ? `/${this.escapeHtml(term.language)}` : ''}</td>
+                <td>${term.channel}${term.partialWord ? ', word' : ''}</td>
+                <td>${number(term.similarity)} × ${number(term.weight)}</td>
+                <td>+${number(term.exactBonus)}</td>
+                <td>+${number(term.wordStartBonus)}</td>
+                <td title="partial word × phonetic × UI language">${number(term.partialWordFactor)} × ${number(term.phoneticFactor)} × ${number(term.languageFactor)}</td>
+                <td>${number(term.score)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <details class="score-explanation">
+                <summary>Score ${number(explanation.score)} from ${explanation.terms.length} matched terms</summary>
+                <div class="score-explanation-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Term</th><th>Field</th><th>Channel</th><th>Similarity × weight</th>
+                                <th>Exact</th><th>Word start</th><th>Factors</th><th>Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <p class="score-explanation-total">
+                    ${number(explanation.totalScore)} ÷ √${explanation.terms.length} (${number(explanation.normalization)})
+                    = ${number(explanation.normalizedScore)} × ${number(explanation.personalBoost)} personal
+                    = <strong>${number(explanation.score)}</strong>
+                </p>
+            </details>
+        `;
+    }
+    
+    /**
+     * Rebuild the search index after data packs were enabled or disabled
+     */
+    async handlePacksChanged() {
+        if (!this.isDataLoaded) return;
+        
+        await this.prepareSearchIndex();
+        this.renderLanguagePicker();
+        this.renderBrowseCategories();
+        
+        if (this.state.currentQuery) {
+            this.performSearch(this.state.currentQuery);
+        } else if (this.state.categoryBrowse) {
+            this.browseCategory(this.state.categoryBrowse.field, this.state.categoryBrowse.value);
+        }
+    }
+    
+    /**
+     * Rewrite stored preference IDs that were retired by a dataset update
+     */
+    migratePreferenceIds() {
+        if (!this.preferencesManager) return;
+        
+        const validIds = this.dataManager.getKnownItemIds();
+        const { migrated, orphaned } = this.preferencesManager.migrateItemIds(
+            this.dataManager.getIdAliases(),
+            validIds
+        );
+        
+        if (migrated.length > 0) {
+            console.log(`🔁 Migrated ${migrated.length} preferences to new item IDs`);
+        }
+        if (orphaned.length > 0) {
+            console.warn(`⚠️ ${orphaned.length} preferences point at items that no longer exist:`, orphaned);
+        }
+    }
+    
     /**
      * Handle data updates
      */
@@ -1485,9 +2875,12 @@ class SpanishMenuCheater {
             
             // Reload data
             await this.dataManager.loadMenuData();
+            this.migratePreferenceIds();
             
             // Rebuild search index
-            this.searchEngine.buildSearchIndex();
+            await this.prepareSearchIndex();
+            this.renderLanguagePicker();
+            this.renderBrowseCategories();
             
             // Hide loading state
             this.hideLoadingState();
@@ -1773,7 +3166,9 @@ class SpanishMenuCheater {
             if (!this.settingsManager.isInitialized) {
                 await this.settingsManager.initialize({
                     usageTracker: this.usageTracker,
-                    googleVisionOCR: this.hybridOCRProcessor.googleVisionOCR
+                    googleVisionOCR: this.hybridOCRProcessor.googleVisionOCR,
+                    dataManager: this.dataManager,
+                    getLanguage: () => this.currentLanguage
                 });
             }
             
@@ -2301,6 +3696,150 @@ class SpanishMenuCheater {
         this.searchForItem(text);
     }
     
+    /**
+     * Open the paste menu modal with the text box
+     */
+    openPasteMenuModal() {
+        if (!this.elements.pasteMenuModal) return;
+        
+        this.showPasteMenuInput();
+        this.elements.pasteMenuModal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden'; // Prevent background scrolling
+        
+        console.log('📋 Paste menu modal opened');
+    }
+    
+    /**
+     * Close the paste menu modal
+     */
+    closePasteMenuModal() {
+        if (this.elements.pasteMenuModal) {
+            this.elements.pasteMenuModal.classList.add('hidden');
+            document.body.style.overflow = ''; // Restore scrolling
+        }
+    }
+    
+    /**
+     * Switch the paste menu modal back to the text box
+     */
+    showPasteMenuInput() {
+        this.elements.pasteMenuResults?.classList.add('hidden');
+        this.elements.pasteMenuEdit?.classList.add('hidden');
+        this.elements.pasteMenuTranslate?.classList.remove('hidden');
+        
+        if (this.elements.pasteMenuInput) {
+            this.elements.pasteMenuInput.classList.remove('hidden');
+            this.elements.pasteMenuInput.focus();
+        }
+    }
+    
+    /**
+     * Look up every line of the pasted menu and show it as a translated menu
+     */
+    async translatePastedMenu() {
+        const text = this.elements.pasteMenuInput?.value.trim();
+        if (!text || !this.isDataLoaded || !this.searchEngine) return;
+        
+        this.elements.pasteMenuTranslate.disabled = true;
+        
+        try {
+            const result = await this.searchEngine.lookupMenuText(text);
+            console.log(`📋 Recognised ${result.matched.length} of ${result.lines.length} menu lines`);
+            
+            this.renderPastedMenu(result);
+            this.elements.pasteMenuInput.classList.add('hidden');
+            this.elements.pasteMenuResults.classList.remove('hidden');
+            this.elements.pasteMenuTranslate.classList.add('hidden');
+            this.elements.pasteMenuEdit?.classList.remove('hidden');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Menu lookup error:', error);
+            }
+        } finally {
+            this.elements.pasteMenuTranslate.disabled = false;
+        }
+    }
+    
+    /**
+     * Render looked-up menu lines in menu order, under their section headings
+     * @param {object} result - Output of SearchEngine.lookupMenuText()
+     */
+    renderPastedMenu(result) {
+        const container = this.elements.pasteMenuResults;
+        if (!container) return;
+        
+        const isDutch = this.currentLanguage === 'nl';
+        const summary = isDutch
+            ? `${result.matched.length} van ${result.lines.length} gerechten herkend`
+            : `${result.matched.length} of ${result.lines.length} dishes recognised`;
+        
+        let section = null;
+        const rows = [];
+        result.lines.forEach(line => {
+            if (line.section && line.section !== section) {
+                section = line.section;
+                rows.push(`<h4 class="paste-menu-section">${this.escapeHtml(section)}</h4>`);
+            }
+            
+            const price = formatPrice(line.price, this.currentLanguage);
+            const priceHtml = price ? `<span class="paste-menu-price">${this.escapeHtml(price)}</span>` : '';
+            
+            // A composed translation wins over a match covering less of the line ("Croquetas de bacalao" is not plain "Croquetas")
+            const composed = line.confidence < 1 ? this.dishComposer.compose(line.text, this.currentLanguage) : null;
+            if (composed && (!line.item || composed.coverage > line.confidence)) {
+                rows.push(`
+                    <button class="paste-menu-line composed" data-search="${this.escapeAttribute(line.text)}">
+                        <span class="paste-menu-original">${this.escapeHtml(line.text)}</span>
+                        <span class="paste-menu-translation" lang="${this.escapeAttribute(composed.language)}">${this.escapeHtml(composed.name)}</span>
+                        ${priceHtml}
+                        <span class="paste-menu-confidence" title="${isDutch ? 'Samengestelde vertaling' : 'Composed translation'}">🧩</span>
+                    </button>
+                `);
+                return;
+            }
+            
+            if (!line.item) {
+                rows.push(`
+                    <button class="paste-menu-line unmatched" data-search="${this.escapeAttribute(line.text)}">
+                        <span class="paste-menu-original">${this.escapeHtml(line.text)}</span>
+                        <span class="paste-menu-translation">${isDutch ? 'Niet herkend - zoeken' : 'Not recognised - search'}</span>
+                        ${priceHtml}
+                    </button>
+                `);
+                return;
+            }
+            
+            const translation = this.dataManager.getTranslation(line.item, this.currentLanguage);
+            const matchedName = line.item.spanishName.toLowerCase() !== line.text.toLowerCase()
+                ? `<span class="paste-menu-dish">≈ ${this.escapeHtml(line.item.spanishName)}</span>`
+                : '';
+            rows.push(`
+                <button class="paste-menu-line matched" data-search="${this.escapeAttribute(line.item.spanishName)}">
+                    <span class="paste-menu-original">${this.escapeHtml(line.text)} ${matchedName}</span>
+                    <span class="paste-menu-translation" lang="${this.escapeAttribute(translation.language)}">${this.escapeHtml(translation.name)}</span>
+                    ${priceHtml}
+                    <span class="paste-menu-confidence" title="${isDutch ? 'Zekerheid' : 'Confidence'}">${Math.round(line.confidence * 100)}%</span>
+                </button>
+            `);
+        });
+        
+        container.innerHTML = `
+            <p class="paste-menu-summary">${this.escapeHtml(summary)}</p>
+            ${rows.join('')}
+        `;
+    }
+    
+    /**
+     * Search for a dish picked from the translated menu
+     */
+    handlePastedMenuClick(event) {
+        const line = event.target.closest('.paste-menu-line');
+        if (!line) return;
+        
+        this.closePasteMenuModal();
+        this.searchForItem(line.dataset.search);
+    }
+    
     isReady() {
         return this.isInitialized && this.isDataLoaded;
     }
@@ -0,0 +1,106 @@
+/**
+ * Menu Text Module
+ * Splits the text of a whole menu, e.g. pasted from a restaurant website, into
+ * candidate dish lines. Prices, numbering and dotted leaders are taken off each
+ * line, and section headings ("Entrantes", "Postres") are kept to group dishes by.
+ */
+
+import { parsePrice } from './dataManager.js';
+import { normalizeText } from './textNormalizer.js';
+
+// Menu sections, normalized; a line naming one without a price is a heading, not a dish
+export const SECTION_HEADINGS = new Set([
+    'entrantes', 'entradas', 'primeros', 'primeros platos', 'segundos', 'segundos platos',
+    'principales', 'platos principales', 'postres', 'bebidas', 'vinos', 'tapas', 'raciones',
+    'medias raciones', 'para compartir', 'ensaladas', 'sopas', 'carnes', 'pescados', 'mariscos',
+    'arroces', 'bocadillos', 'montaditos', 'pinchos', 'pintxos', 'especialidades', 'sugerencias',
+    'guarniciones', 'menu del dia', 'carta',
+    'starters', 'appetizers', 'mains', 'main courses', 'desserts', 'drinks', 'wines', 'sides',
+    'salads', 'soups', 'to share', 'specials'
+]);
+
+// Several dishes on one line: "Gazpacho | Salmorejo", "Flan · Natillas", "Café; Té"
+const ITEM_SEPARATOR = /\s+[|•·]\s+|;\s*/;
+
+// Leaders between a dish and its price: "Paella ........ 12 €", "Flan …… 4", "Café ____ 1,50"
+const LEADER_PATTERN = /\s*(?:\.{2,}|…+|_{2,})\s*/g;
+
+// Bullets and numbering: "- Flan", "• Flan", "1. Flan", "(2) Flan", "#3 Flan", "a) Flan"
+const NUMBERING_PATTERN = /^(?:[-–—*•·+]+|\(?\d{1,3}[.)]|#\d{1,3}|[a-z]\))\s+/i;
+
+// Price at the end of a line: "12", "12,50 €", "€8-10", "8/14", "S/M", "según mercado"
+const AMOUNT = '(?:[€$£]\\s*)?\\d{1,4}(?:[.,]\\d{1,2})?';
+const PRICE_PATTERN = new RegExp(
+    `(?:^|\\s)[-–—:|]?\\s*(${AMOUNT}(?:\\s*[-–/]\\s*${AMOUNT})?\\s*(?:[€$£]|eur(?:os?)?\\b)?|s\\/m|seg[uú]n mercado)\\s*$`,
+    'i'
+);
+
+const MIN_LETTERS = 3;
+const MAX_HEADING_WORDS = 4;
+
+/**
+ * Take the price off the end of a line
+ * @returns {object} { text, price } where price is parsePrice() output or null
+ */
+export function extractPrice(line) {
+    const match = line.match(PRICE_PATTERN);
+    if (!match) return { text: line, price: null };
+
+    return {
+        text: line.slice(0, match.index).trim(),
+        price: parsePrice(match[1])
+    };
+}
+
+/**
+ * Check whether a cleaned line without a price is a section heading
+ */
+function isHeading(text) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    if (words.length === 0 || words.length > MAX_HEADING_WORDS) return false;
+    return text.endsWith(':') || SECTION_HEADINGS.has(words.join(' '));
+}
+
+/**
+ * Split menu text into candidate dish lines
+ * @param {string} text - Menu text, one dish per line
+ * @returns {Array} In menu order, { lineNumber, line, text, price, section } with
+ *   `line` the original text, `text` the dish name to look up and `section` the heading above it
+ */
+export function splitMenuText(text) {
+    const candidates = [];
+    let section = null;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        rawLine.split(ITEM_SEPARATOR).forEach(segment => {
+            const line = segment.trim();
+            const withoutLeaders = line.replace(LEADER_PATTERN, ' ').trim();
+            const { text: withoutPrice, price } = extractPrice(withoutLeaders);
+            const cleaned = withoutPrice.replace(NUMBERING_PATTERN, '').trim();
+
+            if ((cleaned.match(/\p{L}/gu) || []).length < MIN_LETTERS) return;
+
+            if (!price && isHeading(cleaned)) {
+                section = cleaned.replace(/:$/, '').trim();
+                return;
+            }
+
+            candidates.push({
+                lineNumber: index + 1,
+                line,
+                text: cleaned.replace(/[\s:,–—-]+$/, ''),
+                price,
+                section
+            });
+        });
+    });
+
+    return candidates;
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.splitMenuText = splitMenuText;
+}
+
+console.log('📊 MenuText module loaded');
@@ -0,0 +1,53 @@
+import { describe, test, expect } from '@jest/globals';
+import { splitMenuText, extractPrice } from './menuText.js';
+
+describe('MenuText', () => {
+    test('should split a menu into one candidate per dish line', () => {
+        const lines = splitMenuText('Gazpacho andaluz\n\nTortilla de patatas\r\nFlan casero');
+
+        expect(lines.map(line => line.text)).toEqual(['Gazpacho andaluz', 'Tortilla de patatas', 'Flan casero']);
+        expect(lines.map(line => line.lineNumber)).toEqual([1, 3, 4]);
+    });
+
+    test('should take prices and dotted leaders off the end of a line', () => {
+        const [paella, flan, pescado] = splitMenuText('Paella valenciana ........ 14,50 €\nFlan …… 4\nPescado del día - S/M');
+
+        expect(paella).toMatchObject({ text: 'Paella valenciana', line: 'Paella valenciana ........ 14,50 €' });
+        expect(paella.price).toMatchObject({ min: 14.5, max: 14.5 });
+        expect(flan.text).toBe('Flan');
+        expect(flan.price).toMatchObject({ min: 4 });
+        expect(pescado.text).toBe('Pescado del día');
+        expect(pescado.price).not.toBeNull();
+    });
+
+    test('should leave lines without a price alone', () => {
+        expect(extractPrice('Huevos rotos')).toEqual({ text: 'Huevos rotos', price: null });
+    });
+
+    test('should strip bullets and numbering', () => {
+        const lines = splitMenuText('1. Croquetas\n(2) Calamares\n- Boquerones\n• Pimientos de padrón');
+
+        expect(lines.map(line => line.text)).toEqual(['Croquetas', 'Calamares', 'Boquerones', 'Pimientos de padrón']);
+    });
+
+    test('should group dishes under the section heading above them', () => {
+        const lines = splitMenuText('ENTRANTES\nSalmorejo 6\nPlatos del chef:\nRabo de toro 18\nPostres\nTarta de queso 5');
+
+        expect(lines.map(line => [line.text, line.section])).toEqual([
+            ['Salmorejo', 'ENTRANTES'],
+            ['Rabo de toro', 'Platos del chef'],
+            ['Tarta de queso', 'Postres']
+        ]);
+    });
+
+    test('should split several dishes listed on one line', () => {
+        const lines = splitMenuText('Café | Té · Infusión; Zumo de naranja');
+
+        expect(lines.map(line => line.text)).toEqual(['Café', 'Infusión', 'Zumo de naranja']);
+    });
+
+    test('should skip lines that cannot be dishes', () => {
+        expect(splitMenuText('---\n12 €\n2x\n\n')).toEqual([]);
+        expect(splitMenuText(null)).toEqual([]);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * N-gram Index Module
+ * Trigram postings over search index terms. Fuzzy lookup only scores the terms
+ * that share at least one trigram with the query instead of every term, which
+ * keeps per-keystroke search fast as the dataset grows.
+ */
+
+const PAD = '$';
+
+export class NgramIndex {
+    /**
+     * @param {object} options
+     * @param {number} options.n - Gram size
+     */
+    constructor(options = {}) {
+        this.n = options.n || 3;
+        this.terms = []; // term id -> term, in insertion order
+        this.termIds = new Map(); // term -> term id
+        this.postings = new Map(); // gram -> ascending term ids
+    }
+
+    /**
+     * Number of indexed terms
+     */
+    get size() {
+        return this.terms.length;
+    }
+
+    /**
+     * Remove every term
+     */
+    clear() {
+        this.terms = [];
+        this.termIds.clear();
+        this.postings.clear();
+    }
+
+    /**
+     * Distinct grams of a term, padded so word starts and ends form their own grams
+     */
+    getGrams(term) {
+        const padded = `${PAD}${term}${PAD}`;
+        if (padded.length <= this.n) return [padded];
+
+        const grams = new Set();
+        for (let i = 0; i <= padded.length - this.n; i++) {
+            grams.add(padded.slice(i, i + this.n));
+        }
+        return Array.from(grams);
+    }
+
+    /**
+     * Add a term; adding a known term is a no-op
+     */
+    add(term) {
+        if (this.termIds.has(term)) return;
+
+        const id = this.terms.length;
+        this.terms.push(term);
+        this.termIds.set(term, id);
+
+        this.getGrams(term).forEach(gram => {
+            if (!this.postings.has(gram)) {
+                this.postings.set(gram, []);
+            }
+            this.postings.get(gram).push(id);
+        });
+    }
+
+    /**
+     * Terms that may be similar to any of the queries, in insertion order.
+     * A single character forms one padded gram that only matches itself, so such
+     * queries are compared against every term within the length bounds instead.
+     * @param {string|string[]} queries
+     * @param {object} options
+     * @param {number} options.minLengthRatio - Skip terms whose length ratio to every query is below this
+     * @returns {string[]} Candidate terms
+     */
+    candidates(queries, options = {}) {
+        const list = Array.isArray(queries) ? queries : [queries];
+        const minLengthRatio = options.minLengthRatio || 0;
+        const fitsLength = (term) => list.some(query =>
+            Math.min(term.length, query.length) / Math.max(term.length, query.length, 1) >= minLengthRatio
+        );
+
+        if (list.some(query => query.length + 2 <= this.n)) {
+            return this.terms.filter(fitsLength);
+        }
+
+        const ids = new Set();
+        list.forEach(query => {
+            this.getGrams(query).forEach(gram => {
+                const posting = this.postings.get(gram);
+                if (posting) {
+                    posting.forEach(id => ids.add(id));
+                }
+            });
+        });
+
+        return Array.from(ids)
+            .sort((a, b) => a - b)
+            .map(id => this.terms[id])
+            .filter(fitsLength);
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.NgramIndex = NgramIndex;
+}
+
+console.log('📊 NgramIndex module loaded');
@@ -0,0 +1,50 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { NgramIndex } from './ngramIndex.js';
+
+describe('NgramIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new NgramIndex();
+        ['paella', 'paella valenciana', 'pulpo', 'gazpacho', 'flan'].forEach(term => index.add(term));
+    });
+
+    test('should split terms into padded trigrams', () => {
+        expect(index.getGrams('pan')).toEqual(['$pa', 'pan', 'an$']);
+        expect(index.getGrams('a')).toEqual(['$a$']);
+    });
+
+    test('should ignore terms that are already indexed', () => {
+        index.add('paella');
+
+        expect(index.size).toBe(5);
+        expect(index.postings.get('$pa')).toEqual([0, 1]);
+    });
+
+    test('should return terms sharing a trigram in insertion order', () => {
+        expect(index.candidates('pael')).toEqual(['paella', 'paella valenciana']);
+        expect(index.candidates('xyz')).toEqual([]);
+    });
+
+    test('should combine candidates for several queries', () => {
+        expect(index.candidates(['flna', 'gazpaco'])).toEqual(['paella valenciana', 'gazpacho', 'flan']);
+    });
+
+    test('should compare single characters against every term', () => {
+        expect(index.candidates('z')).toEqual(index.terms);
+    });
+
+    test('should skip terms whose length is too different from the query', () => {
+        const candidates = index.candidates('paela', { minLengthRatio: 0.5 });
+
+        expect(candidates).toContain('paella');
+        expect(candidates).not.toContain('paella valenciana');
+    });
+
+    test('should remove every term on clear', () => {
+        index.clear();
+
+        expect(index.size).toBe(0);
+        expect(index.candidates('paella')).toEqual([]);
+    });
+});
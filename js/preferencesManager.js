@@ -8,6 +8,7 @@ export class PreferencesManager {
         this.storageKey = 'spanish-menu-preferences';
         this.maxPreferences = 1000; // Limit to prevent localStorage overflow
         this.preferences = this.loadPreferences();
+        this.orphanedPreferences = [];
     }
 
     /**
@@ -159,6 +160,65 @@ export class PreferencesManager {
         return Array.from(this.preferences.disliked);
     }
 
+    /**
+     * Rewrite stored item IDs using an alias table of retired -> current IDs
+     * @param {object} aliases - Map of retired item ID to replacement ID (may chain)
+     * @param {Iterable} validIds - IDs present in the current dataset
+     * @returns {object} { migrated: [{ from, to, type }], orphaned: [{ id, type }] }
+     */
+    migrateItemIds(aliases = {}, validIds = []) {
+        const valid = new Set(validIds);
+        const migrated = [];
+        const orphaned = [];
+
+        const resolve = (id) => {
+            const visited = new Set();
+            let current = id;
+            while (current && !visited.has(current)) {
+                if (valid.has(current)) return current;
+                visited.add(current);
+                current = aliases[current];
+            }
+            return null;
+        };
+
+        for (const [type, set] of [['like', this.preferences.liked], ['dislike', this.preferences.disliked]]) {
+            for (const id of Array.from(set)) {
+                if (valid.has(id)) continue;
+
+                const newId = resolve(id);
+                if (newId) {
+                    set.delete(id);
+                    migrated.push({ from: id, to: newId, type });
+                } else {
+                    orphaned.push({ id, type });
+                }
+            }
+        }
+
+        // Apply after scanning so a migrated like cannot be re-processed as a dislike
+        for (const { to, type } of migrated) {
+            this.preferences.liked.delete(to);
+            this.preferences.disliked.delete(to);
+            (type === 'like' ? this.preferences.liked : this.preferences.disliked).add(to);
+        }
+
+        if (migrated.length > 0) {
+            this.savePreferences();
+        }
+
+        this.orphanedPreferences = orphaned;
+        return { migrated, orphaned };
+    }
+
+    /**
+     * Get preferences left unmapped by the last migration
+     * @returns {Array} Array of { id, type }
+     */
+    getOrphanedPreferences() {
+        return [...(this.orphanedPreferences)];
+    }
+
     /**
      * Clear all preferences
      */
@@ -0,0 +1,70 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { PreferencesManager } from './preferencesManager.js';
+
+describe('PreferencesManager ID Migration', () => {
+    let preferencesManager;
+    
+    beforeEach(() => {
+        localStorage.setItem('spanish-menu-preferences', JSON.stringify({
+            liked: ['pmjv01', 'paella', 'gone1'],
+            disliked: ['x7k2ab']
+        }));
+        preferencesManager = new PreferencesManager();
+    });
+    
+    test('should rewrite retired IDs through the alias table', () => {
+        const { migrated } = preferencesManager.migrateItemIds(
+            { pmjv01: 'aceitunas', x7k2ab: 'callos' },
+            ['aceitunas', 'callos', 'paella']
+        );
+        
+        expect(migrated).toEqual([
+            { from: 'pmjv01', to: 'aceitunas', type: 'like' },
+            { from: 'x7k2ab', to: 'callos', type: 'dislike' }
+        ]);
+        expect(preferencesManager.isLiked('aceitunas')).toBe(true);
+        expect(preferencesManager.isLiked('pmjv01')).toBe(false);
+        expect(preferencesManager.isDisliked('callos')).toBe(true);
+        expect(preferencesManager.isLiked('paella')).toBe(true);
+    });
+    
+    test('should persist migrated IDs', () => {
+        preferencesManager.migrateItemIds({ pmjv01: 'aceitunas' }, ['aceitunas', 'paella']);
+        
+        const reloaded = new PreferencesManager();
+        expect(reloaded.isLiked('aceitunas')).toBe(true);
+        expect(reloaded.isLiked('pmjv01')).toBe(false);
+    });
+    
+    test('should follow alias chains', () => {
+        const { migrated } = preferencesManager.migrateItemIds(
+            { pmjv01: 'olivas', olivas: 'aceitunas' },
+            ['aceitunas', 'paella']
+        );
+        
+        expect(migrated[0]).toEqual({ from: 'pmjv01', to: 'aceitunas', type: 'like' });
+    });
+    
+    test('should report orphaned preferences and keep them stored', () => {
+        const { orphaned } = preferencesManager.migrateItemIds(
+            { pmjv01: 'aceitunas', loop: 'loop' },
+            ['aceitunas', 'paella']
+        );
+        
+        expect(orphaned).toEqual([
+            { id: 'gone1', type: 'like' },
+            { id: 'x7k2ab', type: 'dislike' }
+        ]);
+        expect(preferencesManager.getOrphanedPreferences()).toEqual(orphaned);
+        expect(preferencesManager.isLiked('gone1')).toBe(true);
+    });
+    
+    test('should not save when nothing changed', () => {
+        localStorage.setItem.mockClear();
+        
+        const result = preferencesManager.migrateItemIds({}, ['pmjv01', 'paella', 'gone1', 'x7k2ab']);
+        
+        expect(result).toEqual({ migrated: [], orphaned: [] });
+        expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+});
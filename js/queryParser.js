@@ -0,0 +1,155 @@
+/**
+ * Query Parser Module
+ * Reads search operators out of the query string, so filters can be typed
+ * instead of clicked: "-pork", "veg:", "nodairy:", "<10€", "course:dessert"
+ * and quoted phrases like "arroz con". Every operator becomes a chip the UI
+ * can show and remove again with removeQueryChip().
+ */
+
+import { TAXONOMIES } from './taxonomy.js';
+import { normalizeText } from './textNormalizer.js';
+
+// Flag operators ("veg:") -> applyFilters criterion
+export const FLAG_OPERATORS = {
+    veg: 'vegetarian',
+    vegetarian: 'vegetarian',
+    vegetariano: 'vegetarian',
+    nopork: 'noPork',
+    nodairy: 'noDairy',
+    nomeat: 'noMeat',
+    noseafood: 'noSeafood'
+};
+
+const TOKEN_PATTERN = /"([^"]*)(?:"|$)|(\S+)/g;
+const OPERATOR_PATTERN = /^([a-z]+):(.*)$/;
+const PRICE_PATTERN = /^<=?€?(\d+(?:[.,]\d+)?)€?$/;
+
+/**
+ * Find the course, category or region key a typed value refers to, by key or
+ * by English or Dutch label ("dessert", "desserts", "nagerechten")
+ */
+export function resolveTaxonomyValue(field, value) {
+    const taxonomy = TAXONOMIES[field];
+    const wanted = normalizeText(value).replace(/[\s-]+/g, '');
+    if (!taxonomy || !wanted) return null;
+
+    const entry = taxonomy.values.find(candidate =>
+        [candidate.key, ...Object.values(candidate.label)]
+            .map(name => normalizeText(name).replace(/[\s-]+/g, ''))
+            .some(name => name === wanted || name === `${wanted}s` || `${name}s` === wanted)
+    );
+    return entry ? entry.key : null;
+}
+
+/**
+ * Parse a query into free text, filters, exact phrases and ingredient exclusions
+ * @returns {object} {
+ *   text: free text to match, including the words of quoted phrases,
+ *   filters: applyFilters criteria from flag, price and taxonomy operators,
+ *   phrases: quoted phrases every result must contain,
+ *   exclusions: terms after "-", resolved to dietary filters or ingredients by the search engine,
+ *   chips: one { type, raw, ... } per operator, in query order
+ * }
+ */
+export function parseQuery(query) {
+    const source = String(query || '').replace(/<=?\s+(?=€?\d)/g, match => match.trim());
+    const textParts = [];
+    const filters = {};
+    const phrases = [];
+    const exclusions = [];
+    const chips = [];
+
+    for (const [raw, quoted, word] of source.matchAll(TOKEN_PATTERN)) {
+        // Quoted phrase: matched as text and required verbatim
+        if (quoted !== undefined) {
+            const phrase = quoted.trim();
+            if (phrase) {
+                textParts.push(phrase);
+                phrases.push(phrase);
+                chips.push({ type: 'phrase', value: phrase, raw });
+            }
+            continue;
+        }
+
+        // Exclusion: "-pork", "-cebolla"
+        if (word.length > 1 && word.startsWith('-')) {
+            const value = word.slice(1);
+            exclusions.push(value);
+            chips.push({ type: 'exclude', value, raw });
+            continue;
+        }
+
+        // Price ceiling: "<10€", "<€10", "<=12"
+        const price = word.match(PRICE_PATTERN);
+        if (price) {
+            const maxPrice = parseFloat(price[1].replace(',', '.'));
+            filters.maxPrice = filters.maxPrice ? Math.min(filters.maxPrice, maxPrice) : maxPrice;
+            chips.push({ type: 'price', value: maxPrice, raw });
+            continue;
+        }
+
+        const operator = word.toLowerCase().match(OPERATOR_PATTERN);
+
+        // Flag: "veg:", "nodairy:"; anything typed straight after the colon is still searched for
+        if (operator && FLAG_OPERATORS[operator[1]]) {
+            const filter = FLAG_OPERATORS[operator[1]];
+            filters[filter] = true;
+            chips.push({ type: 'filter', value: filter, raw: `${word.slice(0, operator[1].length)}:` });
+            if (operator[2]) textParts.push(word.slice(operator[1].length + 1));
+            continue;
+        }
+
+        // Course, category or region: "course:dessert", "region:galicia"
+        if (operator && TAXONOMIES[operator[1]] && operator[2]) {
+            const field = operator[1];
+            const key = resolveTaxonomyValue(field, operator[2]);
+            if (key) {
+                filters[field] = [...new Set([...(filters[field] || []), key])];
+                chips.push({ type: 'taxonomy', field, value: key, raw });
+            } else {
+                chips.push({ type: 'taxonomy', field, value: operator[2], raw, invalid: true });
+            }
+            continue;
+        }
+
+        textParts.push(word);
+    }
+
+    return {
+        text: textParts.join(' '),
+        filters,
+        phrases,
+        exclusions,
+        chips
+    };
+}
+
+/**
+ * Check whether text contains a phrase, ignoring case, accents and punctuation
+ */
+export function containsPhrase(text, phrase) {
+    const haystack = ` ${normalizeText(text)} `;
+    const needle = normalizeText(phrase);
+    return needle.length > 0 && haystack.includes(` ${needle} `);
+}
+
+/**
+ * Remove a chip's operator from the query it was parsed from
+ */
+export function removeQueryChip(query, chip) {
+    const escaped = chip.raw
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/^<=?/, '$&\\s*') // "< 10" was read as "<10"
+        .replace(/\s+/g, '\\s+'); // "sin  cebolla" was read as "sin cebolla"
+    return String(query || '')
+        .replace(new RegExp(escaped, 'i'), ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.parseQuery = parseQuery;
+}
+
+console.log('📊 QueryParser module loaded');
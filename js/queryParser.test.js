@@ -0,0 +1,101 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseQuery, removeQueryChip, resolveTaxonomyValue, containsPhrase } from './queryParser.js';
+
+describe('parseQuery', () => {
+    test('should leave plain queries as free text', () => {
+        const parsed = parseQuery('pulpo a la gallega');
+
+        expect(parsed.text).toBe('pulpo a la gallega');
+        expect(parsed.filters).toEqual({});
+        expect(parsed.chips).toEqual([]);
+    });
+
+    test('should read dietary flag operators', () => {
+        const parsed = parseQuery('veg: nodairy: croquetas');
+
+        expect(parsed.text).toBe('croquetas');
+        expect(parsed.filters).toEqual({ vegetarian: true, noDairy: true });
+        expect(parsed.chips.map(chip => chip.value)).toEqual(['vegetarian', 'noDairy']);
+    });
+
+    test('should keep text typed straight after a flag operator', () => {
+        const parsed = parseQuery('Veg:tortilla');
+
+        expect(parsed.text).toBe('tortilla');
+        expect(parsed.chips[0].raw).toBe('Veg:');
+    });
+
+    test('should read price ceilings in several notations', () => {
+        expect(parseQuery('<10€').filters.maxPrice).toBe(10);
+        expect(parseQuery('<€12').filters.maxPrice).toBe(12);
+        expect(parseQuery('tapas < 8,50').filters.maxPrice).toBe(8.5);
+        expect(parseQuery('<=15 <9').filters.maxPrice).toBe(9);
+    });
+
+    test('should read course, category and region operators by key or label', () => {
+        const parsed = parseQuery('course:desserts region:basque-country category:rijstgerechten');
+
+        expect(parsed.filters).toEqual({ course: ['dessert'], region: ['basque-country'], category: ['rice'] });
+        expect(parsed.text).toBe('');
+    });
+
+    test('should mark unknown taxonomy values as invalid without filtering', () => {
+        const parsed = parseQuery('course:brunch');
+
+        expect(parsed.filters).toEqual({});
+        expect(parsed.chips[0]).toEqual({ type: 'taxonomy', field: 'course', value: 'brunch', raw: 'course:brunch', invalid: true });
+    });
+
+    test('should collect exclusions', () => {
+        const parsed = parseQuery('paella -pork -cebolla');
+
+        expect(parsed.text).toBe('paella');
+        expect(parsed.exclusions).toEqual(['pork', 'cebolla']);
+    });
+
+    test('should read quoted phrases as text and as phrase constraints', () => {
+        const parsed = parseQuery('"arroz con" leche "sin cerrar');
+
+        expect(parsed.text).toBe('arroz con leche sin cerrar');
+        expect(parsed.phrases).toEqual(['arroz con', 'sin cerrar']);
+    });
+
+    test('should treat unknown operators and hyphenated words as text', () => {
+        expect(parseQuery('pa-amb 10:30 http:x').text).toBe('pa-amb 10:30 http:x');
+    });
+});
+
+describe('removeQueryChip', () => {
+    test('should remove an operator and keep the rest of the query', () => {
+        const query = 'Paella -pork VEG: < 10 "arroz con"';
+        const { chips } = parseQuery(query);
+
+        expect(removeQueryChip(query, chips[0])).toBe('Paella VEG: < 10 "arroz con"');
+        expect(removeQueryChip(query, chips[1])).toBe('Paella -pork < 10 "arroz con"');
+        expect(removeQueryChip(query, chips[2])).toBe('Paella -pork VEG: "arroz con"');
+        expect(removeQueryChip(query, chips[3])).toBe('Paella -pork VEG: < 10');
+    });
+
+    test('should remove a multi-word chip typed with extra spaces', () => {
+        expect(removeQueryChip('Paella  sin   cebolla', { type: 'exclude', raw: 'sin cebolla' })).toBe('Paella');
+    });
+});
+
+describe('resolveTaxonomyValue', () => {
+    test('should resolve keys, labels and plurals', () => {
+        expect(resolveTaxonomyValue('course', 'dessert')).toBe('dessert');
+        expect(resolveTaxonomyValue('course', 'Nagerechten')).toBe('dessert');
+        expect(resolveTaxonomyValue('region', 'andalucia')).toBeNull();
+        expect(resolveTaxonomyValue('region', 'andalusië')).toBe('andalusia');
+        expect(resolveTaxonomyValue('unknown', 'dessert')).toBeNull();
+    });
+});
+
+describe('containsPhrase', () => {
+    test('should match whole words ignoring case and accents', () => {
+        expect(containsPhrase('Arroz con Leche', 'arroz con')).toBe(true);
+        expect(containsPhrase('Jamón Ibérico', 'jamon iberico')).toBe(true);
+        expect(containsPhrase('Arroz con Leche', 'con lech')).toBe(false);
+        expect(containsPhrase('Arroz', '')).toBe(false);
+    });
+});
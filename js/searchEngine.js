@@ -3,10 +3,50 @@
  * Implements fuzzy string matching and auto-suggest functionality
  */
 
+import { mayContainAllergen, parsePrice } from './dataManager.js';
+import { TAXONOMIES, COURSES, matchesTaxonomy } from './taxonomy.js';
+import { normalizeText, normalizeTerm, isStopWord, phoneticKey, tokenize } from './textNormalizer.js';
+import { NgramIndex } from './ngramIndex.js';
+import { parseQuery, containsPhrase } from './queryParser.js';
+import { splitMenuText } from './menuText.js';
+import { INDEX_FORMAT_VERSION } from './dataCache.js';
+
+// Words that turn the following ingredient into an exclusion ("no mushrooms", "sin cebolla", "zonder ui")
+const EXCLUSION_WORDS = new Set(['no', 'sin', 'without', 'zonder', 'geen']);
+const MAX_INGREDIENT_WORDS = 3;
+
+// Letters (including combining accents) and digits forming one word in displayed text
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Item flags that make up a dish's dietary profile for personalized ranking
+const DIETARY_FLAGS = ['isVegetarian', 'hasPork', 'hasDairy', 'hasOtherMeat', 'hasSeafood'];
+
+// Config weights that index entries take a copy of, see getTypeWeight()
+const INDEX_WEIGHT_KEYS = [
+    'spanishNameWeight', 'englishNameWeight', 'aliasWeight', 'translationWeight', 'ingredientWeight', 'descriptionWeight'
+];
+
+// Dietary filters and price ceilings (in euros) counted as facets of every search
+export const DIETARY_FACETS = ['vegetarian', 'noPork', 'noMeat', 'noSeafood', 'noDairy'];
+export const PRICE_FACETS = [10, 20, 30];
+
+// Food groups that are excluded through the dietary filters rather than single ingredients
+const DIETARY_EXCLUSIONS = {
+    seafood: 'noSeafood', marisco: 'noSeafood', mariscos: 'noSeafood', zeevruchten: 'noSeafood',
+    meat: 'noMeat', carne: 'noMeat', vlees: 'noMeat',
+    pork: 'noPork', cerdo: 'noPork', varkensvlees: 'noPork',
+    dairy: 'noDairy', lacteos: 'noDairy', zuivel: 'noDairy'
+};
+
 export class SearchEngine {
     constructor(dataManager) {
         this.dataManager = dataManager;
         this.searchIndex = new Map();
+        this.ingredientTerms = new Map(); // normalized ingredient name -> Set of ingredient keys
+        this.ngramIndex = new NgramIndex(); // trigram postings over searchIndex terms for fuzzy candidate lookup
+        this.phoneticIndex = new Map(); // phonetic key -> Set of searchIndex terms that sound the same
+        this.language = 'en'; // UI language; matches in it are boosted
+        this.searchHistory = new Map(); // normalized past query -> { query, count }
         this.indexBuilt = false;
         
         // Search configuration
@@ -19,7 +59,26 @@ export class SearchEngine {
             wordStartBonus: 0.3, // Bonus for matching word starts
             spanishNameWeight: 1.0, // Weight for Spanish name matches
             englishNameWeight: 0.8, // Weight for English name matches
-            descriptionWeight: 0.5 // Weight for description matches
+            aliasWeight: 0.9, // Weight for alternate spellings and regional names
+            translationWeight: 0.75, // Weight for names in other translation languages (Dutch, German, ...)
+            phoneticWeight: 0.8, // Multiplier for terms spelled differently but pronounced the same ("sarsuela")
+            uiLanguageBoost: 1.25, // Multiplier for matches in the UI language, when it is not English
+            ingredientWeight: 0.6, // Weight for ingredient matches
+            ingredientMatchThreshold: 0.75, // Minimum similarity to report an ingredient as matched
+            highlightThreshold: 0.6, // Minimum similarity for a matched term to be highlighted
+            descriptionWeight: 0.5, // Weight for description matches
+            historySuggestionBoost: 1, // Suggestion boost per doubling of how often it was searched before
+            likedSuggestionBoost: 1, // Suggestion boost for names of liked dishes
+            personalize: true, // Rank by likes and dislikes when a preferences manager is passed
+            personalLikedBoost: 1.5, // Multiplier for liked dishes
+            personalDislikedPenalty: 0.5, // Multiplier for disliked dishes
+            personalCategoryBoost: 0.15, // Extra score share for the category of a liked dish
+            personalIngredientBoost: 0.15, // Extra score share for ingredients of liked dishes, at 3 or more shared
+            personalDietBoost: 0.05, // Extra score share for the dietary profile of a liked dish
+            menuLineThreshold: 0.5, // Minimum confidence for a pasted menu line to count as matched
+            menuLineCandidates: 5, // Top search results per menu line that are compared by confidence
+            menuLineMinCoverage: 0.5, // Share of the line or of the dish name that must be covered, exclusive
+            useNgramIndex: true // Only score terms sharing a trigram with the query; false scans every term
         };
         
         // Search statistics
@@ -48,32 +107,71 @@ export class SearchEngine {
         }
         
         this.searchIndex.clear();
+        this.ingredientTerms.clear();
+        this.ngramIndex.clear();
+        this.phoneticIndex.clear();
         const menuItems = this.dataManager.getMenuItems();
         
         menuItems.forEach(item => {
             // Index Spanish name
-            this.addToIndex(item.spanishName.toLowerCase(), item, 'spanish');
+            this.addToIndex(item.spanishName.toLowerCase(), item, 'spanish', { language: 'es' });
             
             // Index English name
-            this.addToIndex(item.englishName.toLowerCase(), item, 'english');
+            this.addToIndex(item.englishName.toLowerCase(), item, 'english', { language: 'en' });
+            
+            // Index every other translation language with its name, name words and description words
+            const translationWords = [];
+            this.getTranslationLanguages(item).forEach(({ language, name, description }) => {
+                if (name) {
+                    this.addToIndex(name.toLowerCase(), item, 'translation', { language });
+                    this.extractWords(name).forEach(word => translationWords.push([word, language]));
+                }
+                if (description) {
+                    this.extractWords(description).forEach(word => {
+                        if (word.length > 2 && !isStopWord(word)) {
+                            this.addToIndex(word, item, 'description', { language });
+                        }
+                    });
+                }
+            });
+            
+            // Index aliases as pointers to the canonical item
+            const aliases = item.aliases || [];
+            aliases.forEach(alias => {
+                this.addToIndex(alias.toLowerCase(), item, 'alias');
+            });
+            
+            // Index ingredients by every name they are known by, remembering which one matched
+            (item.ingredients || []).forEach(ingredient => {
+                this.getIngredientTerms(ingredient).forEach(term => {
+                    this.addToIndex(term, item, 'ingredient', { ingredient });
+                    
+                    const normalized = normalizeText(term);
+                    if (!this.ingredientTerms.has(normalized)) {
+                        this.ingredientTerms.set(normalized, new Set());
+                    }
+                    this.ingredientTerms.get(normalized).add(ingredient);
+                });
+            });
             
             // Index description words
             if (item.description) {
                 const descWords = this.extractWords(item.description.toLowerCase());
                 descWords.forEach(word => {
-                    if (word.length > 2) { // Skip very short words
-                        this.addToIndex(word, item, 'description');
+                    if (word.length > 2 && !isStopWord(word)) { // Skip very short words
+                        this.addToIndex(word, item, 'description', { language: 'en' });
                     }
                 });
             }
             
-            // Index individual words from Spanish and English names
-            const spanishWords = this.extractWords(item.spanishName.toLowerCase());
-            const englishWords = this.extractWords(item.englishName.toLowerCase());
+            // Index individual words from Spanish, English and translated names
+            const spanishWords = this.extractWords(item.spanishName.toLowerCase()).map(word => [word, 'es']);
+            const englishWords = this.extractWords(item.englishName.toLowerCase()).map(word => [word, 'en']);
+            const aliasWords = aliases.flatMap(alias => this.extractWords(alias.toLowerCase())).map(word => [word, null]);
             
-            [...spanishWords, ...englishWords].forEach(word => {
-                if (word.length > 1) {
-                    this.addToIndex(word, item, 'word');
+            [...spanishWords, ...englishWords, ...aliasWords, ...translationWords].forEach(([word, language]) => {
+                if (word.length > 1 && !isStopWord(word)) {
+                    this.addToIndex(word, item, 'word', language ? { language } : {});
                 }
             });
         });
@@ -86,20 +184,83 @@ export class SearchEngine {
     }
     
     /**
-     * Add item to search index
+     * Add item to search index under the normalized form of `term`.
+     * The original text is kept on the entry for suggestions.
      */
-    addToIndex(term, item, type) {
-        if (!this.searchIndex.has(term)) {
-            this.searchIndex.set(term, []);
+    addToIndex(term, item, type, details = {}) {
+        const key = normalizeTerm(term);
+        if (!key) return;
+        
+        if (!this.searchIndex.has(key)) {
+            this.searchIndex.set(key, []);
+            this.ngramIndex.add(key);
         }
+        this.addPhoneticTerm(key, term);
         
-        this.searchIndex.get(term).push({
+        this.searchIndex.get(key).push({
             item,
             type,
-            weight: this.getTypeWeight(type)
+            weight: this.getTypeWeight(type),
+            text: term,
+            ...details
         });
     }
     
+    /**
+     * Register an index term under the phonetic key of the original text it was indexed from
+     */
+    addPhoneticTerm(term, text) {
+        const key = phoneticKey(text);
+        if (!key) return;
+        
+        if (!this.phoneticIndex.has(key)) {
+            this.phoneticIndex.set(key, new Set());
+        }
+        this.phoneticIndex.get(key).add(term);
+    }
+    
+    /**
+     * Index terms pronounced like the query but spelled differently
+     * @param {string} query - Normalized query
+     * @param {string} key - Phonetic key of the query
+     * @returns {Set<string>}
+     */
+    getPhoneticTerms(query, key) {
+        const terms = new Set(this.phoneticIndex.get(key) || []);
+        terms.delete(query);
+        return terms;
+    }
+    
+    /**
+     * Get an item's names and descriptions in languages other than English, skipping
+     * text that only repeats the Spanish or English wording (e.g. "Valencia Water").
+     * @returns {object[]} { language, name, description } per language
+     */
+    getTranslationLanguages(item) {
+        const english = (item.translations || {}).en || {};
+        const known = new Set([item.spanishName, item.englishName, english.name].filter(Boolean).map(text => normalizeTerm(text)));
+        const knownDescription = normalizeTerm(item.description || english.description || '');
+        
+        return Object.entries(item.translations || {})
+            .filter(([language]) => language !== 'en')
+            .map(([language, entry]) => ({
+                language,
+                name: entry.name && !known.has(normalizeTerm(entry.name)) ? entry.name : '',
+                description: entry.description && normalizeTerm(entry.description) !== knownDescription ? entry.description : ''
+            }))
+            .filter(entry => entry.name || entry.description);
+    }
+    
+    /**
+     * Get the names an ingredient is indexed under (translations and synonyms when available)
+     */
+    getIngredientTerms(ingredient) {
+        if (typeof this.dataManager.getIngredientTerms === 'function') {
+            return this.dataManager.getIngredientTerms(ingredient);
+        }
+        return [ingredient.toLowerCase()];
+    }
+    
     /**
      * Get weight for different match types
      */
@@ -107,6 +268,9 @@ export class SearchEngine {
         switch (type) {
             case 'spanish': return this.config.spanishNameWeight;
             case 'english': return this.config.englishNameWeight;
+            case 'alias': return this.config.aliasWeight;
+            case 'translation': return this.config.translationWeight;
+            case 'ingredient': return this.config.ingredientWeight;
             case 'description': return this.config.descriptionWeight;
             case 'word': return 0.7;
             default: return 0.5;
@@ -126,8 +290,16 @@ export class SearchEngine {
     
     /**
      * Main search function
+     * @param {object} options - {
+     *   sortBy: 'relevance' | 'price-asc' | 'price-desc',
+     *   personalize: rank by the preferences manager's likes and dislikes (default config.personalize),
+     *   explain: add a score breakdown to each result as `explanation`, see scoreTerm()
+     * }
      */
-    search(query, filters = {}, preferencesManager = null) {
+    search(query, filters = {}, preferencesManager = null, options = {}) {
+        const sortBy = options.sortBy || 'relevance';
+        const personalize = options.personalize ?? this.config.personalize;
+        const explain = Boolean(options.explain);
         const startTime = performance.now();
         this.stats.totalSearches++;
         
@@ -147,8 +319,11 @@ export class SearchEngine {
         
         const cleanQuery = query.trim().toLowerCase();
         
+        // Likes and dislikes to rank by; they change between searches, so they are part of the cache key
+        const profile = personalize ? this.getPersonalProfile(preferencesManager) : null;
+        
         // Check cache first
-        const cacheKey = this.getCacheKey(cleanQuery, filters);
+        const cacheKey = this.getCacheKey(cleanQuery, filters, sortBy, profile ? profile.key : '', explain);
         if (this.searchCache.has(cacheKey)) {
             this.stats.cacheHits++;
             const cached = this.searchCache.get(cacheKey);
@@ -160,14 +335,31 @@ export class SearchEngine {
         
         this.stats.cacheMisses++;
         
-        // Perform search
-        const matches = this.findMatches(cleanQuery);
-        const scoredResults = this.scoreAndRankResults(matches, cleanQuery);
-        const filteredResults = this.applyFilters(scoredResults, filters, preferencesManager);
+        // Read operators ("veg:", "-pork", "<10€", "course:dessert", "\"arroz con\"") out of the query
+        const parsedQuery = this.parseQueryOperators(cleanQuery);
+        
+        // Split off ingredient exclusions ("paella sin marisco", "no mushrooms"); they get chips like "-term" operators
+        const { query: searchQuery, excludedIngredients, exclusionFilters, unmatchedExclusions, chips: exclusionChips } = this.parseExclusions(parsedQuery.text);
+        parsedQuery.chips = [...parsedQuery.chips, ...exclusionChips];
+        const activeFilters = this.mergeFilters(filters, parsedQuery.filters, exclusionFilters, { excludeIngredients: excludedIngredients });
+        
+        // Perform search on the normalized query; a query of only exclusions or operators lists every remaining dish
+        const normalizedQuery = normalizeTerm(searchQuery);
+        const matches = normalizedQuery ? this.findMatches(normalizedQuery, phoneticKey(searchQuery)) : [];
+        const scoredResults = (normalizedQuery ? this.scoreAndRankResults(matches, normalizedQuery, profile, explain) : this.getAllResults())
+            .filter(result => this.matchesPhrases(result.item, parsedQuery.phrases));
+        const facets = this.getFacets(scoredResults);
+        const filteredResults = this.sortResults(
+            this.applyFilters(scoredResults, activeFilters, preferencesManager),
+            sortBy
+        );
         const finalResults = filteredResults.slice(0, this.config.maxResults);
+        finalResults.forEach(result => {
+            result.highlights = this.getHighlights(result);
+        });
         
         // Generate suggestions
-        const suggestions = this.generateSuggestions(cleanQuery, matches);
+        const suggestions = normalizedQuery ? this.generateSuggestions(normalizedQuery, matches, preferencesManager) : [];
         
         const searchTime = performance.now() - startTime;
         this.updateSearchStats(searchTime);
@@ -177,6 +369,12 @@ export class SearchEngine {
             suggestions: suggestions,
             query: query,
             totalMatches: filteredResults.length,
+            facets,
+            filters: activeFilters,
+            excludedIngredients,
+            exclusionFilters,
+            unmatchedExclusions,
+            parsedQuery,
             searchTime: searchTime
         };
         
@@ -188,71 +386,116 @@ export class SearchEngine {
     
     /**
      * Find potential matches using fuzzy search
+     * @param {string} query - Query already passed through normalizeTerm()
+     * @param {string} phoneticQuery - phoneticKey() of the original query, word for word aligned with `query`
      */
-    findMatches(query) {
+    findMatches(query, phoneticQuery = phoneticKey(query)) {
         const matches = new Map(); // Use Map to avoid duplicates
-        const queryWords = this.extractWords(query);
+        const queryWords = query.split(' ');
+        const phoneticWords = phoneticQuery.split(' ');
         
-        // Direct term matches
-        for (const [term, entries] of this.searchIndex.entries()) {
+        // Direct term matches; terms that sound like the query are scored by the phonetic channel instead
+        const phoneticTerms = this.getPhoneticTerms(query, phoneticQuery);
+        for (const [term, entries] of this.getCandidateTerms(query)) {
+            if (phoneticTerms.has(term)) continue;
+            
             const similarity = this.calculateSimilarity(query, term);
             
             if (similarity >= this.config.fuzzyThreshold) {
-                entries.forEach(entry => {
-                    const key = entry.item.id;
-                    if (!matches.has(key)) {
-                        matches.set(key, {
-                            item: entry.item,
-                            scores: []
-                        });
-                    }
-                    
-                    matches.get(key).scores.push({
-                        similarity,
-                        type: entry.type,
-                        weight: entry.weight,
-                        matchedTerm: term,
-                        isExact: term === query,
-                        isWordStart: term.startsWith(query) || query.startsWith(term)
-                    });
-                });
+                entries.forEach(entry => this.addMatch(matches, entry, {
+                    similarity,
+                    matchedTerm: term,
+                    isExact: term === query,
+                    isWordStart: term.startsWith(query) || query.startsWith(term)
+                }));
             }
         }
         
+        // Phonetic matches: spelled differently, pronounced the same
+        phoneticTerms.forEach(term => {
+            this.searchIndex.get(term).forEach(entry => this.addMatch(matches, entry, {
+                similarity: 1,
+                matchedTerm: term,
+                isExact: false,
+                isWordStart: true,
+                isPhonetic: true
+            }));
+        });
+        
         // Multi-word query matching
         if (queryWords.length > 1) {
-            queryWords.forEach(word => {
-                for (const [term, entries] of this.searchIndex.entries()) {
+            queryWords.forEach((word, index) => {
+                const phoneticWordTerms = this.getPhoneticTerms(word, phoneticWords[index]);
+                
+                for (const [term, entries] of this.getCandidateTerms(word)) {
+                    if (phoneticWordTerms.has(term)) continue;
+                    
                     const similarity = this.calculateSimilarity(word, term);
                     
                     if (similarity >= this.config.fuzzyThreshold) {
-                        entries.forEach(entry => {
-                            const key = entry.item.id;
-                            if (!matches.has(key)) {
-                                matches.set(key, {
-                                    item: entry.item,
-                                    scores: []
-                                });
-                            }
-                            
-                            matches.get(key).scores.push({
-                                similarity: similarity * 0.8, // Slight penalty for partial word matches
-                                type: entry.type,
-                                weight: entry.weight,
-                                matchedTerm: term,
-                                isExact: term === word,
-                                isWordStart: term.startsWith(word) || word.startsWith(term),
-                                isPartialWord: true
-                            });
-                        });
+                        entries.forEach(entry => this.addMatch(matches, entry, {
+                            similarity: similarity * 0.8, // Slight penalty for partial word matches
+                            matchedTerm: term,
+                            isExact: term === word,
+                            isWordStart: term.startsWith(word) || word.startsWith(term),
+                            isPartialWord: true
+                        }));
                     }
                 }
+                
+                phoneticWordTerms.forEach(term => {
+                    this.searchIndex.get(term).forEach(entry => this.addMatch(matches, entry, {
+                        similarity: 0.8,
+                        matchedTerm: term,
+                        isExact: false,
+                        isWordStart: true,
+                        isPartialWord: true,
+                        isPhonetic: true
+                    }));
+                });
             });
         }
         
         return Array.from(matches.values());
     }
     
+    /**
+     * Record a score for an index entry's item
+     */
+    addMatch(matches, entry, score) {
+        const key = entry.item.id;
+        if (!matches.has(key)) {
+            matches.set(key, {
+                item: entry.item,
+                scores: []
+            });
+        }
+        
+        matches.get(key).scores.push({
+            type: entry.type,
+            weight: entry.weight,
+            ingredient: entry.ingredient || null,
+            language: entry.language || null,
+            ...score
+        });
+    }
+    
+    /**
+     * Index terms worth scoring against a query, as [term, entries] pairs in index order.
+     * Terms that share no trigram with the query, or are far shorter or longer than it,
+     * cannot reach the fuzzy threshold in practice and are skipped.
+     * @param {string|string[]} queries - Normalized query, or several to take the union of
+     * @param {number} minLengthRatio - Minimum length ratio between a term and the query
+     */
+    getCandidateTerms(queries, minLengthRatio = this.config.fuzzyThreshold) {
+        if (!this.config.useNgramIndex) {
+            return Array.from(this.searchIndex.entries());
+        }
+        
+        return this.ngramIndex.candidates(queries, { minLengthRatio })
+            .map(term => [term, this.searchIndex.get(term)]);
+    }
+    
     /**
      * Calculate string similarity using a combination of algorithms
      */
@@ -334,52 +577,247 @@ export class SearchEngine {
     
     /**
      * Score and rank search results
+     * @param {boolean} explain - Keep how each score was reached as `explanation` on the result
      */
-    scoreAndRankResults(matches, query) {
+    scoreAndRankResults(matches, query, profile = null, explain = false) {
         return matches.map(match => {
             let totalScore = 0;
             let maxScore = 0;
             let bestType = '';
+            let bestLanguage = null;
+            const terms = [];
             
             // Calculate composite score from all matches
             match.scores.forEach(score => {
-                let adjustedScore = score.similarity * score.weight;
-                
-                // Apply bonuses
-                if (score.isExact) {
-                    adjustedScore += this.config.exactMatchBonus;
-                }
-                if (score.isWordStart) {
-                    adjustedScore += this.config.wordStartBonus;
-                }
-                
-                // Penalty for partial word matches
-                if (score.isPartialWord) {
-                    adjustedScore *= 0.9;
-                }
+                const breakdown = this.scoreTerm(score);
+                const adjustedScore = breakdown.score;
+                if (explain) terms.push(breakdown);
                 
                 totalScore += adjustedScore;
                 
                 if (adjustedScore > maxScore) {
                     maxScore = adjustedScore;
                     bestType = score.type;
+                    bestLanguage = score.language;
                 }
             });
             
             // Normalize score by number of matches (prevent gaming with many weak matches)
-            const normalizedScore = totalScore / Math.sqrt(match.scores.length);
+            let normalizedScore = totalScore / Math.sqrt(match.scores.length);
+            const unpersonalizedScore = normalizedScore;
+            
+            // Personalize by likes and dislikes, keeping the reasons to show on the card
+            const personalization = profile ? this.getPersonalBoost(match.item, profile) : null;
+            if (personalization) {
+                normalizedScore *= personalization.boost;
+            }
+            
+            // Ingredients that clearly matched the query, shown on the result card
+            const matchedIngredients = [...new Set(match.scores
+                .filter(score => score.type === 'ingredient' && score.similarity >= this.config.ingredientMatchThreshold)
+                .map(score => score.ingredient))];
             
             return {
                 item: match.item,
                 score: normalizedScore,
                 maxScore: maxScore,
                 bestMatchType: bestType,
+                bestMatchLanguage: bestLanguage,
                 matchCount: match.scores.length,
-                matchDetails: match.scores
+                matchDetails: match.scores,
+                matchedIngredients,
+                ...(personalization ? { personalization } : {}),
+                ...(explain ? {
+                    explanation: {
+                        terms: terms.sort((a, b) => b.score - a.score),
+                        totalScore,
+                        normalization: Math.sqrt(match.scores.length),
+                        normalizedScore: unpersonalizedScore,
+                        personalBoost: personalization ? personalization.boost : 1,
+                        score: normalizedScore
+                    }
+                } : {})
             };
         }).sort((a, b) => b.score - a.score);
     }
     
+    /**
+     * Score one matched term of an item, keeping every step for score explanations
+     * @param {object} score - Match from findMatches(): similarity, weight, type and channel flags
+     * @returns {object} {
+     *   term, type, language, ingredient, channel ('spelled' or 'phonetic'), partialWord,
+     *   similarity, weight, base (similarity × weight), exactBonus, wordStartBonus,
+     *   partialWordFactor, phoneticFactor, languageFactor, score
+     * }
+     */
+    scoreTerm(score) {
+        const base = score.similarity * score.weight;
+        
+        // Apply bonuses; a phonetic match is exact in sound and discounted below
+        const exactBonus = score.isExact || score.isPhonetic ? this.config.exactMatchBonus : 0;
+        const wordStartBonus = score.isWordStart ? this.config.wordStartBonus : 0;
+        
+        // Penalty for partial word matches
+        const partialWordFactor = score.isPartialWord ? 0.9 : 1;
+        
+        // Phonetic matches rank below spelled matches of the same strength
+        const phoneticFactor = score.isPhonetic ? this.config.phoneticWeight : 1;
+        
+        // Boost matches in the UI language; weights are tuned for English, so it gets none
+        const languageFactor = score.language && score.language === this.language && this.language !== 'en'
+            ? this.config.uiLanguageBoost
+            : 1;
+        
+        return {
+            term: score.matchedTerm,
+            type: score.type,
+            language: score.language,
+            ingredient: score.ingredient,
+            channel: score.isPhonetic ? 'phonetic' : 'spelled',
+            partialWord: Boolean(score.isPartialWord),
+            similarity: score.similarity,
+            weight: score.weight,
+            base,
+            exactBonus,
+            wordStartBonus,
+            partialWordFactor,
+            phoneticFactor,
+            languageFactor,
+            score: (base + exactBonus + wordStartBonus) * partialWordFactor * phoneticFactor * languageFactor
+        };
+    }
+    
+    /**
+     * What the user's likes and dislikes say about their taste: the liked and
+     * disliked IDs, and the categories, ingredients and dietary profiles of liked dishes
+     * @returns {object|null} null without any likes or dislikes
+     */
+    getPersonalProfile(preferencesManager) {
+        if (!preferencesManager || !this.dataManager.isLoaded) return null;
+        
+        const liked = new Set();
+        const disliked = new Set();
+        const categories = new Map(); // category key -> first liked dish in it
+        const ingredients = new Set();
+        const diets = new Map(); // dietary profile -> first liked dish with it
+        
+        this.dataManager.getMenuItems().forEach(item => {
+            if (preferencesManager.isDisliked(item.id)) {
+                disliked.add(item.id);
+            }
+            if (!preferencesManager.isLiked(item.id)) return;
+            
+            liked.add(item.id);
+            if (item.category && !categories.has(item.category)) {
+                categories.set(item.category, item);
+            }
+            (item.ingredients || []).forEach(key => ingredients.add(key));
+            
+            const diet = this.getDietaryProfile(item);
+            if (diet && !diets.has(diet)) {
+                diets.set(diet, item);
+            }
+        });
+        
+        if (liked.size === 0 && disliked.size === 0) return null;
+        
+        return {
+            key: `${[...liked].sort().join(',')}|${[...disliked].sort().join(',')}`,
+            liked,
+            disliked,
+            categories,
+            ingredients,
+            diets
+        };
+    }
+    
+    /**
+     * Dietary flags an item has, as a comparable string ("hasDairy,isVegetarian")
+     */
+    getDietaryProfile(item) {
+        return DIETARY_FLAGS.filter(flag => item[flag]).join(',');
+    }
+    
+    /**
+     * Score multiplier for one item from a personal profile
+     * @returns {object|null} { boost, reasons: [{ type, ... }] } or null when the item is not affected.
+     *   Reason types: liked, disliked, category ({ category, likedItem }),
+     *   ingredients ({ ingredients }), diet ({ likedItem }); likedItem is a liked dish's Spanish name.
+     */
+    getPersonalBoost(item, profile) {
+        if (profile.liked.has(item.id)) {
+            return { boost: this.config.personalLikedBoost, reasons: [{ type: 'liked' }] };
+        }
+        if (profile.disliked.has(item.id)) {
+            return { boost: this.config.personalDislikedPenalty, reasons: [{ type: 'disliked' }] };
+        }
+        
+        let boost = 1;
+        const reasons = [];
+        
+        const likedInCategory = item.category ? profile.categories.get(item.category) : null;
+        if (likedInCategory) {
+            boost += this.config.personalCategoryBoost;
+            reasons.push({ type: 'category', category: item.category, likedItem: likedInCategory.spanishName });
+        }
+        
+        const sharedIngredients = (item.ingredients || []).filter(key => profile.ingredients.has(key));
+        if (sharedIngredients.length > 0) {
+            boost += this.config.personalIngredientBoost * Math.min(sharedIngredients.length, 3) / 3;
+            reasons.push({ type: 'ingredients', ingredients: sharedIngredients });
+        }
+        
+        const diet = this.getDietaryProfile(item);
+        const likedWithDiet = diet ? profile.diets.get(diet) : null;
+        if (likedWithDiet) {
+            boost += this.config.personalDietBoost;
+            reasons.push({ type: 'diet', likedItem: likedWithDiet.spanishName });
+        }
+        
+        return reasons.length > 0 ? { boost, reasons } : null;
+    }
+    
+    /**
+     * Character ranges of matched words in the fields a result card shows: the Spanish
+     * name and the name and description in the UI language. Words are compared in
+     * normalized form, so "Croquetas" is highlighted for "croqueta" and "Zarzuela" for "sarsuela".
+     * @returns {object} { spanishName, translation, description }, each { text, ranges: [[start, end], ...] },
+     *   with `language` on translation; empty when nothing matched clearly
+     */
+    getHighlights(result) {
+        const words = new Set(result.matchDetails
+            .filter(score => score.similarity >= this.config.highlightThreshold && score.type !== 'ingredient')
+            .flatMap(score => score.matchedTerm.split(' ')));
+        if (words.size === 0) return {};
+        
+        const item = result.item;
+        const translation = typeof this.dataManager.getTranslation === 'function'
+            ? this.dataManager.getTranslation(item, this.language)
+            : { name: item.englishName, description: item.description, language: 'en' };
+        const field = (text) => ({ text: text || '', ranges: this.getHighlightRanges(text, words) });
+        
+        return {
+            spanishName: field(item.spanishName),
+            translation: { ...field(translation.name), language: translation.language },
+            description: field(translation.description)
+        };
+    }
+    
+    /**
+     * Find the words of `text` whose normalized form is one of `words`
+     * @param {Set<string>} words - Normalized words, as in index terms
+     * @returns {number[][]} Sorted [start, end) character ranges
+     */
+    getHighlightRanges(text, words) {
+        const ranges = [];
+        for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+            if (words.has(normalizeTerm(match[0], { stopWords: false }))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        return ranges;
+    }
+    
     /**
      * Apply dietary and preference filters to results
      */
@@ -411,10 +849,29 @@ export class SearchEngine {
             if (filters.noMeat && (item.hasOtherMeat || item.hasPork)) return false;
             if (filters.noSeafood && item.hasSeafood) return false;
             
-            // Price range filter
-            if (filters.maxPrice && item.priceRange) {
-                const itemPrice = this.extractMaxPrice(item.priceRange);
-                if (itemPrice && itemPrice > filters.maxPrice) return false;
+            // Allergen filters - undeclared allergens are treated as present
+            if (Array.isArray(filters.excludeAllergens) &&
+                filters.excludeAllergens.some(key => mayContainAllergen(item, key))) {
+                return false;
+            }
+            
+            // Ingredient exclusions by ingredient key
+            if (Array.isArray(filters.excludeIngredients) &&
+                (item.ingredients || []).some(key => filters.excludeIngredients.includes(key))) {
+                return false;
+            }
+            
+            // Course, category and region filters
+            if (Object.keys(TAXONOMIES).some(field => !matchesTaxonomy(item, field, filters[field]))) {
+                return false;
+            }
+            
+            // Price filter - market-price dishes have no upper bound so they are excluded,
+            // dishes without any price information are kept
+            if (filters.maxPrice && item.price) {
+                if (item.price.isMarketPrice) return false;
+                const itemPrice = this.getMaxPrice(item);
+                if (itemPrice !== null && itemPrice > filters.maxPrice) return false;
             }
             
             return true;
@@ -422,43 +879,413 @@ export class SearchEngine {
     }
     
     /**
-     * Extract maximum price from price range string
+     * Count how many of the matches each dietary filter, price ceiling and course
+     * would leave on its own, before any filters are applied
+     * @returns {object} { total, dietary: { vegetarian: n, ... }, price: { 10: n, ... }, course: { tapa: n, ... } }
      */
-    extractMaxPrice(priceRange) {
-        const matches = priceRange.match(/€(\d+)-?(\d+)?/);
-        if (matches) {
-            return parseInt(matches[2] || matches[1]);
+    getFacets(results) {
+        const facets = { total: results.length, dietary: {}, price: {}, course: {} };
+        
+        DIETARY_FACETS.forEach(key => {
+            facets.dietary[key] = this.applyFilters(results, { [key]: true }).length;
+        });
+        PRICE_FACETS.forEach(maxPrice => {
+            facets.price[maxPrice] = this.applyFilters(results, { maxPrice }).length;
+        });
+        COURSES.forEach(({ key }) => {
+            facets.course[key] = 0;
+        });
+        results.forEach(({ item }) => {
+            if (item.course in facets.course) facets.course[item.course]++;
+        });
+        
+        return facets;
+    }
+    
+    /**
+     * List items without a search query, e.g. all desserts or all Galician dishes.
+     * Results have the same shape as search results, sorted by Spanish name.
+     * @param {object} filters - Same filters as search(), e.g. { course: 'dessert' }
+     * @param {object} options - { sortBy: 'relevance' | 'price-asc' | 'price-desc' }
+     */
+    browse(filters = {}, preferencesManager = null, options = {}) {
+        if (!this.dataManager.isLoaded) {
+            return { results: [], totalMatches: 0 };
+        }
+        
+        const results = this.sortResults(
+            this.applyFilters(this.getAllResults(), filters, preferencesManager),
+            options.sortBy || 'relevance'
+        );
+        
+        return {
+            results,
+            totalMatches: results.length
+        };
+    }
+    
+    /**
+     * Wrap every menu item as an unscored result, sorted by Spanish name
+     */
+    getAllResults() {
+        return this.dataManager.getMenuItems()
+            .slice()
+            .sort((a, b) => a.spanishName.localeCompare(b.spanishName, 'es'))
+            .map(item => ({
+                item,
+                score: 0,
+                maxScore: 0,
+                bestMatchType: null,
+                bestMatchLanguage: null,
+                matchCount: 0,
+                matchDetails: [],
+                matchedIngredients: []
+            }));
+    }
+    
+    /**
+     * Look up every dish on a whole menu, e.g. pasted from a restaurant website.
+     * Each candidate line from splitMenuText() is matched against the dataset, with
+     * a confidence (0-1) for how well the matched dish's names cover the line.
+     * @param {string} text - Menu text, one dish per line
+     * @param {object} options - { minConfidence: lines below it count as unmatched }
+     * @returns {object} {
+     *   lines: every candidate line in menu order, { lineNumber, line, text, price, section, item, confidence },
+     *   matched: lines with an item,
+     *   unmatched: lines without one
+     * }
+     */
+    lookupMenuText(text, options = {}) {
+        const minConfidence = options.minConfidence ?? this.config.menuLineThreshold;
+        
+        if (!this.indexBuilt) {
+            this.buildSearchIndex();
+        }
+        
+        const lines = splitMenuText(text).map(line => {
+            const best = this.matchMenuLine(line.text);
+            const isMatch = best !== null && best.confidence >= minConfidence;
+            return {
+                ...line,
+                item: isMatch ? best.item : null,
+                confidence: best ? best.confidence : 0
+            };
+        });
+        
+        return {
+            lines,
+            matched: lines.filter(line => line.item),
+            unmatched: lines.filter(line => !line.item)
+        };
+    }
+    
+    /**
+     * Best dish for one menu line: the top search candidates compared by confidence.
+     * Menu lines are matched as plain text, so "-" or quotes in them are not read as operators.
+     * @returns {object|null} { item, confidence, score }
+     */
+    matchMenuLine(text) {
+        const query = normalizeTerm(text);
+        if (!query) return null;
+        
+        const candidates = this.scoreAndRankResults(this.findMatches(query, phoneticKey(text)), query)
+            .slice(0, this.config.menuLineCandidates);
+        
+        return candidates.reduce((best, result) => {
+            const confidence = this.getLineConfidence(text, result.item);
+            return !best || confidence > best.confidence
+                ? { item: result.item, confidence, score: result.score }
+                : best;
+        }, null);
+    }
+    
+    /**
+     * How well one of an item's names covers a menu line (0-1), from the share of name
+     * words found in the line and the share of line words found in the name. Menus add
+     * words like "caseras", so the name being on the line counts four times as much (F2 score).
+     * Words are compared spelled and as they sound, so "sarsuela" covers "Zarzuela".
+     * Unless more than half of the line or of the name is covered, the two only share a
+     * word like "leche" or "romana" and the confidence is 0 ("Café con leche" is not "Leche Frita").
+     */
+    getLineConfidence(text, item) {
+        const names = [
+            item.spanishName,
+            item.englishName,
+            ...(item.aliases || []),
+            ...this.getTranslationLanguages(item).map(translation => translation.name)
+        ].filter(Boolean);
+        const wordForms = (value) => [tokenize(value), phoneticKey(value).split(' ').filter(Boolean)];
+        const [lineWords, linePhonetic] = wordForms(text);
+        
+        const found = (words, others) => words.filter(word => others.some(other => this.wordsMatch(word, other))).length;
+        const coverage = (words, nameWords) => {
+            if (words.length === 0 || nameWords.length === 0) return 0;
+            const precision = found(words, nameWords) / words.length;
+            const recall = found(nameWords, words) / nameWords.length;
+            if (Math.max(precision, recall) <= this.config.menuLineMinCoverage) return 0;
+            return precision + recall > 0 ? (5 * precision * recall) / (4 * precision + recall) : 0;
+        };
+        
+        return names.reduce((best, name) => {
+            const [nameWords, namePhonetic] = wordForms(name);
+            return Math.max(best, coverage(lineWords, nameWords), coverage(linePhonetic, namePhonetic));
+        }, 0);
+    }
+    
+    /**
+     * Whether two normalized words are the same word, allowing small typos in longer words
+     */
+    wordsMatch(a, b) {
+        if (a === b) return true;
+        return Math.min(a.length, b.length) >= 4 && this.calculateSimilarity(a, b) >= 0.8;
+    }
+    
+    /**
+     * Split ingredient exclusions off a query.
+     * After an exclusion word the longest run of up to three words naming a known
+     * ingredient is excluded ("no olive oil" -> olive oil). Food groups such as
+     * "sin marisco" become dietary filters first, and anything else is reported as
+     * unmatched so it is not searched for by mistake. Every exclusion also gets an
+     * "exclude" chip, shaped like the ones parseQueryOperators() makes for "-term".
+     * @returns {object} { query, excludedIngredients, exclusionFilters, unmatchedExclusions, chips }
+     */
+    parseExclusions(query) {
+        const words = query.split(/\s+/).filter(word => word.length > 0);
+        const kept = [];
+        const excludedIngredients = [];
+        const exclusionFilters = {};
+        const unmatchedExclusions = [];
+        const chips = [];
+        
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            
+            if (!EXCLUSION_WORDS.has(word) || i === words.length - 1) {
+                kept.push(word);
+                continue;
+            }
+            
+            const nextWord = words[i + 1].replace(/[^\p{L}\p{N}]+$/u, '');
+            const dietaryFilter = DIETARY_EXCLUSIONS[normalizeText(nextWord)];
+            
+            if (dietaryFilter) {
+                exclusionFilters[dietaryFilter] = true;
+                chips.push({ type: 'exclude', value: nextWord, raw: words.slice(i, i + 2).join(' '), filter: dietaryFilter });
+                i += 1;
+                continue;
+            }
+            
+            let consumed = 0;
+            for (let length = Math.min(MAX_INGREDIENT_WORDS, words.length - i - 1); length > 0; length--) {
+                const term = words.slice(i + 1, i + 1 + length).join(' ');
+                const keys = this.resolveIngredientTerm(term);
+                if (keys.length > 0) {
+                    excludedIngredients.push(...keys.filter(key => !excludedIngredients.includes(key)));
+                    chips.push({ type: 'exclude', value: term, raw: words.slice(i, i + 1 + length).join(' '), ingredients: keys });
+                    consumed = length;
+                    break;
+                }
+            }
+            
+            if (consumed === 0) {
+                unmatchedExclusions.push(nextWord);
+                chips.push({ type: 'exclude', value: nextWord, raw: words.slice(i, i + 2).join(' '), unmatched: true });
+                consumed = 1;
+            }
+            
+            i += consumed;
+        }
+        
+        return {
+            query: kept.join(' ').replace(/^[\s,]+|[\s,]+$/g, ''),
+            excludedIngredients,
+            exclusionFilters,
+            unmatchedExclusions,
+            chips
+        };
+    }
+    
+    /**
+     * Parse query operators with parseQuery() and resolve "-term" exclusions to a
+     * dietary filter ("-pork") or ingredient keys ("-cebolla"). Exclusion chips get
+     * the resolved `filter` or `ingredients`, or `unmatched: true`.
+     * @returns {object} { text, filters, phrases, chips }
+     */
+    parseQueryOperators(query) {
+        const { text, filters, phrases, chips } = parseQuery(query);
+        
+        chips.filter(chip => chip.type === 'exclude').forEach(chip => {
+            const dietaryFilter = DIETARY_EXCLUSIONS[normalizeText(chip.value)];
+            if (dietaryFilter) {
+                filters[dietaryFilter] = true;
+                chip.filter = dietaryFilter;
+                return;
+            }
+            
+            const keys = this.resolveIngredientTerm(chip.value);
+            if (keys.length > 0) {
+                filters.excludeIngredients = [...new Set([...(filters.excludeIngredients || []), ...keys])];
+                chip.ingredients = keys;
+            } else {
+                chip.unmatched = true;
+            }
+        });
+        
+        return { text, filters, phrases, chips };
+    }
+    
+    /**
+     * Combine filter objects so every set still holds: exclusion lists such as
+     * excludeIngredients and excludeAllergens add up, the lowest price ceiling wins
+     * and course, category and region keep only the values every set allows
+     * ("course:tapa" with the dessert facet matches nothing).
+     */
+    mergeFilters(...filterSets) {
+        const toList = value => (value === undefined || value === null ? [] : [].concat(value));
+        
+        return filterSets.reduce((merged, filters) => {
+            Object.entries(filters || {}).forEach(([key, value]) => {
+                if (TAXONOMIES[key]) {
+                    const wanted = toList(value);
+                    if (wanted.length === 0) return;
+                    if (!merged[key]) {
+                        merged[key] = wanted;
+                        return;
+                    }
+                    const allowed = wanted.filter(entry => merged[key].includes(entry));
+                    // [null] matches no item, while an empty list would mean no filter
+                    merged[key] = allowed.length > 0 ? allowed : [null];
+                } else if (Array.isArray(value)) {
+                    if (value.length > 0) {
+                        merged[key] = [...new Set([...(merged[key] || []), ...value])];
+                    }
+                } else if (key === 'maxPrice' && merged.maxPrice) {
+                    merged.maxPrice = Math.min(merged.maxPrice, value);
+                } else {
+                    merged[key] = value;
+                }
+            });
+            return merged;
+        }, {});
+    }
+    
+    /**
+     * Check that an item's names, aliases or descriptions contain every quoted phrase
+     */
+    matchesPhrases(item, phrases) {
+        if (!phrases || phrases.length === 0) return true;
+        
+        const texts = [
+            item.spanishName,
+            item.englishName,
+            item.description,
+            ...(item.aliases || []),
+            ...Object.values(item.translations || {}).flatMap(entry => [entry.name, entry.description])
+        ].filter(Boolean);
+        
+        return phrases.every(phrase => texts.some(text => containsPhrase(text, phrase)));
+    }
+    
+    /**
+     * Find ingredient keys known by a name, tolerating a plural "s"/"es"
+     */
+    resolveIngredientTerm(term) {
+        const normalized = normalizeText(term);
+        if (normalized.length < 2) return [];
+        
+        const candidates = [normalized, `${normalized}s`, `${normalized}es`];
+        if (normalized.endsWith('s')) candidates.push(normalized.slice(0, -1));
+        if (normalized.endsWith('es')) candidates.push(normalized.slice(0, -2));
+        
+        const keys = new Set();
+        candidates.forEach(candidate => {
+            (this.ingredientTerms.get(candidate) || []).forEach(key => keys.add(key));
+        });
+        
+        return Array.from(keys);
+    }
+    
+    /**
+     * Sort filtered results; relevance keeps the score order.
+     * Dishes without a numeric price are placed after priced ones.
+     */
+    sortResults(results, sortBy = 'relevance') {
+        if (sortBy !== 'price-asc' && sortBy !== 'price-desc') {
+            return results;
         }
-        return null;
+        
+        const direction = sortBy === 'price-asc' ? 1 : -1;
+        const priceOf = (item) => sortBy === 'price-asc' ? this.getMinPrice(item) : this.getMaxPrice(item);
+        
+        return [...results].sort((a, b) => {
+            const priceA = priceOf(a.item);
+            const priceB = priceOf(b.item);
+            
+            if (priceA === null && priceB === null) return b.score - a.score;
+            if (priceA === null) return 1;
+            if (priceB === null) return -1;
+            
+            return (priceA - priceB) * direction || b.score - a.score;
+        });
     }
     
     /**
-     * Generate search suggestions
+     * Get the lowest price of an item from its structured price, or null if unknown
      */
-    generateSuggestions(query, matches) {
+    getMinPrice(item) {
+        return item.price && item.price.min !== null ? item.price.min : null;
+    }
+    
+    /**
+     * Get the highest price of an item from its structured price, or null if unknown
+     */
+    getMaxPrice(item) {
+        return item.price && item.price.max !== null ? item.price.max : null;
+    }
+    
+    /**
+     * Extract maximum price from a price range string such as "€12-15" or "12,50 €"
+     */
+    extractMaxPrice(priceRange) {
+        return this.getMaxPrice({ price: parsePrice(priceRange) });
+    }
+    
+    /**
+     * Generate search suggestions. Earlier searches and names of liked dishes come first.
+     * @param {string} query - Query already passed through normalizeTerm()
+     * @param {object} preferencesManager - Optional; suggestions naming liked dishes are boosted
+     */
+    generateSuggestions(query, matches, preferencesManager = null) {
         const suggestions = new Set();
-        const queryWords = this.extractWords(query);
+        const liked = new Set(); // suggestions naming a liked dish
+        const queryWords = query.split(' ');
+        const isLiked = (item) => Boolean(preferencesManager && preferencesManager.isLiked(item.id));
         
-        // Get suggestions from index terms
-        for (const [term, entries] of this.searchIndex.entries()) {
+        // Earlier searches that continue the query
+        this.getHistoryMatches(query)
+            .slice(0, this.config.maxSuggestions)
+            .forEach(({ query: text }) => suggestions.add(text));
+        
+        // Get suggestions from index terms, shown in their original spelling.
+        // Prefix matches of any length count, so candidates are not length-filtered.
+        for (const [term, entries] of this.getCandidateTerms([query, ...queryWords], 0)) {
             if (suggestions.size >= this.config.maxSuggestions) break;
             
             // Skip if term is too short or exactly matches query
             if (term.length < 2 || term === query) continue;
             
-            // Check if term starts with query or any query word
+            // Check if term starts with query or any query word, or is similar enough otherwise
             const startsWithQuery = term.startsWith(query) || 
                 queryWords.some(word => term.startsWith(word));
+            const isSimilar = startsWithQuery ||
+                this.calculateSimilarity(query, term) >= this.config.fuzzyThreshold + 0.2; // Higher threshold for suggestions
             
-            if (startsWithQuery) {
-                suggestions.add(term);
-                continue;
-            }
-            
-            // Check similarity for fuzzy suggestions
-            const similarity = this.calculateSimilarity(query, term);
-            if (similarity >= this.config.fuzzyThreshold + 0.2) { // Higher threshold for suggestions
-                suggestions.add(term);
+            if (isSimilar) {
+                const text = this.getDisplayText(term, entries);
+                suggestions.add(text);
+                if (entries.some(entry => isLiked(entry.item))) {
+                    liked.add(text);
+                }
             }
         }
         
@@ -466,28 +1293,94 @@ export class SearchEngine {
         matches.slice(0, 3).forEach(match => {
             if (suggestions.size >= this.config.maxSuggestions) return;
             
-            suggestions.add(match.item.spanishName.toLowerCase());
-            suggestions.add(match.item.englishName.toLowerCase());
+            const names = [match.item.spanishName.toLowerCase(), match.item.englishName.toLowerCase()];
+            names.forEach(name => {
+                suggestions.add(name);
+                if (isLiked(match.item)) {
+                    liked.add(name);
+                }
+            });
         });
         
         return Array.from(suggestions)
             .slice(0, this.config.maxSuggestions)
             .sort((a, b) => {
-                // Prioritize terms that start with the query
-                const aStarts = a.startsWith(query);
-                const bStarts = b.startsWith(query);
+                // Prioritize earlier searches and liked dishes
+                const boost = this.getSuggestionBoost(b, liked.has(b)) - this.getSuggestionBoost(a, liked.has(a));
+                if (boost !== 0) return boost;
+                
+                // Then terms that start with the query
+                const aStarts = normalizeTerm(a).startsWith(query);
+                const bStarts = normalizeTerm(b).startsWith(query);
                 if (aStarts && !bStarts) return -1;
                 if (!aStarts && bStarts) return 1;
                 return a.length - b.length; // Shorter terms first
             });
     }
     
+    /**
+     * Replace the search history suggestions are boosted by
+     * @param {Array} entries - { query, count } per past search, as kept by SearchHistory
+     */
+    setSearchHistory(entries = []) {
+        this.searchHistory = new Map();
+        entries.forEach(({ query, count }) => {
+            const key = normalizeTerm(query || '');
+            if (!key) return;
+            
+            const previous = this.searchHistory.get(key);
+            this.searchHistory.set(key, {
+                query: previous ? previous.query : query,
+                count: (previous ? previous.count : 0) + (count || 1)
+            });
+        });
+        this.clearCache();
+    }
+    
+    /**
+     * Past searches that continue a query, most frequent first
+     * @param {string} query - Query already passed through normalizeTerm()
+     */
+    getHistoryMatches(query) {
+        return Array.from(this.searchHistory.entries())
+            .filter(([key]) => key !== query && key.startsWith(query))
+            .map(([, entry]) => entry)
+            .sort((a, b) => b.count - a.count);
+    }
+    
+    /**
+     * How far a suggestion moves up for having been searched before or naming a liked dish
+     */
+    getSuggestionBoost(text, isLiked = false) {
+        const entry = this.searchHistory.get(normalizeTerm(text));
+        const historyBoost = entry ? this.config.historySuggestionBoost * Math.log2(1 + entry.count) : 0;
+        return historyBoost + (isLiked ? this.config.likedSuggestionBoost : 0);
+    }
+    
+    /**
+     * Original lowercase text of an index term, falling back to the normalized key
+     */
+    getDisplayText(term, entries) {
+        const entry = entries.find(candidate => candidate.text);
+        return entry ? entry.text.toLowerCase() : term;
+    }
+    
+    /**
+     * Set the UI language whose matches are boosted
+     */
+    setLanguage(language) {
+        if (!language || language === this.language) return;
+        
+        this.language = language;
+        this.clearCache();
+    }
+    
     /**
      * Get cache key for result caching
      */
-    getCacheKey(query, filters) {
+    getCacheKey(query, filters, sortBy = 'relevance', profileKey = '', explain = false) {
         const filterStr = JSON.stringify(filters);
-        return `${query}|${filterStr}`;
+        return `${query}|${filterStr}|${sortBy}|${profileKey}${explain ? '|explain' : ''}`;
     }
     
     /**
@@ -500,11 +1393,10 @@ export class SearchEngine {
             this.searchCache.delete(firstKey);
         }
         
+        // Everything but the timing, so a cache hit also has the parsed query and filters
+        const { searchTime, ...cached } = result;
         this.searchCache.set(key, {
-            results: result.results,
-            suggestions: result.suggestions,
-            query: result.query,
-            totalMatches: result.totalMatches,
+            ...cached,
             cachedAt: Date.now()
         });
     }
@@ -527,6 +1419,33 @@ export class SearchEngine {
         console.log('🗑️ Search cache cleared');
     }
     
+    /**
+     * Change config values for tuning. Unknown keys are ignored, cached results
+     * are dropped and index entries take changed type weights straight away.
+     * @param {object} changes - { configKey: value }
+     * @returns {object} A copy of the config after the change
+     */
+    setConfig(changes = {}) {
+        const changed = Object.keys(changes)
+            .filter(key => key in this.config && this.config[key] !== changes[key]);
+        
+        changed.forEach(key => {
+            this.config[key] = changes[key];
+        });
+        
+        if (changed.some(key => INDEX_WEIGHT_KEYS.includes(key))) {
+            this.searchIndex.forEach(entries => entries.forEach(entry => {
+                entry.weight = this.getTypeWeight(entry.type);
+            }));
+        }
+        
+        if (changed.length > 0) {
+            this.clearCache();
+        }
+        
+        return { ...this.config };
+    }
+    
     /**
      * Get search statistics
      */
@@ -550,34 +1469,108 @@ export class SearchEngine {
     }
     
     /**
-     * Get autocomplete suggestions (faster, simpler version)
+     * Serialize the search index for the data cache. Entries refer to items by ID,
+     * and weights are left out so they follow the current config when restored.
+     */
+    serializeIndex() {
+        return {
+            version: INDEX_FORMAT_VERSION,
+            itemCount: this.dataManager.getMenuItems().length,
+            terms: Array.from(this.searchIndex, ([term, entries]) => [
+                term,
+                entries.map(({ item, weight, ...entry }) => ({ ...entry, id: item.id }))
+            ]),
+            ingredientTerms: Array.from(this.ingredientTerms, ([name, keys]) => [name, Array.from(keys)])
+        };
+    }
+    
+    /**
+     * Restore an index produced by serializeIndex() instead of building it
+     * @returns {boolean} False, leaving the current index untouched, when the data does not fit the loaded items
+     */
+    loadSerializedIndex(data) {
+        if (!data || data.version !== INDEX_FORMAT_VERSION || !Array.isArray(data.terms)) {
+            return false;
+        }
+        
+        const menuItems = this.dataManager.getMenuItems();
+        if (data.itemCount !== menuItems.length) return false;
+        
+        const itemsById = new Map(menuItems.map(item => [item.id, item]));
+        const searchIndex = new Map();
+        
+        for (const [term, entries] of data.terms) {
+            const restored = [];
+            for (const { id, ...entry } of entries) {
+                const item = itemsById.get(id);
+                if (!item) return false;
+                restored.push({ item, ...entry, weight: this.getTypeWeight(entry.type) });
+            }
+            searchIndex.set(term, restored);
+        }
+        
+        this.searchIndex = searchIndex;
+        this.ngramIndex.clear();
+        this.phoneticIndex.clear();
+        searchIndex.forEach((entries, term) => {
+            this.ngramIndex.add(term);
+            entries.forEach(entry => this.addPhoneticTerm(term, entry.text));
+        });
+        this.ingredientTerms = new Map((data.ingredientTerms || []).map(([name, keys]) => [name, new Set(keys)]));
+        this.indexBuilt = true;
+        this.clearCache();
+        
+        console.log(`⚡ Search index restored with ${this.searchIndex.size} unique terms`);
+        return true;
+    }
+    
+    /**
+     * Get autocomplete suggestions (faster, simpler version). Earlier searches and
+     * names of liked dishes come first.
+     * @param {object} preferencesManager - Optional; suggestions naming liked dishes are boosted
      */
-    getAutocompleteSuggestions(query, limit = 5) {
+    getAutocompleteSuggestions(query, limit = 5, preferencesManager = null) {
         if (!query || query.trim().length === 0) {
             return [];
         }
         
-        const cleanQuery = query.trim().toLowerCase();
-        const suggestions = new Set();
+        const cleanQuery = normalizeTerm(query);
+        const suggestions = new Map(); // display text -> suggestion
+        
+        // Earlier searches that continue the query
+        this.getHistoryMatches(cleanQuery).slice(0, limit).forEach(entry => {
+            suggestions.set(entry.query, {
+                text: entry.query,
+                context: null,
+                type: 'history',
+                count: entry.count
+            });
+        });
+        const historySize = suggestions.size;
         
-        // Quick lookup for terms that start with the query
+        // Quick lookup for terms that start with the query; liked dishes may be anywhere in the index
         for (const [term, entries] of this.searchIndex.entries()) {
-            if (suggestions.size >= limit) break;
+            if (!preferencesManager && suggestions.size >= limit + historySize) break;
             
             if (term.startsWith(cleanQuery) && term !== cleanQuery) {
                 // Get the first item that matches to show context
                 const firstEntry = entries[0];
-                if (firstEntry) {
-                    suggestions.add({
-                        text: term,
+                const text = this.getDisplayText(term, entries);
+                if (firstEntry && !suggestions.has(text)) {
+                    suggestions.set(text, {
+                        text,
                         context: firstEntry.item.spanishName,
-                        type: firstEntry.type
+                        type: firstEntry.type,
+                        isLiked: Boolean(preferencesManager) &&
+                            entries.some(entry => preferencesManager.isLiked(entry.item.id))
                     });
                 }
             }
         }
         
-        return Array.from(suggestions).slice(0, limit);
+        return Array.from(suggestions.values())
+            .sort((a, b) => this.getSuggestionBoost(b.text, b.isLiked) - this.getSuggestionBoost(a.text, a.isLiked))
+            .slice(0, limit);
     }
 }
 
@@ -3,6 +3,8 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { SearchEngine } from './searchEngine.js';
+import { parsePrice } from './dataManager.js';
 
 // Mock DataManager for testing
 class MockDataManager {
@@ -665,4 +667,967 @@ describe('SearchEngine Integration', () => {
         const suggestions = searchEngine.getAutocompleteSuggestions('jamón');
         expect(suggestions.length).toBeGreaterThanOrEqual(0);
     });
-});
\ No newline at end of file
+});
+
+describe('SearchEngine Allergen Filters', () => {
+    let searchEngine;
+    let results;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        searchEngine = new SearchEngine(dataManager);
+        results = [
+            { item: { id: '1', spanishName: 'Croquetas', allergens: { gluten: true, milk: true } } },
+            { item: { id: '2', spanishName: 'Gazpacho', allergens: { gluten: false, milk: false } } },
+            { item: { id: '3', spanishName: 'Sin datos', allergens: { gluten: null, milk: null } } }
+        ];
+    });
+    
+    test('should exclude items containing an excluded allergen', () => {
+        const filtered = searchEngine.applyFilters(results, { excludeAllergens: ['gluten'] });
+        expect(filtered.map(r => r.item.spanishName)).toEqual(['Gazpacho']);
+    });
+    
+    test('should keep all items when no allergens are excluded', () => {
+        const filtered = searchEngine.applyFilters(results, { excludeAllergens: [] });
+        expect(filtered).toHaveLength(3);
+    });
+});
+
+describe('SearchEngine Price Filtering and Sorting', () => {
+    let searchEngine;
+    
+    const item = (id, value) => ({
+        id,
+        spanishName: `Tapa ${id}`,
+        englishName: `Tapa ${id}`,
+        description: 'Small plate',
+        price: parsePrice(value)
+    });
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            item('a', '€12-18'),
+            item('b', '8,50 €'),
+            item('c', 'S/M'),
+            item('d', ''),
+            item('e', '€4-6')
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const ids = (query, filters, options) =>
+        searchEngine.search(query, filters, null, options).results.map(r => r.item.id);
+    
+    test('should filter on the structured maximum price', () => {
+        expect(ids('tapa', { maxPrice: 10 }).sort()).toEqual(['b', 'd', 'e']);
+    });
+    
+    test('should sort by price with unpriced items last', () => {
+        const ascending = ids('tapa', {}, { sortBy: 'price-asc' });
+        
+        expect(ascending.slice(0, 3)).toEqual(['e', 'b', 'a']);
+        expect(ascending.slice(3).sort()).toEqual(['c', 'd']);
+        expect(ids('tapa', {}, { sortBy: 'price-desc' }).slice(0, 3)).toEqual(['a', 'b', 'e']);
+    });
+    
+    test('should cache results per sort order', () => {
+        ids('tapa', {}, { sortBy: 'price-asc' });
+        
+        expect(ids('tapa', {}, { sortBy: 'price-desc' })[0]).toBe('a');
+    });
+    
+    test('should extract the maximum price from a price string', () => {
+        expect(searchEngine.extractMaxPrice('€12-15')).toBe(15);
+        expect(searchEngine.extractMaxPrice('9,50 €')).toBe(9.5);
+        expect(searchEngine.extractMaxPrice('S/M')).toBeNull();
+    });
+});
+
+describe('SearchEngine Course, Category and Region', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'flan', spanishName: 'Flan', englishName: 'Caramel Custard', course: 'dessert', category: 'sweets', region: null },
+            { id: 'fabada', spanishName: 'Fabada Asturiana', englishName: 'Asturian Bean Stew', course: 'main', category: 'stews', region: 'asturias' },
+            { id: 'arroz-con-leche', spanishName: 'Arroz con Leche', englishName: 'Rice Pudding', course: 'dessert', category: 'sweets', region: 'asturias' }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should filter search results by course, category and region', () => {
+        const ids = (filters) => searchEngine.search('arroz', filters).results.map(r => r.item.id);
+        
+        expect(ids({ course: 'dessert' })).toEqual(['arroz-con-leche']);
+        expect(ids({ category: ['stews'] })).toEqual([]);
+        expect(ids({ region: 'asturias', course: [] })).toEqual(['arroz-con-leche']);
+    });
+    
+    test('should browse without a query, sorted by Spanish name', () => {
+        const { results, totalMatches } = searchEngine.browse({ course: 'dessert' });
+        
+        expect(totalMatches).toBe(2);
+        expect(results.map(r => r.item.id)).toEqual(['arroz-con-leche', 'flan']);
+    });
+    
+    test('should apply preference filters when browsing', () => {
+        const preferencesManager = { isLiked: (id) => id === 'fabada', isDisliked: () => false };
+        const { results } = searchEngine.browse({ region: 'asturias', showOnlyLiked: true }, preferencesManager);
+        
+        expect(results.map(r => r.item.id)).toEqual(['fabada']);
+    });
+});
+
+describe('SearchEngine Aliases', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            {
+                id: 'pan-con-tomate',
+                spanishName: 'Pan con Tomate',
+                englishName: 'Bread with Tomato',
+                description: 'Toasted bread rubbed with tomato',
+                aliases: ['Pa amb Tomàquet', 'Pan Tumaca']
+            },
+            {
+                id: 'gazpacho',
+                spanishName: 'Gazpacho',
+                englishName: 'Cold Soup',
+                description: 'Cold tomato soup'
+            }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should index aliases as pointers to the canonical item', () => {
+        const entries = searchEngine.searchIndex.get('pa amb tomaquet');
+        
+        expect(entries).toHaveLength(1);
+        expect(entries[0].type).toBe('alias');
+        expect(entries[0].item.id).toBe('pan-con-tomate');
+    });
+    
+    test('should find the canonical item by alias', () => {
+        const { results } = searchEngine.search('pan tumaca');
+        
+        expect(results[0].item.id).toBe('pan-con-tomate');
+        expect(results.filter(r => r.item.id === 'pan-con-tomate')).toHaveLength(1);
+    });
+    
+    test('should handle items without aliases', () => {
+        const { results } = searchEngine.search('gazpacho');
+        
+        expect(results[0].item.id).toBe('gazpacho');
+    });
+});
+
+describe('SearchEngine Ingredients', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'revuelto', spanishName: 'Revuelto de Setas', englishName: 'Scrambled Eggs with Mushrooms', ingredients: ['eggs', 'mushrooms'] },
+            { id: 'cocido', spanishName: 'Cocido Madrileño', englishName: 'Madrid Stew', ingredients: ['chickpeas', 'chorizo'] },
+            { id: 'tortilla', spanishName: 'Tortilla Española', englishName: 'Spanish Omelette', ingredients: ['eggs', 'potatoes', 'onion'] },
+            { id: 'paella', spanishName: 'Paella de Marisco', englishName: 'Seafood Paella', ingredients: ['rice', 'prawns'], hasSeafood: true }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should find dishes by ingredient and report the matched ingredient', () => {
+        const { results } = searchEngine.search('chickpeas');
+        
+        expect(results[0].item.id).toBe('cocido');
+        expect(results[0].matchedIngredients).toEqual(['chickpeas']);
+    });
+    
+    test('should exclude ingredients with "no" and "sin"', () => {
+        const noOnion = searchEngine.search('eggs no onion');
+        
+        expect(noOnion.results.map(r => r.item.id)).toEqual(['revuelto']);
+        expect(noOnion.excludedIngredients).toEqual(['onion']);
+        expect(searchEngine.search('tortilla sin onion').results.map(r => r.item.id)).not.toContain('tortilla');
+    });
+    
+    test('should list every other dish for a query that is only an exclusion', () => {
+        const { results } = searchEngine.search('without eggs');
+        
+        expect(results.map(r => r.item.id).sort()).toEqual(['cocido', 'paella']);
+    });
+    
+    test('should map food groups to dietary filters', () => {
+        const { results, exclusionFilters } = searchEngine.search('paella sin marisco');
+        
+        expect(exclusionFilters).toEqual({ noSeafood: true });
+        expect(results.map(r => r.item.id)).not.toContain('paella');
+    });
+    
+    test('should report exclusions that match no ingredient', () => {
+        const { results, unmatchedExclusions } = searchEngine.search('tortilla no truffle');
+        
+        expect(unmatchedExclusions).toEqual(['truffle']);
+        expect(results[0].item.id).toBe('tortilla');
+    });
+});
+
+describe('SearchEngine Index Serialization', () => {
+    let dataManager;
+    let searchEngine;
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'revuelto', spanishName: 'Revuelto de Setas', englishName: 'Scrambled Eggs with Mushrooms', description: 'Eggs scrambled with wild mushrooms', ingredients: ['eggs', 'mushrooms'] },
+            { id: 'pulpo', spanishName: 'Pulpo a la Gallega', englishName: 'Galician Octopus', aliases: ['Polbo á Feira'], ingredients: ['octopus'] }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should restore an index that returns the same results', () => {
+        const serialized = JSON.parse(JSON.stringify(searchEngine.serializeIndex()));
+        const restored = new SearchEngine(dataManager);
+        
+        expect(restored.loadSerializedIndex(serialized)).toBe(true);
+        expect(restored.searchIndex).toEqual(searchEngine.searchIndex);
+        expect(restored.ingredientTerms).toEqual(searchEngine.ingredientTerms);
+        expect(restored.search('polbo').results[0].item).toBe(dataManager.menuItems[1]);
+        expect(restored.search('no mushrooms').results.map(r => r.item.id)).toEqual(['pulpo']);
+    });
+    
+    test('should reject indexes that do not fit the loaded items', () => {
+        const serialized = searchEngine.serializeIndex();
+        const restored = new SearchEngine(dataManager);
+        
+        expect(restored.loadSerializedIndex(null)).toBe(false);
+        expect(restored.loadSerializedIndex({ ...serialized, version: 0 })).toBe(false);
+        
+        dataManager.menuItems = [dataManager.menuItems[0], { ...dataManager.menuItems[1], id: 'pulpo-gallega' }];
+        expect(restored.loadSerializedIndex(serialized)).toBe(false);
+        expect(restored.indexBuilt).toBe(false);
+    });
+});
+
+describe('SearchEngine Text Normalization', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'jamon-serrano', spanishName: 'Jamón Serrano', englishName: 'Serrano Ham' },
+            { id: 'croquetas', spanishName: 'Croquetas', englishName: 'Croquettes' },
+            { id: 'pulpo-a-la-gallega', spanishName: 'Pulpo a la Gallega', englishName: 'Galician Octopus' }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const topResult = (query) => searchEngine.search(query).results[0];
+    
+    test('should match accented names without accents', () => {
+        expect(topResult('jamon').item.id).toBe('jamon-serrano');
+        expect(topResult('jamon').matchDetails.some(score => score.isExact)).toBe(true);
+    });
+    
+    test('should treat singular and plural forms as exact matches', () => {
+        expect(topResult('croqueta').item.id).toBe('croquetas');
+        expect(topResult('croqueta').matchDetails.some(score => score.isExact)).toBe(true);
+    });
+    
+    test('should ignore articles and prepositions in queries', () => {
+        const withArticles = topResult('pulpo a la gallega');
+        const withoutArticles = topResult('pulpo gallega');
+        
+        expect(withoutArticles.item.id).toBe('pulpo-a-la-gallega');
+        expect(withoutArticles.score).toBeCloseTo(withArticles.score);
+    });
+    
+    test('should suggest terms in their original spelling', () => {
+        const suggestions = searchEngine.getAutocompleteSuggestions('jam');
+        
+        expect(suggestions.map(suggestion => suggestion.text)).toContain('jamón serrano');
+    });
+});
+
+describe('SearchEngine N-gram Candidates', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        searchEngine = new SearchEngine(new MockDataManager());
+        searchEngine.buildSearchIndex();
+    });
+    
+    const topResult = (query) => {
+        searchEngine.clearCache();
+        const [result] = searchEngine.search(query).results;
+        return result && result.item.id;
+    };
+    
+    test('should index every search term', () => {
+        expect(searchEngine.ngramIndex.size).toBe(searchEngine.searchIndex.size);
+    });
+    
+    test('should rank the same top result as a full scan', () => {
+        const queries = ['paela', 'gazpaco', 'jamon', 'tortila espanola', 'p'];
+        const indexed = queries.map(topResult);
+        
+        searchEngine.config.useNgramIndex = false;
+        
+        expect(queries.map(topResult)).toEqual(indexed);
+        expect(indexed[0]).toBe('1');
+    });
+    
+    test('should rebuild the n-gram index when restoring a serialized index', () => {
+        const data = searchEngine.serializeIndex();
+        const restored = new SearchEngine(new MockDataManager());
+        
+        expect(restored.loadSerializedIndex(data)).toBe(true);
+        expect(restored.ngramIndex.size).toBe(searchEngine.ngramIndex.size);
+        expect(restored.search('paela').results[0].item.id).toBe('1');
+    });
+});
+
+describe('SearchEngine Translations', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            {
+                id: 'albondigas',
+                spanishName: 'Albóndigas',
+                englishName: 'Meatballs',
+                description: 'Meatballs in tomato sauce',
+                translations: {
+                    en: { name: 'Meatballs', description: 'Meatballs in tomato sauce' },
+                    nl: { name: 'Gehaktballen', description: 'Gehaktballen in tomatensaus' },
+                    de: { name: 'Fleischbällchen' }
+                }
+            },
+            {
+                id: 'gambas-al-ajillo',
+                spanishName: 'Gambas al Ajillo',
+                englishName: 'Garlic Prawns',
+                description: 'Prawns sizzled in garlic oil',
+                translations: {
+                    en: { name: 'Garlic Prawns', description: 'Prawns sizzled in garlic oil' },
+                    nl: { name: 'Garnalen in knoflook', description: 'Garnalen in knoflookolie' }
+                }
+            },
+            {
+                id: 'agua-de-valencia',
+                spanishName: 'Agua de Valencia',
+                englishName: 'Valencia Water',
+                description: 'Cocktail with cava and orange juice',
+                translations: {
+                    en: { name: 'Valencia Water', description: 'Cocktail with cava and orange juice' },
+                    nl: { name: 'Valencia Water' }
+                }
+            }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const topResult = (query) => searchEngine.search(query).results[0];
+    
+    test('should find items by translated names and words', () => {
+        expect(topResult('gehaktballen').item.id).toBe('albondigas');
+        expect(topResult('fleischbällchen').item.id).toBe('albondigas');
+        expect(topResult('knoflook').item.id).toBe('gambas-al-ajillo');
+    });
+    
+    test('should report the matched language in matchDetails', () => {
+        const result = topResult('gehaktballen');
+        const exact = result.matchDetails.find(score => score.isExact);
+        
+        expect(exact.type).toBe('translation');
+        expect(exact.language).toBe('nl');
+        expect(result.bestMatchLanguage).toBe('nl');
+        expect(topResult('meatballs').matchDetails.find(score => score.isExact).language).toBe('en');
+    });
+    
+    test('should boost matches in the UI language', () => {
+        const englishScore = topResult('gehaktballen').score;
+        
+        searchEngine.setLanguage('nl');
+        
+        expect(topResult('gehaktballen').score).toBeGreaterThan(englishScore);
+    });
+    
+    test('should only boost the UI language', () => {
+        const englishScore = topResult('gehaktballen').score;
+        
+        searchEngine.setLanguage('fr');
+        
+        expect(topResult('gehaktballen').score).toBeCloseTo(englishScore);
+    });
+    
+    test('should not index translations that repeat the English name', () => {
+        const translationEntries = Array.from(searchEngine.searchIndex.values())
+            .flat()
+            .filter(entry => entry.item.id === 'agua-de-valencia' && entry.type === 'translation');
+        
+        expect(translationEntries).toHaveLength(0);
+    });
+    
+    test('should keep match languages when restoring a serialized index', () => {
+        const restored = new SearchEngine(searchEngine.dataManager);
+        restored.loadSerializedIndex(searchEngine.serializeIndex());
+        
+        expect(restored.search('gehaktballen').results[0].bestMatchLanguage).toBe('nl');
+    });
+});
+
+describe('SearchEngine Phonetic Matching', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'zarzuela', spanishName: 'Zarzuela', englishName: 'Seafood Stew' },
+            { id: 'sardinas', spanishName: 'Sardinas', englishName: 'Sardines' },
+            { id: 'huevos-rotos', spanishName: 'Huevos Rotos', englishName: 'Broken Eggs' },
+            { id: 'cebiche', spanishName: 'Cebiche', englishName: 'Marinated Raw Fish' }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const topResult = (query) => searchEngine.search(query).results[0];
+    
+    test('should find dishes by how they sound', () => {
+        expect(topResult('sarsuela').item.id).toBe('zarzuela');
+        expect(topResult('ceviche').item.id).toBe('cebiche');
+        expect(topResult('uevos rotos').item.id).toBe('huevos-rotos');
+    });
+    
+    test('should mark phonetic matches in matchDetails', () => {
+        const phonetic = topResult('sarsuela').matchDetails.find(score => score.isPhonetic);
+        
+        expect(phonetic.matchedTerm).toBe('zarzuel');
+        expect(phonetic.isExact).toBe(false);
+    });
+    
+    test('should rank phonetic matches below exact spellings', () => {
+        const exactScore = topResult('zarzuela').score;
+        const phoneticScore = topResult('sarsuela').score;
+        
+        expect(phoneticScore).toBeLessThan(exactScore);
+    });
+    
+    test('should weight phonetic matches by phoneticWeight', () => {
+        const defaultScore = topResult('sarsuela').score;
+        
+        searchEngine.config.phoneticWeight = 0.4;
+        searchEngine.clearCache();
+        
+        expect(topResult('sarsuela').score).toBeCloseTo(defaultScore / 2);
+    });
+    
+    test('should restore phonetic keys with a serialized index', () => {
+        const restored = new SearchEngine(searchEngine.dataManager);
+        restored.loadSerializedIndex(searchEngine.serializeIndex());
+        
+        expect(restored.search('sarsuela').results[0].item.id).toBe('zarzuela');
+        expect(restored.phoneticIndex.size).toBe(searchEngine.phoneticIndex.size);
+    });
+});
+
+describe('SearchEngine Query Operators', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'arroz-con-leche', spanishName: 'Arroz con Leche', englishName: 'Rice Pudding', course: 'dessert', isVegetarian: true, hasDairy: true, price: parsePrice('€4-5'), ingredients: ['rice', 'milk'] },
+            { id: 'arroz-con-pollo', spanishName: 'Arroz con Pollo', englishName: 'Chicken Rice', course: 'main', hasOtherMeat: true, price: parsePrice('€12-14'), ingredients: ['rice', 'chicken'] },
+            { id: 'arroz-negro', spanishName: 'Arroz Negro', englishName: 'Black Rice', course: 'main', hasSeafood: true, price: parsePrice('€14-16'), ingredients: ['rice', 'squid'] },
+            { id: 'croquetas-jamon', spanishName: 'Croquetas de Jamón', englishName: 'Ham Croquettes', course: 'tapa', hasPork: true, hasDairy: true, price: parsePrice('€6-8'), ingredients: ['ham', 'milk'] }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const ids = (query, filters) => searchEngine.search(query, filters).results.map(result => result.item.id);
+    
+    test('should require quoted phrases verbatim', () => {
+        expect(ids('"arroz con"').sort()).toEqual(['arroz-con-leche', 'arroz-con-pollo']);
+    });
+    
+    test('should apply dietary, price and course operators', () => {
+        expect(ids('arroz veg:')).toEqual(['arroz-con-leche']);
+        expect(ids('arroz <13€')).not.toContain('arroz-negro');
+        expect(ids('arroz course:main').sort()).toEqual(['arroz-con-pollo', 'arroz-negro']);
+    });
+    
+    test('should list every matching dish for a query of only operators', () => {
+        expect(ids('nodairy: course:main').sort()).toEqual(['arroz-con-pollo', 'arroz-negro']);
+    });
+    
+    test('should resolve exclusions to dietary filters or ingredients', () => {
+        const result = searchEngine.search('arroz -seafood -chicken -xyz');
+        const [seafood, chicken, unknown] = result.parsedQuery.chips;
+        
+        expect(result.results.map(r => r.item.id)).toEqual(['arroz-con-leche']);
+        expect(seafood.filter).toBe('noSeafood');
+        expect(chicken.ingredients).toEqual(['chicken']);
+        expect(unknown.unmatched).toBe(true);
+    });
+    
+    test('should combine operators with filters passed by the caller', () => {
+        expect(ids('arroz <15', { maxPrice: 13 })).not.toContain('arroz-con-pollo');
+        expect(ids('-pork', { excludeIngredients: ['chicken'] }).sort()).toEqual(['arroz-con-leche', 'arroz-negro']);
+        expect(searchEngine.search('arroz -pork sin chicken', { course: 'main' }).filters)
+            .toEqual({ course: ['main'], noPork: true, excludeIngredients: ['chicken'] });
+    });
+    
+    test('should merge filter sets as unions of exclusions and intersections of courses', () => {
+        expect(searchEngine.mergeFilters(
+            { excludeAllergens: ['gluten'], course: 'main', noPork: true },
+            { excludeAllergens: ['milk'], course: ['main', 'dessert'] },
+            { excludeIngredients: ['squid'], course: [] }
+        )).toEqual({ excludeAllergens: ['gluten', 'milk'], course: ['main'], noPork: true, excludeIngredients: ['squid'] });
+        
+        expect(ids('arroz course:main', { course: 'dessert' })).toEqual([]);
+        expect(ids('arroz course:main', { course: ['main', 'dessert'] }).sort()).toEqual(['arroz-con-pollo', 'arroz-negro']);
+    });
+    
+    test('should give natural-language exclusions removable chips', () => {
+        const { chips } = searchEngine.search('arroz -pork sin chicken no seafood without xyz').parsedQuery;
+        
+        expect(chips.map(chip => [chip.raw, chip.filter || chip.ingredients || chip.unmatched])).toEqual([
+            ['-pork', 'noPork'],
+            ['sin chicken', ['chicken']],
+            ['no seafood', 'noSeafood'],
+            ['without xyz', true]
+        ]);
+    });
+    
+    test('should return the parsed query with its chips', () => {
+        const { parsedQuery } = searchEngine.search('"arroz con" veg: <5');
+        
+        expect(parsedQuery.text).toBe('arroz con');
+        expect(parsedQuery.phrases).toEqual(['arroz con']);
+        expect(parsedQuery.chips.map(chip => chip.type)).toEqual(['phrase', 'filter', 'price']);
+    });
+    
+    test('should return the parsed query and filters from the cache too', () => {
+        const first = searchEngine.search('arroz -pork sin chicken course:main');
+        const second = searchEngine.search('arroz -pork sin chicken course:main');
+        
+        expect(searchEngine.stats.cacheHits).toBe(1);
+        expect(second.parsedQuery).toEqual(first.parsedQuery);
+        expect(second.filters).toEqual(first.filters);
+        expect(second.excludedIngredients).toEqual(['chicken']);
+    });
+});
+
+describe('SearchEngine Match Highlights', () => {
+    let searchEngine;
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            {
+                id: 'croquetas',
+                spanishName: 'Croquetas de Jamón',
+                englishName: 'Ham Croquettes',
+                description: 'Fried béchamel croquettes with cured ham'
+            },
+            {
+                id: 'zarzuela',
+                spanishName: 'Zarzuela',
+                englishName: 'Seafood Stew',
+                description: 'Catalan fish and shellfish stew with saffron'
+            }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    const highlighted = (field) => field.ranges.map(([start, end]) => field.text.slice(start, end));
+    
+    test('should return ranges for normalized matches', () => {
+        const { highlights } = searchEngine.search('croqueta jamon').results[0];
+        
+        expect(highlighted(highlights.spanishName)).toEqual(['Croquetas', 'Jamón']);
+        expect(highlights.spanishName.ranges).toEqual([[0, 9], [13, 18]]);
+    });
+    
+    test('should highlight description words that caused a match', () => {
+        const { item, highlights } = searchEngine.search('saffron').results[0];
+        
+        expect(item.id).toBe('zarzuela');
+        expect(highlighted(highlights.description)).toEqual(['saffron']);
+        expect(highlights.spanishName.ranges).toEqual([]);
+    });
+    
+    test('should highlight fuzzy and phonetic matches as the indexed word', () => {
+        expect(highlighted(searchEngine.search('sarsuela').results[0].highlights.spanishName)).toEqual(['Zarzuela']);
+        expect(highlighted(searchEngine.search('safron').results[0].highlights.description)).toEqual(['saffron']);
+    });
+    
+    test('should highlight the name in the UI language', () => {
+        dataManager.getTranslation = () => ({ name: 'Zeevruchtenstoof', description: 'Stoof met saffraan', language: 'nl' });
+        searchEngine.setLanguage('nl');
+        
+        const { highlights } = searchEngine.search('stew').results[0];
+        
+        expect(highlights.translation.text).toBe('Zeevruchtenstoof');
+        expect(highlights.translation.language).toBe('nl');
+    });
+    
+    test('should not highlight weak fuzzy matches', () => {
+        searchEngine.config.highlightThreshold = 1.1;
+        
+        expect(searchEngine.search('croquetas').results[0].highlights).toEqual({});
+    });
+});
+
+describe('SearchEngine Search History Suggestions', () => {
+    let searchEngine;
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'patatas', spanishName: 'Patatas Bravas', englishName: 'Spicy Potatoes', description: 'Fried potatoes' },
+            { id: 'pan', spanishName: 'Pan con Tomate', englishName: 'Tomato Bread', description: 'Toasted bread' },
+            { id: 'pulpo', spanishName: 'Pulpo a la Gallega', englishName: 'Galician Octopus', description: 'Boiled octopus' },
+            { id: 'pimientos', spanishName: 'Pimientos de Padrón', englishName: 'Padron Peppers', description: 'Fried green peppers' }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should put earlier searches first in autocomplete', () => {
+        searchEngine.setSearchHistory([{ query: 'pimientos de padrón', count: 1 }]);
+        
+        const suggestions = searchEngine.getAutocompleteSuggestions('p', 3);
+        
+        expect(suggestions[0]).toMatchObject({ text: 'pimientos de padrón', type: 'history', count: 1 });
+        expect(suggestions).toHaveLength(3);
+    });
+    
+    test('should order earlier searches by how often they were searched', () => {
+        searchEngine.setSearchHistory([
+            { query: 'pulpo', count: 1 },
+            { query: 'patatas bravas', count: 4 }
+        ]);
+        
+        const texts = searchEngine.getAutocompleteSuggestions('p', 5).map(suggestion => suggestion.text);
+        
+        expect(texts.slice(0, 2)).toEqual(['patatas bravas', 'pulpo']);
+    });
+    
+    test('should not suggest the exact query that was searched before', () => {
+        searchEngine.setSearchHistory([{ query: 'pulpo', count: 3 }]);
+        
+        const types = searchEngine.getAutocompleteSuggestions('pulpo', 5).map(suggestion => suggestion.type);
+        
+        expect(types).not.toContain('history');
+    });
+    
+    test('should boost names of liked dishes', () => {
+        const preferencesManager = { isLiked: (id) => id === 'pimientos', isDisliked: () => false };
+        
+        const plain = searchEngine.getAutocompleteSuggestions('p', 5);
+        const boosted = searchEngine.getAutocompleteSuggestions('p', 5, preferencesManager);
+        
+        expect(plain[0].text).not.toBe('pimientos de padrón');
+        expect(boosted[0]).toMatchObject({ text: 'pimientos de padrón', isLiked: true });
+    });
+    
+    test('should boost earlier searches and liked dishes in search suggestions', () => {
+        const preferencesManager = { isLiked: (id) => id === 'patatas', isDisliked: () => false };
+        searchEngine.setSearchHistory([{ query: 'pulpo a la gallega', count: 2 }]);
+        
+        const { suggestions } = searchEngine.search('p', {}, preferencesManager);
+        
+        expect(suggestions[0]).toBe('pulpo a la gallega');
+        expect(suggestions.slice(1, 4)).toEqual(['patatas', 'potatoes', 'patatas bravas']);
+    });
+    
+    test('should clear cached suggestions when the history changes', () => {
+        searchEngine.search('pul');
+        searchEngine.setSearchHistory([{ query: 'pulpo a la gallega', count: 1 }]);
+        
+        expect(searchEngine.search('pul').suggestions[0]).toBe('pulpo a la gallega');
+    });
+});
+
+describe('SearchEngine Personalized Ranking', () => {
+    let searchEngine;
+    let dataManager;
+    
+    const preferences = (liked = [], disliked = []) => ({
+        isLiked: (id) => liked.includes(id),
+        isDisliked: (id) => disliked.includes(id)
+    });
+    const rankedIds = (result) => result.results.map(r => r.item.id);
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'jamon', spanishName: 'Croquetas de Jamón', englishName: 'Ham Croquettes', description: 'Fried croquettes', category: 'fried-snacks', ingredients: ['ham', 'bechamel'], hasPork: true },
+            { id: 'bacalao', spanishName: 'Croquetas de Bacalao', englishName: 'Cod Croquettes', description: 'Fried croquettes', category: 'fish', ingredients: ['cod', 'bechamel'], hasSeafood: true },
+            { id: 'pollo', spanishName: 'Croquetas de Pollo', englishName: 'Chicken Croquettes', description: 'Fried croquettes', category: 'poultry', ingredients: ['chicken'], hasOtherMeat: true },
+            { id: 'pescaito', spanishName: 'Pescaíto Frito', englishName: 'Fried Fish', description: 'Fried small fish', category: 'fish', ingredients: ['hake'], hasSeafood: true },
+            { id: 'flamenquin', spanishName: 'Flamenquín', englishName: 'Fried Pork Roll', description: 'Pork loin rolled with ham', category: 'meat', ingredients: ['pork', 'ham'] }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should rank liked dishes up and disliked dishes down', () => {
+        const result = searchEngine.search('croquetas', {}, preferences(['pollo'], ['jamon']));
+        
+        expect(rankedIds(result)).toEqual(['pollo', 'bacalao', 'jamon']);
+        expect(result.results[0].personalization).toEqual({ boost: 1.5, reasons: [{ type: 'liked' }] });
+        expect(result.results[2].personalization).toEqual({ boost: 0.5, reasons: [{ type: 'disliked' }] });
+    });
+    
+    test('should boost dishes in the category and dietary profile of a liked dish', () => {
+        const result = searchEngine.search('croquetas', {}, preferences(['pescaito']));
+        const [top] = result.results;
+        
+        expect(top.item.id).toBe('bacalao');
+        expect(top.personalization.reasons).toEqual([
+            { type: 'category', category: 'fish', likedItem: 'Pescaíto Frito' },
+            { type: 'diet', likedItem: 'Pescaíto Frito' }
+        ]);
+        expect(top.personalization.boost).toBeCloseTo(1.2);
+    });
+    
+    test('should boost dishes sharing ingredients with liked dishes', () => {
+        const result = searchEngine.search('croquetas', {}, preferences(['flamenquin']));
+        const jamon = result.results.find(r => r.item.id === 'jamon');
+        
+        expect(rankedIds(result)[0]).toBe('jamon');
+        expect(jamon.personalization.reasons).toContainEqual({ type: 'ingredients', ingredients: ['ham'] });
+        expect(result.results.find(r => r.item.id === 'pollo').personalization).toBeUndefined();
+    });
+    
+    test('should leave the ranking alone when personalization is turned off', () => {
+        const plain = searchEngine.search('croquetas');
+        const off = searchEngine.search('croquetas', {}, preferences(['pollo'], ['jamon']), { personalize: false });
+        
+        expect(rankedIds(off)).toEqual(rankedIds(plain));
+        expect(off.results.every(r => r.personalization === undefined)).toBe(true);
+        
+        searchEngine.config.personalize = false;
+        expect(rankedIds(searchEngine.search('croquetas', {}, preferences(['pollo'])))).toEqual(rankedIds(plain));
+    });
+    
+    test('should not reuse cached rankings after preferences change', () => {
+        const liked = [];
+        const preferencesManager = { isLiked: (id) => liked.includes(id), isDisliked: () => false };
+        
+        expect(rankedIds(searchEngine.search('croquetas', {}, preferencesManager))[0]).toBe('jamon');
+        
+        liked.push('pollo');
+        expect(rankedIds(searchEngine.search('croquetas', {}, preferencesManager))[0]).toBe('pollo');
+    });
+});
+
+describe('SearchEngine Menu Lookup', () => {
+    let searchEngine;
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'croquetas', spanishName: 'Croquetas de Jamón', englishName: 'Ham Croquettes', description: 'Fried ham croquettes' },
+            { id: 'gambas', spanishName: 'Gambas al Ajillo', englishName: 'Garlic Prawns', description: 'Prawns in garlic oil' },
+            { id: 'pulpo', spanishName: 'Pulpo a la Gallega', englishName: 'Galician Octopus', description: 'Boiled octopus with paprika' },
+            { id: 'flan', spanishName: 'Flan', englishName: 'Caramel Custard', description: 'Egg custard with caramel' }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should match each menu line to a dish in menu order', () => {
+        const result = searchEngine.lookupMenuText('TAPAS\nCroquetas caseras de jamón 8,50\nGambas al ajillo ..... 12\nPostres\nFlan 4');
+        
+        expect(result.lines.map(line => line.item && line.item.id)).toEqual(['croquetas', 'gambas', 'flan']);
+        expect(result.lines.map(line => line.section)).toEqual(['TAPAS', 'TAPAS', 'Postres']);
+        expect(result.lines[1]).toMatchObject({ text: 'Gambas al ajillo', confidence: 1 });
+        expect(result.lines[1].price).toMatchObject({ min: 12 });
+        expect(result.matched).toHaveLength(3);
+    });
+    
+    test('should tolerate misspelled menu lines', () => {
+        const [line] = searchEngine.lookupMenuText('Pulpo a la galega').lines;
+        
+        expect(line.item.id).toBe('pulpo');
+        expect(line.confidence).toBeGreaterThan(0.5);
+    });
+    
+    test('should leave lines that are not dishes unmatched', () => {
+        const result = searchEngine.lookupMenuText('Flan\nPan y servicio de mesa\nTodos los precios incluyen IVA');
+        
+        expect(result.matched.map(line => line.item.id)).toEqual(['flan']);
+        expect(result.unmatched.map(line => line.text)).toEqual(['Pan y servicio de mesa', 'Todos los precios incluyen IVA']);
+        expect(result.unmatched.every(line => line.item === null)).toBe(true);
+    });
+    
+    test('should not match lines that only share one word with a dish', () => {
+        dataManager.menuItems.push(
+            { id: 'agua-de-valencia', spanishName: 'Agua de Valencia', englishName: 'Valencia Water' },
+            { id: 'leche-frita', spanishName: 'Leche Frita', englishName: 'Fried Milk' },
+            { id: 'queso-frito', spanishName: 'Queso Frito', englishName: 'Fried Cheese' },
+            { id: 'calamares', spanishName: 'Calamares a la Romana', englishName: 'Fried Squid Rings' }
+        );
+        searchEngine.buildSearchIndex();
+        
+        const result = searchEngine.lookupMenuText('Agua mineral\nCafé con leche\nTarta de queso\nMerluza a la romana\nCalamares');
+        
+        expect(result.unmatched.map(line => line.text)).toEqual(['Agua mineral', 'Café con leche', 'Tarta de queso', 'Merluza a la romana']);
+        expect(result.matched.map(line => line.item.id)).toEqual(['calamares']);
+    });
+    
+    test('should read menu lines as plain text, not query operators', () => {
+        const [line] = searchEngine.lookupMenuText('Gambas -ajillo-').lines;
+        
+        expect(line.item.id).toBe('gambas');
+    });
+    
+    test('should apply a custom confidence threshold', () => {
+        const strict = searchEngine.lookupMenuText('Croquetas caseras de jamón', { minConfidence: 0.95 });
+        
+        expect(strict.matched).toHaveLength(0);
+        expect(strict.unmatched[0].confidence).toBeGreaterThan(0);
+    });
+});
+
+describe('SearchEngine Score Explanation', () => {
+    let searchEngine;
+    let dataManager;
+    
+    beforeEach(() => {
+        dataManager = new MockDataManager();
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should only explain scores when asked', () => {
+        expect(searchEngine.search('paella').results[0].explanation).toBeUndefined();
+        expect(searchEngine.search('paella', {}, null, { explain: true }).results[0].explanation).toBeDefined();
+    });
+    
+    test('should break each matched term down into the steps of its score', () => {
+        const [result] = searchEngine.search('paella', {}, null, { explain: true }).results;
+        const [best] = result.explanation.terms;
+        
+        expect(best).toMatchObject({
+            term: 'paell',
+            type: 'spanish',
+            channel: 'spelled',
+            partialWord: false,
+            similarity: 1,
+            weight: searchEngine.config.spanishNameWeight,
+            exactBonus: searchEngine.config.exactMatchBonus,
+            wordStartBonus: searchEngine.config.wordStartBonus
+        });
+        expect(best.score).toBeCloseTo((best.base + best.exactBonus + best.wordStartBonus) *
+            best.partialWordFactor * best.phoneticFactor * best.languageFactor);
+    });
+    
+    test('should add up to the result score', () => {
+        const { results } = searchEngine.search('tortilla', {}, null, { explain: true });
+        
+        expect(results.length).toBeGreaterThan(0);
+        results.forEach(result => {
+            const { terms, totalScore, normalization, normalizedScore, personalBoost, score } = result.explanation;
+            expect(terms).toHaveLength(result.matchCount);
+            expect(terms.reduce((sum, term) => sum + term.score, 0)).toBeCloseTo(totalScore);
+            expect(normalization).toBeCloseTo(Math.sqrt(result.matchCount));
+            expect(normalizedScore * personalBoost).toBeCloseTo(score);
+            expect(score).toBeCloseTo(result.score);
+        });
+    });
+    
+    test('should mark phonetic matches by channel', () => {
+        const [result] = searchEngine.search('tortiya', {}, null, { explain: true }).results;
+        
+        expect(result.explanation.terms.some(term => term.channel === 'phonetic' && term.phoneticFactor === searchEngine.config.phoneticWeight)).toBe(true);
+    });
+    
+    test('should apply config changes to new searches', () => {
+        const before = searchEngine.search('paella').results[0].score;
+        const config = searchEngine.setConfig({ spanishNameWeight: 2, exactMatchBonus: 0.25, notAConfigKey: 1 });
+        const after = searchEngine.search('paella', {}, null, { explain: true }).results[0];
+        
+        expect(config).toMatchObject({ spanishNameWeight: 2, exactMatchBonus: 0.25 });
+        expect(config.notAConfigKey).toBeUndefined();
+        expect(after.explanation.terms[0]).toMatchObject({ weight: 2, exactBonus: 0.25 });
+        expect(after.score).not.toBe(before);
+    });
+});
+
+describe('SearchEngine Facets', () => {
+    let searchEngine;
+    
+    beforeEach(() => {
+        const dataManager = new MockDataManager();
+        dataManager.menuItems = [
+            { id: 'arroz-con-leche', spanishName: 'Arroz con Leche', englishName: 'Rice Pudding', course: 'dessert', isVegetarian: true, hasDairy: true, price: parsePrice('€4-5') },
+            { id: 'arroz-con-pollo', spanishName: 'Arroz con Pollo', englishName: 'Chicken Rice', course: 'main', hasOtherMeat: true, price: parsePrice('€12-14') },
+            { id: 'arroz-negro', spanishName: 'Arroz Negro', englishName: 'Black Rice', course: 'main', hasSeafood: true, price: parsePrice('S/M') },
+            { id: 'croquetas-jamon', spanishName: 'Croquetas de Jamón', englishName: 'Ham Croquettes', course: 'tapa', hasPork: true, hasDairy: true, price: parsePrice('€6-8') }
+        ];
+        searchEngine = new SearchEngine(dataManager);
+        searchEngine.buildSearchIndex();
+    });
+    
+    test('should count what each dietary filter would leave', () => {
+        const { facets } = searchEngine.search('arroz');
+        
+        expect(facets.total).toBe(3);
+        expect(facets.dietary).toEqual({ vegetarian: 1, noPork: 3, noMeat: 2, noSeafood: 2, noDairy: 2 });
+    });
+    
+    test('should count price ceilings and courses, including empty ones', () => {
+        const { facets } = searchEngine.search('arroz');
+        
+        // Market-price dishes have no ceiling
+        expect(facets.price).toEqual({ 10: 1, 20: 2, 30: 2 });
+        expect(facets.course).toMatchObject({ dessert: 1, main: 2, tapa: 0, drink: 0 });
+    });
+    
+    test('should count over the matches before filters are applied', () => {
+        const filtered = searchEngine.search('arroz', { vegetarian: true });
+        const typed = searchEngine.search('arroz course:main');
+        
+        expect(filtered.results).toHaveLength(1);
+        expect(filtered.facets.dietary.noSeafood).toBe(2);
+        expect(typed.facets.course).toMatchObject({ dessert: 1, main: 2 });
+    });
+    
+    test('should respect quoted phrases', () => {
+        const { facets } = searchEngine.search('"arroz con"');
+        
+        expect(facets.total).toBe(2);
+        expect(facets.course).toMatchObject({ dessert: 1, main: 1 });
+    });
+    
+    test('should keep facets when a search is answered from the cache', () => {
+        const first = searchEngine.search('arroz', { vegetarian: true });
+        const repeated = searchEngine.search('arroz', { vegetarian: true });
+        
+        expect(searchEngine.stats.cacheHits).toBe(1);
+        expect(repeated.facets).toEqual(first.facets);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Search History - Remembers what the user searched for across sessions
+ * Uses localStorage to keep each query with how often and when it was last searched
+ */
+
+export class SearchHistory {
+    constructor() {
+        this.storageKey = 'spanish-menu-search-history';
+        this.maxEntries = 100; // Least recently searched queries are dropped beyond this
+        this.entries = this.loadHistory();
+    }
+
+    /**
+     * Normalize a query into the key it is counted under
+     */
+    getKey(query) {
+        return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Load history from localStorage
+     * @returns {Map} key -> { query, count, firstSearched, lastSearched }
+     */
+    loadHistory() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                return new Map((data.entries || [])
+                    .filter(entry => entry && this.getKey(entry.query))
+                    .map(entry => [this.getKey(entry.query), entry]));
+            }
+        } catch (error) {
+            console.warn('Failed to load search history from localStorage:', error);
+        }
+
+        return new Map();
+    }
+
+    /**
+     * Save history to localStorage
+     */
+    saveHistory() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                entries: Array.from(this.entries.values())
+            }));
+        } catch (error) {
+            console.error('Failed to save search history to localStorage:', error);
+        }
+    }
+
+    /**
+     * Record a search, counting repeats of the same query
+     * @param {string} query - Query as typed
+     * @returns {object|null} The updated entry
+     */
+    record(query) {
+        const key = this.getKey(query);
+        if (!key) return null;
+
+        const now = new Date().toISOString();
+        const previous = this.entries.get(key);
+        const entry = {
+            query: key,
+            count: previous ? previous.count + 1 : 1,
+            firstSearched: previous ? previous.firstSearched : now,
+            lastSearched: now
+        };
+
+        // Re-insert so the Map stays in search order, oldest first
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.saveHistory();
+        return entry;
+    }
+
+    /**
+     * Most recent searches, newest first
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} Array of { query, count, firstSearched, lastSearched }
+     */
+    getRecent(limit = 5) {
+        return Array.from(this.entries.values()).reverse().slice(0, limit);
+    }
+
+    /**
+     * Every entry, oldest first
+     * @returns {Array} Array of { query, count, firstSearched, lastSearched }
+     */
+    getEntries() {
+        return Array.from(this.entries.values());
+    }
+
+    /**
+     * How often a query was searched
+     */
+    getCount(query) {
+        const entry = this.entries.get(this.getKey(query));
+        return entry ? entry.count : 0;
+    }
+
+    /**
+     * Forget one query
+     */
+    remove(query) {
+        if (this.entries.delete(this.getKey(query))) {
+            this.saveHistory();
+        }
+    }
+
+    /**
+     * Clear all history
+     */
+    clear() {
+        this.entries.clear();
+        this.saveHistory();
+    }
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.SearchHistory = SearchHistory;
+}
+
+console.log('📊 SearchHistory module loaded');
@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SearchHistory } from './searchHistory.js';
+
+describe('SearchHistory', () => {
+    let history;
+
+    beforeEach(() => {
+        localStorage.clear();
+        history = new SearchHistory();
+    });
+
+    test('should count repeated searches under one normalized query', () => {
+        history.record('Pulpo');
+        history.record('  pulpo ');
+        history.record('pulpo   a la gallega');
+
+        expect(history.getCount('PULPO')).toBe(2);
+        expect(history.getCount('pulpo a la gallega')).toBe(1);
+        expect(history.getEntries()).toHaveLength(2);
+    });
+
+    test('should keep first and last search timestamps', () => {
+        const first = history.record('croquetas');
+        const second = history.record('croquetas');
+
+        expect(second.firstSearched).toBe(first.firstSearched);
+        expect(Date.parse(second.lastSearched)).toBeGreaterThanOrEqual(Date.parse(first.lastSearched));
+    });
+
+    test('should list recent searches newest first', () => {
+        ['paella', 'gazpacho', 'flan'].forEach(query => history.record(query));
+        history.record('paella');
+
+        expect(history.getRecent(2).map(entry => entry.query)).toEqual(['paella', 'flan']);
+    });
+
+    test('should ignore empty queries', () => {
+        expect(history.record('   ')).toBeNull();
+        expect(history.getEntries()).toEqual([]);
+    });
+
+    test('should drop the least recently searched queries beyond the limit', () => {
+        history.maxEntries = 3;
+        ['a', 'b', 'c'].forEach(query => history.record(query));
+        history.record('a');
+        history.record('d');
+
+        expect(history.getEntries().map(entry => entry.query)).toEqual(['c', 'a', 'd']);
+    });
+
+    test('should persist history across instances', () => {
+        history.record('tortilla');
+        history.record('tortilla');
+
+        const reloaded = new SearchHistory();
+        expect(reloaded.getCount('tortilla')).toBe(2);
+        expect(reloaded.getRecent()[0].query).toBe('tortilla');
+    });
+
+    test('should remove single queries and clear everything', () => {
+        ['tortilla', 'churros'].forEach(query => history.record(query));
+
+        history.remove('Tortilla');
+        expect(history.getEntries().map(entry => entry.query)).toEqual(['churros']);
+
+        history.clear();
+        expect(new SearchHistory().getEntries()).toEqual([]);
+    });
+
+    test('should recover from corrupted storage', () => {
+        localStorage.setItem('spanish-menu-search-history', '{not json');
+
+        expect(new SearchHistory().getEntries()).toEqual([]);
+    });
+});
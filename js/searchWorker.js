@@ -0,0 +1,13 @@
+/**
+ * Search Worker
+ * Worker entry point for AsyncSearchEngine: keeps its own copy of the menu
+ * items and search index, and answers search requests off the main thread.
+ */
+
+import { SearchRequestHandler } from './asyncSearchEngine.js';
+
+const handler = new SearchRequestHandler();
+
+self.addEventListener('message', (event) => {
+    handler.receive(event.data, response => self.postMessage(response));
+});
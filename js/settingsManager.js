@@ -8,6 +8,8 @@ class SettingsManager {
         this.modal = null;
         this.usageTracker = null;
         this.googleVisionOCR = null;
+        this.dataManager = null;
+        this.getLanguage = () => 'en';
         
         // DOM elements
         this.elements = {};
@@ -28,6 +30,8 @@ class SettingsManager {
         try {
             this.usageTracker = dependencies.usageTracker;
             this.googleVisionOCR = dependencies.googleVisionOCR;
+            this.dataManager = dependencies.dataManager || null;
+            this.getLanguage = dependencies.getLanguage || this.getLanguage;
             
             this.initializeElements();
             this.attachEventListeners();
@@ -75,6 +79,12 @@ class SettingsManager {
             autoFallback: document.getElementById('auto-fallback'),
             showProcessingSource: document.getElementById('show-processing-source'),
             
+            // Data packs
+            dataPacksList: document.getElementById('data-packs-list'),
+            
+            // Developer options
+            searchDebugMode: document.getElementById('search-debug-mode'),
+            
             // Statistics
             statSuccessRate: document.getElementById('stat-success-rate'),
             statAvgTime: document.getElementById('stat-avg-time'),
@@ -188,6 +198,13 @@ class SettingsManager {
             this.elements.autoFallback.checked = processingOptions.autoFallback;
             this.elements.showProcessingSource.checked = processingOptions.showProcessingSource;
             
+            this.renderDataPacks();
+            
+            // Load developer options from localStorage
+            if (this.elements.searchDebugMode) {
+                this.elements.searchDebugMode.checked = this.getDeveloperOptions().searchDebug;
+            }
+            
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
@@ -220,6 +237,9 @@ class SettingsManager {
                 showProcessingSource: this.elements.showProcessingSource.checked
             });
             
+            this.saveDataPacks();
+            this.saveSearchDebugMode();
+            
             this.showNotification('Settings saved successfully', 'success');
             
         } catch (error) {
@@ -228,6 +248,101 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Render a toggle for each data pack
+     */
+    renderDataPacks() {
+        const container = this.elements.dataPacksList;
+        if (!container || !this.dataManager || !this.dataManager.isLoaded) {
+            return;
+        }
+        
+        container.innerHTML = '';
+        const language = this.getLanguage();
+        
+        this.dataManager.getPacks().forEach(pack => {
+            const group = document.createElement('div');
+            group.className = 'option-group';
+            
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.packId = pack.id;
+            checkbox.checked = pack.enabled;
+            checkbox.disabled = pack.required || pack.status === 'error';
+            
+            const custom = document.createElement('span');
+            custom.className = 'checkbox-custom';
+            
+            const text = document.createElement('span');
+            text.className = 'checkbox-text';
+            
+            const title = document.createElement('strong');
+            title.textContent = pack.name[language] || pack.name.en || pack.id;
+            
+            const description = document.createElement('span');
+            description.className = 'option-description';
+            description.textContent = pack.status === 'error'
+                ? `Unavailable: ${pack.error}`
+                : `${pack.description[language] || pack.description.en || ''} (${pack.itemCount} dishes${pack.required ? ', always on' : ''})`.trim();
+            
+            text.append(title, description);
+            label.append(checkbox, custom, text);
+            group.appendChild(label);
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Save data pack toggles and notify the app if anything changed
+     */
+    saveDataPacks() {
+        const container = this.elements.dataPacksList;
+        if (!container || !this.dataManager || !this.dataManager.isLoaded) {
+            return;
+        }
+        
+        let changed = false;
+        container.querySelectorAll('input[data-pack-id]').forEach(checkbox => {
+            if (this.dataManager.setPackEnabled(checkbox.dataset.packId, checkbox.checked)) {
+                changed = true;
+            }
+        });
+        
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('app-update', {
+                detail: {
+                    type: 'packs-changed',
+                    enabledPacks: this.dataManager.getEnabledPackIds()
+                }
+            }));
+        }
+    }
+
+    /**
+     * Save the search debug mode toggle and notify the app if it changed
+     */
+    saveSearchDebugMode() {
+        if (!this.elements.searchDebugMode) {
+            return;
+        }
+        
+        const enabled = this.elements.searchDebugMode.checked;
+        if (enabled === this.getDeveloperOptions().searchDebug) {
+            return;
+        }
+        
+        this.saveDeveloperOptions({ ...this.getDeveloperOptions(), searchDebug: enabled });
+        document.dispatchEvent(new CustomEvent('app-update', {
+            detail: {
+                type: 'search-debug-changed',
+                enabled
+            }
+        }));
+    }
+
     /**
      * Handle API key input changes
      */
@@ -557,6 +672,30 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Get developer options
+     */
+    getDeveloperOptions() {
+        try {
+            const stored = localStorage.getItem('developer_options');
+            return { searchDebug: false, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.error('Failed to load developer options:', error);
+            return { searchDebug: false };
+        }
+    }
+
+    /**
+     * Save developer options
+     */
+    saveDeveloperOptions(options) {
+        try {
+            localStorage.setItem('developer_options', JSON.stringify(options));
+        } catch (error) {
+            console.error('Failed to save developer options:', error);
+        }
+    }
+
     /**
      * Show notification message
      */
@@ -599,6 +738,7 @@ class SettingsManager {
         // Clear references
         this.usageTracker = null;
         this.googleVisionOCR = null;
+        this.dataManager = null;
         this.elements = {};
         
         console.log('🧹 Settings manager cleaned up');
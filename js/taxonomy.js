@@ -0,0 +1,80 @@
+/**
+ * Taxonomy Module
+ * Controlled vocabularies for the Course, Category and Region dataset
+ * columns, with English and Dutch labels for browsing and result cards.
+ */
+
+export const COURSES = [
+    { key: 'tapa', emoji: '🫒', label: { en: 'Tapas', nl: 'Tapas' } },
+    { key: 'starter', emoji: '🥗', label: { en: 'Starters', nl: 'Voorgerechten' } },
+    { key: 'main', emoji: '🍽️', label: { en: 'Main courses', nl: 'Hoofdgerechten' } },
+    { key: 'dessert', emoji: '🍮', label: { en: 'Desserts', nl: 'Nagerechten' } },
+    { key: 'drink', emoji: '🍷', label: { en: 'Drinks', nl: 'Dranken' } },
+    { key: 'sauce', emoji: '🫙', label: { en: 'Sauces', nl: 'Sauzen' } }
+];
+
+export const CATEGORIES = [
+    { key: 'rice', emoji: '🥘', label: { en: 'Rice dishes', nl: 'Rijstgerechten' } },
+    { key: 'pasta', emoji: '🍝', label: { en: 'Pasta & noodles', nl: 'Pasta & noedels' } },
+    { key: 'seafood', emoji: '🦐', label: { en: 'Seafood', nl: 'Zeevruchten' } },
+    { key: 'fish', emoji: '🐟', label: { en: 'Fish', nl: 'Vis' } },
+    { key: 'meat', emoji: '🥩', label: { en: 'Meat', nl: 'Vlees' } },
+    { key: 'poultry', emoji: '🍗', label: { en: 'Poultry', nl: 'Gevogelte' } },
+    { key: 'cured-meats', emoji: '🥓', label: { en: 'Cured meats', nl: 'Vleeswaren' } },
+    { key: 'eggs', emoji: '🍳', label: { en: 'Egg dishes', nl: 'Eiergerechten' } },
+    { key: 'vegetables', emoji: '🥦', label: { en: 'Vegetables', nl: 'Groenten' } },
+    { key: 'salads', emoji: '🥗', label: { en: 'Salads', nl: 'Salades' } },
+    { key: 'soups', emoji: '🍲', label: { en: 'Soups', nl: 'Soepen' } },
+    { key: 'stews', emoji: '🫕', label: { en: 'Stews', nl: 'Stoofschotels' } },
+    { key: 'cheese', emoji: '🧀', label: { en: 'Cheese', nl: 'Kaas' } },
+    { key: 'bread', emoji: '🥖', label: { en: 'Bread & sandwiches', nl: 'Brood & broodjes' } },
+    { key: 'fried-snacks', emoji: '🍟', label: { en: 'Fried snacks', nl: 'Gefrituurde hapjes' } },
+    { key: 'sweets', emoji: '🍰', label: { en: 'Sweets & pastries', nl: 'Zoetigheden' } },
+    { key: 'drinks', emoji: '🍹', label: { en: 'Wine & cocktails', nl: 'Wijn & cocktails' } },
+    { key: 'sauces', emoji: '🫙', label: { en: 'Sauces & dips', nl: 'Sauzen & dips' } },
+    { key: 'international', emoji: '🌍', label: { en: 'International', nl: 'Internationaal' } }
+];
+
+export const REGIONS = [
+    { key: 'andalusia', emoji: '📍', label: { en: 'Andalusia', nl: 'Andalusië' } },
+    { key: 'aragon', emoji: '📍', label: { en: 'Aragon', nl: 'Aragón' } },
+    { key: 'asturias', emoji: '📍', label: { en: 'Asturias', nl: 'Asturië' } },
+    { key: 'balearic-islands', emoji: '📍', label: { en: 'Balearic Islands', nl: 'Balearen' } },
+    { key: 'basque-country', emoji: '📍', label: { en: 'Basque Country', nl: 'Baskenland' } },
+    { key: 'canary-islands', emoji: '📍', label: { en: 'Canary Islands', nl: 'Canarische Eilanden' } },
+    { key: 'cantabria', emoji: '📍', label: { en: 'Cantabria', nl: 'Cantabrië' } },
+    { key: 'castile-la-mancha', emoji: '📍', label: { en: 'Castile-La Mancha', nl: 'Castilië-La Mancha' } },
+    { key: 'castile-leon', emoji: '📍', label: { en: 'Castile and León', nl: 'Castilië en León' } },
+    { key: 'catalonia', emoji: '📍', label: { en: 'Catalonia', nl: 'Catalonië' } },
+    { key: 'extremadura', emoji: '📍', label: { en: 'Extremadura', nl: 'Extremadura' } },
+    { key: 'galicia', emoji: '📍', label: { en: 'Galicia', nl: 'Galicië' } },
+    { key: 'la-rioja', emoji: '📍', label: { en: 'La Rioja', nl: 'La Rioja' } },
+    { key: 'madrid', emoji: '📍', label: { en: 'Madrid', nl: 'Madrid' } },
+    { key: 'murcia', emoji: '📍', label: { en: 'Murcia', nl: 'Murcia' } },
+    { key: 'navarre', emoji: '📍', label: { en: 'Navarre', nl: 'Navarra' } },
+    { key: 'valencia', emoji: '📍', label: { en: 'Valencia', nl: 'Valencia' } }
+];
+
+// Item field -> CSV column and vocabulary
+export const TAXONOMIES = {
+    course: { column: 'Course', values: COURSES },
+    category: { column: 'Category', values: CATEGORIES },
+    region: { column: 'Region', values: REGIONS }
+};
+
+/**
+ * Check whether an item matches a course/category/region filter.
+ * The filter may be a single key or an array of keys; an empty filter matches everything.
+ */
+export function matchesTaxonomy(item, field, filter) {
+    if (!filter || (Array.isArray(filter) && filter.length === 0)) return true;
+    const keys = Array.isArray(filter) ? filter : [filter];
+    return Boolean(item && item[field]) && keys.includes(item[field]);
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.TAXONOMIES = TAXONOMIES;
+}
+
+console.log('📊 Taxonomy module loaded');
@@ -0,0 +1,143 @@
+/**
+ * Text Normalizer Module
+ * Shared normalization pipeline for search. The same steps run when the index
+ * is built and when a query is read, so "jamon", "Jamón" and "jamones" or
+ * "croqueta" and "croquetas" end up as the same term.
+ */
+
+// Articles, prepositions and conjunctions that carry no meaning in dish names ("pulpo a la gallega")
+export const STOP_WORDS = new Set([
+    'a', 'al', 'con', 'de', 'del', 'e', 'el', 'en', 'la', 'las', 'lo', 'los', 'o', 'u', 'un', 'una', 'y',
+    'and', 'in', 'of', 'the', 'with'
+]);
+
+const VOWELS = 'aeiou';
+
+/**
+ * Remove accents and other diacritics while keeping ñ, which is a separate
+ * letter in Spanish ("año" is not "ano")
+ */
+export function foldDiacritics(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .split(/(ñ|Ñ)/)
+        .map(part => (part === 'ñ' || part === 'Ñ') ? part : part.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+        .join('');
+}
+
+/**
+ * Lowercase, fold diacritics, turn punctuation into spaces and collapse whitespace
+ */
+export function normalizeText(text) {
+    return foldDiacritics(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9ñ\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Check whether a word is a stop word
+ */
+export function isStopWord(word) {
+    return STOP_WORDS.has(normalizeText(word));
+}
+
+/**
+ * Light Spanish stemming of a normalized word: plural endings, the -ito/-ita
+ * diminutive and the final gender vowel. Short words are left alone, so
+ * "tapa" and "pan" keep their form.
+ */
+export function stemWord(word) {
+    let stem = word;
+
+    // Plurals: "nueces" -> "nuez", "calamares" -> "calamar", "croquetas" -> "croqueta"
+    if (stem.length > 4 && !stem.endsWith('ss')) {
+        if (stem.endsWith('ces')) {
+            stem = `${stem.slice(0, -3)}z`;
+        } else if (stem.endsWith('es') && !VOWELS.includes(stem[stem.length - 3])) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('s')) {
+            stem = stem.slice(0, -1);
+        }
+    }
+
+    // Diminutives: "chupito" -> "chup", "croquetita" -> "croquet"
+    if (stem.length >= 6 && /it[ao]$/.test(stem)) {
+        return stem.slice(0, -3);
+    }
+
+    // Gender vowel: "croqueta" -> "croquet", "queso" -> "ques"
+    if (stem.length > 4 && /[aeo]$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    return stem;
+}
+
+/**
+ * Split text into normalized words
+ * @param {object} options
+ * @param {boolean} options.stem - Apply stemWord() to every word
+ * @param {boolean} options.stopWords - Drop stop words, unless the text has nothing else
+ */
+export function tokenize(text, options = {}) {
+    const { stem = true, stopWords = true } = options;
+    let words = normalizeText(text).split(' ').filter(word => word.length > 0);
+
+    if (stopWords) {
+        const contentWords = words.filter(word => !STOP_WORDS.has(word));
+        if (contentWords.length > 0) {
+            words = contentWords;
+        }
+    }
+
+    return stem ? words.map(stemWord) : words;
+}
+
+/**
+ * Normalize text into the form used as a search index key
+ */
+export function normalizeTerm(text, options = {}) {
+    return tokenize(text, options).join(' ');
+}
+
+/**
+ * Respell a normalized word the way it sounds: b/v, ll/y, seseo (c/z/s),
+ * silent h, soft g/j and hard c/qu/k
+ */
+function respellPhonetically(word) {
+    return word
+        .replace(/ch/g, 'X') // "ch" is its own sound; keep it apart from c and h
+        .replace(/qu(?=[ei])/g, 'k')
+        .replace(/gu(?=[ei])/g, 'G') // hard g in "guiso", "guerra"
+        .replace(/g(?=[ei])/g, 'j') // soft g sounds like j: "gente", "jente"
+        .replace(/c(?=[ei])/g, 's')
+        .replace(/[ckq]/g, 'k')
+        .replace(/z/g, 's')
+        .replace(/h/g, '')
+        .replace(/v/g, 'b')
+        .replace(/ll/g, 'y')
+        .replace(/X/g, 'ch')
+        .replace(/G/g, 'g')
+        .replace(/([a-zñ])\1+/g, '$1'); // "rr", "cc" and letters doubled by the steps above
+}
+
+/**
+ * Spanish phonetic key of raw text: spellings that sound alike share a key, so
+ * "bayena" finds "ballena", "sarsuela" finds "zarzuela" and "ceviche" finds
+ * "cebiche". Words are respelled before stemming, so "uevos" and "huevos"
+ * lose the same ending.
+ */
+export function phoneticKey(text) {
+    return tokenize(text, { stem: false })
+        .map(word => stemWord(respellPhonetically(word)))
+        .join(' ');
+}
+
+// Export for browser environments
+if (typeof window !== 'undefined') {
+    window.normalizeTerm = normalizeTerm;
+}
+
+console.log('📊 TextNormalizer module loaded');
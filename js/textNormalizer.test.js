@@ -0,0 +1,81 @@
+import { describe, test, expect } from '@jest/globals';
+import { foldDiacritics, normalizeText, stemWord, tokenize, normalizeTerm, isStopWord, phoneticKey } from './textNormalizer.js';
+
+describe('textNormalizer', () => {
+    describe('foldDiacritics', () => {
+        test('should remove accents but keep ñ', () => {
+            expect(foldDiacritics('Jamón Ibérico')).toBe('Jamon Iberico');
+            expect(foldDiacritics('Crème brûlée, pingüino, calçots')).toBe('Creme brulee, pinguino, calcots');
+            expect(foldDiacritics('Año, CAÑA')).toBe('Año, CAÑA');
+        });
+
+        test('should handle decomposed input', () => {
+            expect(foldDiacritics('an\u0303o jamo\u0301n')).toBe('a\u00f1o jamon');
+        });
+    });
+
+    describe('normalizeText', () => {
+        test('should lowercase and turn punctuation into single spaces', () => {
+            expect(normalizeText('  Pa amb Tomàquet / Pan-Tumaca! ')).toBe('pa amb tomaquet pan tumaca');
+        });
+    });
+
+    describe('stemWord', () => {
+        test('should reduce singular and plural forms to the same stem', () => {
+            expect(stemWord('croquetas')).toBe(stemWord('croqueta'));
+            expect(stemWord('calamares')).toBe(stemWord('calamar'));
+            expect(stemWord('jamones')).toBe('jamon');
+            expect(stemWord('nueces')).toBe('nuez');
+            expect(stemWord('tomates')).toBe(stemWord('tomate'));
+        });
+
+        test('should strip -ito/-ita diminutives', () => {
+            expect(stemWord('croquetitas')).toBe(stemWord('croqueta'));
+            expect(stemWord('chupito')).toBe('chup');
+        });
+
+        test('should leave short words alone', () => {
+            expect(stemWord('pan')).toBe('pan');
+            expect(stemWord('tapa')).toBe('tapa');
+            expect(stemWord('mousse')).toBe('mouss');
+        });
+    });
+
+    describe('tokenize', () => {
+        test('should drop articles and prepositions', () => {
+            expect(tokenize('Pulpo a la Gallega', { stem: false })).toEqual(['pulpo', 'gallega']);
+            expect(normalizeTerm('Pulpo a la Gallega')).toBe(normalizeTerm('pulpo gallega'));
+        });
+
+        test('should keep stop words when there is nothing else', () => {
+            expect(tokenize('a la', { stem: false })).toEqual(['a', 'la']);
+            expect(tokenize('de la casa', { stem: false, stopWords: false })).toEqual(['de', 'la', 'casa']);
+        });
+
+        test('should recognise stop words regardless of case and accents', () => {
+            expect(isStopWord('Con')).toBe(true);
+            expect(isStopWord('sin')).toBe(false);
+        });
+    });
+
+    describe('phoneticKey', () => {
+        test('should give spellings that sound alike the same key', () => {
+            expect(phoneticKey('bayena')).toBe(phoneticKey('ballena'));
+            expect(phoneticKey('sarsuela')).toBe(phoneticKey('zarzuela'));
+            expect(phoneticKey('ceviche')).toBe(phoneticKey('cebiche'));
+            expect(phoneticKey('uevos rotos')).toBe(phoneticKey('Huevos Rotos'));
+            expect(phoneticKey('jente')).toBe(phoneticKey('gente'));
+            expect(phoneticKey('kesos')).toBe(phoneticKey('quesos'));
+        });
+
+        test('should keep sounds that differ apart', () => {
+            expect(phoneticKey('churros')).not.toBe(phoneticKey('curros'));
+            expect(phoneticKey('guiso')).not.toBe(phoneticKey('jiso'));
+            expect(phoneticKey('calamares')).not.toBe(phoneticKey('salamares'));
+        });
+
+        test('should drop stop words like normalizeTerm', () => {
+            expect(phoneticKey('pulpo a la gayega')).toBe(phoneticKey('pulpo gallega'));
+        });
+    });
+});
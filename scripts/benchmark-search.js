@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Search Benchmark Script
+ * Measures per-keystroke search latency on the real dataset padded with
+ * generated dishes, with the trigram candidate index and with a full scan
+ * of every index term.
+ *
+ * Usage:
+ *   node scripts/benchmark-search.js                    Benchmark at 10k and 50k index terms
+ *   node scripts/benchmark-search.js --sizes=2000,10000 Benchmark at other index sizes
+ *
+ * Options:
+ *   --skip-full-scan   Only time the trigram index (the full scan is slow at 50k terms)
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { performance } from 'perf_hooks';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const skipFullScan = args.includes('--skip-full-scan');
+const sizesArg = args.find(arg => arg.startsWith('--sizes='));
+const sizes = sizesArg
+    ? sizesArg.slice('--sizes='.length).split(',').map(Number).filter(size => size > 0)
+    : [10000, 50000];
+
+// The modules log progress to the console; keep the report readable
+const print = console.log.bind(console);
+console.log = () => {};
+console.warn = () => {};
+
+const { DataManager } = await import('../js/dataManager.js');
+const { SearchEngine } = await import('../js/searchEngine.js');
+
+/**
+ * Serve data files from disk so DataManager can load packs the same way the app does
+ */
+globalThis.fetch = async (url) => {
+    try {
+        const body = await readFile(path.join(rootDir, url), 'utf8');
+        return {
+            ok: true,
+            status: 200,
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    } catch (error) {
+        return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+};
+
+// Queries typed one character at a time: exact names, a multi-word name and typos
+const QUERIES = ['paella valenciana', 'croquetas de jamon', 'pulpo a la gallega', 'albondigsa', 'calamres'];
+
+const ONSETS = ['', 'b', 'c', 'ch', 'd', 'f', 'g', 'gu', 'j', 'l', 'll', 'm', 'n', 'ñ', 'p', 'qu', 'r', 'rr', 's', 't', 'v', 'z', 'br', 'cr', 'pl', 'tr'];
+const VOWELS = ['a', 'e', 'i', 'o', 'u', 'ia', 'ue'];
+const CODAS = ['', '', '', 'n', 'r', 's', 'l'];
+
+/**
+ * Small deterministic PRNG (mulberry32) so every run indexes the same dishes
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a menu item with made-up Spanish-looking words
+ */
+function generateItem(random, index) {
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const word = () => Array.from({ length: 2 + Math.floor(random() * 3) },
+        () => pick(ONSETS) + pick(VOWELS) + pick(CODAS)).join('');
+    const name = `${word()} ${word()}`;
+
+    return {
+        id: `generated-${index}`,
+        spanishName: name,
+        englishName: `${word()} ${word()}`,
+        description: `${word()} ${word()} ${word()}`,
+        aliases: [],
+        ingredients: []
+    };
+}
+
+/**
+ * Build a search engine over the real dataset plus generated items, grown until
+ * the index holds at least `targetTerms` terms
+ */
+function buildEngine(realItems, targetTerms) {
+    const random = createRandom(42);
+    const items = [...realItems];
+    const dataManager = { isLoaded: true, getMenuItems: () => items, getIngredientTerms: key => [key] };
+    const searchEngine = new SearchEngine(dataManager);
+
+    searchEngine.buildSearchIndex();
+    while (searchEngine.searchIndex.size < targetTerms) {
+        const missing = targetTerms - searchEngine.searchIndex.size;
+        for (let i = 0; i < Math.ceil(missing / 10); i++) {
+            items.push(generateItem(random, items.length));
+        }
+        searchEngine.buildSearchIndex();
+    }
+
+    return searchEngine;
+}
+
+/**
+ * Time search() for every prefix of every query, with the result cache cleared
+ * @returns {object} { mean, p95, max } in milliseconds, plus the top result per keystroke
+ */
+function timeKeystrokes(searchEngine) {
+    const timings = [];
+    const topResults = [];
+
+    QUERIES.forEach(query => {
+        for (let length = 1; length <= query.length; length++) {
+            searchEngine.clearCache();
+            const start = performance.now();
+            const { results } = searchEngine.search(query.slice(0, length));
+            timings.push(performance.now() - start);
+            topResults.push(results[0] ? results[0].item.id : null);
+        }
+    });
+
+    timings.sort((a, b) => a - b);
+    return {
+        mean: timings.reduce((total, time) => total + time, 0) / timings.length,
+        p95: timings[Math.min(timings.length - 1, Math.floor(timings.length * 0.95))],
+        max: timings[timings.length - 1],
+        topResults
+    };
+}
+
+const format = (ms) => `${ms.toFixed(1)}ms`.padStart(9);
+
+try {
+    const dataManager = new DataManager();
+    await dataManager.loadMenuData();
+    const realItems = dataManager.getMenuItems();
+
+    print(`Per-keystroke search latency over ${QUERIES.length} typed queries\n`);
+    print(`${'terms'.padStart(7)}  ${'mode'.padEnd(14)}${'mean'.padStart(9)}${'p95'.padStart(9)}${'max'.padStart(9)}  same top result`);
+
+    for (const size of sizes) {
+        const searchEngine = buildEngine(realItems, size);
+        const terms = String(searchEngine.searchIndex.size).padStart(7);
+
+        searchEngine.config.useNgramIndex = true;
+        const indexed = timeKeystrokes(searchEngine);
+        print(`${terms}  ${'trigram index'.padEnd(14)}${format(indexed.mean)}${format(indexed.p95)}${format(indexed.max)}`);
+
+        if (!skipFullScan) {
+            searchEngine.config.useNgramIndex = false;
+            const fullScan = timeKeystrokes(searchEngine);
+            const agreeing = fullScan.topResults.filter((id, i) => id === indexed.topResults[i]).length;
+            const agreement = `${agreeing}/${fullScan.topResults.length}`;
+            print(`${terms}  ${'full scan'.padEnd(14)}${format(fullScan.mean)}${format(fullScan.p95)}${format(fullScan.max)}  ${agreement}`);
+        }
+    }
+
+    process.exit(0);
+
+} catch (error) {
+    console.error(`Search benchmark failed: ${error.message}`);
+    process.exit(2);
+}
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Dataset Lint Script
+ * Checks the menu CSV files for problems before a dataset PR is merged.
+ *
+ * Usage:
+ *   node scripts/lint-dataset.js               Lint every pack in data/packs/manifest.json
+ *   node scripts/lint-dataset.js a.csv b.csv   Lint specific CSV files
+ *
+ * Options:
+ *   --json     Print the full report as JSON
+ *   --strict   Fail on warnings as well as errors
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const strict = args.includes('--strict');
+const files = args.filter(arg => !arg.startsWith('--'));
+
+// DataManager logs progress to the console; keep the report readable
+const print = console.log.bind(console);
+console.log = () => {};
+console.warn = () => {};
+
+const { DataManager } = await import('../js/dataManager.js');
+
+/**
+ * Serve data files from disk so DataManager can load packs the same way the app does
+ */
+globalThis.fetch = async (url) => {
+    try {
+        const body = await readFile(path.join(rootDir, url), 'utf8');
+        return {
+            ok: true,
+            status: 200,
+            text: async () => body,
+            json: async () => JSON.parse(body)
+        };
+    } catch (error) {
+        return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+};
+
+/**
+ * Lint the given files, or every pack when none are given
+ */
+async function buildReport() {
+    const dataManager = new DataManager();
+
+    if (files.length === 0) {
+        await dataManager.loadMenuData();
+        return dataManager.lint();
+    }
+
+    const reports = await Promise.all(files.map(async (file) => {
+        const csvText = await readFile(path.resolve(file), 'utf8');
+        return dataManager.lintCSV(csvText, { pack: path.basename(file) });
+    }));
+
+    return dataManager.buildLintReport(
+        reports.flatMap(report => report.issues),
+        reports.reduce((total, report) => total + report.itemsChecked, 0)
+    );
+}
+
+/**
+ * Print a human-readable summary grouped by file
+ */
+function printReport(report) {
+    const byPack = new Map();
+    report.issues.forEach(issue => {
+        const key = issue.pack || 'dataset';
+        if (!byPack.has(key)) byPack.set(key, []);
+        byPack.get(key).push(issue);
+    });
+
+    for (const [pack, issues] of byPack) {
+        print(`\n${pack}`);
+        issues
+            .sort((a, b) => (a.row || 0) - (b.row || 0))
+            .forEach(issue => {
+                const location = issue.row ? `row ${issue.row}` : '';
+                const field = issue.field ? ` [${issue.field}]` : '';
+                print(`  ${issue.severity === 'error' ? '✖' : '⚠'} ${location}${field} ${issue.code}: ${issue.message}`);
+            });
+    }
+
+    print(`\nChecked ${report.itemsChecked} rows: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+}
+
+try {
+    const report = await buildReport();
+
+    if (asJson) {
+        print(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    const failed = report.summary.errors > 0 || (strict && report.summary.warnings > 0);
+    process.exit(failed ? 1 : 0);
+
+} catch (error) {
+    console.error(`Dataset lint failed: ${error.message}`);
+    process.exit(2);
+}
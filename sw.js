@@ -13,13 +13,32 @@ const APP_SHELL_FILES = [
   '/SpanishMenuCheater/styles/components.css',
   '/SpanishMenuCheater/js/main.js',
   '/SpanishMenuCheater/js/dataManager.js',
+  '/SpanishMenuCheater/js/dataCache.js',
+  '/SpanishMenuCheater/js/csvParser.js',
+  '/SpanishMenuCheater/js/datasetLinter.js',
+  '/SpanishMenuCheater/js/taxonomy.js',
+  '/SpanishMenuCheater/js/textNormalizer.js',
+  '/SpanishMenuCheater/js/queryParser.js',
+  '/SpanishMenuCheater/js/ngramIndex.js',
   '/SpanishMenuCheater/js/searchEngine.js',
+  '/SpanishMenuCheater/js/asyncSearchEngine.js',
+  '/SpanishMenuCheater/js/searchWorker.js',
+  '/SpanishMenuCheater/js/searchHistory.js',
+  '/SpanishMenuCheater/js/menuText.js',
+  '/SpanishMenuCheater/js/dishComposer.js',
+  '/SpanishMenuCheater/js/browseView.js',
   '/SpanishMenuCheater/js/updateManager.js'
 ];
 
 // Critical data files for offline search functionality
 const DATA_FILES = [
-  '/SpanishMenuCheater/data/spanish_menu_items.csv'
+  '/SpanishMenuCheater/data/spanish_menu_items.csv',
+  '/SpanishMenuCheater/data/id_aliases.json',
+  '/SpanishMenuCheater/data/ingredients.json',
+  '/SpanishMenuCheater/data/packs/manifest.json',
+  '/SpanishMenuCheater/data/packs/catalonia.csv',
+  '/SpanishMenuCheater/data/packs/basque_country.csv',
+  '/SpanishMenuCheater/data/packs/galicia.csv'
 ];
 
 // External resources with fallback handling